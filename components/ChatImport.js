@@ -0,0 +1,150 @@
+import { useState } from 'react';
+
+/**
+ * Build the import request body from the chosen files
+ * JSONL files are sent as text; Slack day files are parsed and concatenated.
+ * @param {Array<File>} files - Chat export files
+ * @param {File|null} usersFile - Optional Slack users.json
+ * @returns {Promise<Object>} - { content, format, users }
+ */
+const readExport = async (files, usersFile) => {
+  const contents = await Promise.all(files.map(file => file.text()));
+  const isJsonLines = files.every(file => file.name.endsWith('.jsonl'));
+
+  return {
+    content: isJsonLines ? contents.join('\n') : contents.flatMap(content => JSON.parse(content)),
+    format: isJsonLines ? 'jsonl' : 'slack',
+    ...(usersFile && { users: JSON.parse(await usersFile.text()) })
+  };
+};
+
+const ChatImport = ({ algorithm, preset, referenceDate }) => {
+  const [files, setFiles] = useState([]);
+  const [usersFile, setUsersFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/import-chat', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ...(await readExport(files, usersFile)),
+          algorithm,
+          preset,
+          ...(referenceDate && { referenceDate })
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to import the chat');
+      }
+
+      setReport(data);
+    } catch (error) {
+      console.error('Error importing chat:', error);
+      setError(error.message);
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit}>
+        <p className="text-sm text-gray-600 mb-4">
+          Import a Slack channel export (one or more day files) or a JSONL file with one
+          {' '}<code>{'{ "author", "text", "timestamp" }'}</code> message per line. Every author&apos;s
+          messages are compared with every other author&apos;s.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
+          <label className="block text-sm font-medium text-gray-700">
+            Chat export (.json or .jsonl)
+            <input
+              type="file"
+              accept=".json,.jsonl"
+              multiple
+              required
+              onChange={(e) => setFiles([...e.target.files])}
+              className="block mt-2 text-sm"
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Slack users.json (optional, for names)
+            <input
+              type="file"
+              accept=".json"
+              onChange={(e) => setUsersFile(e.target.files[0] || null)}
+              className="block mt-2 text-sm"
+            />
+          </label>
+        </div>
+        <div className="text-right">
+          <button
+            type="submit"
+            disabled={loading || files.length === 0}
+            className="px-6 py-3 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {loading ? 'Comparing authors...' : 'Import Chat'}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mt-6 p-4 rounded-md bg-yellow-50 border border-yellow-200">
+          An error occurred: {error}
+        </div>
+      )}
+
+      {report && (
+        <div className="mt-8">
+          <p className="text-sm text-gray-600 mb-4">
+            {report.messageCount} messages from{' '}
+            {report.authors.map(author => `${author.name} (${author.messageCount})`).join(', ')}
+          </p>
+          <h2 className="text-xl font-semibold mb-4">Findings</h2>
+          {report.findings.length === 0 && (
+            <p className="text-gray-500">Nobody said something another author should know.</p>
+          )}
+          {report.findings.map(finding => (
+            <div key={`${finding.from}-${finding.to}`} className="border border-gray-200 rounded-md p-4 mb-4">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-medium">
+                  {finding.summary}
+                  {finding.urgent && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-white bg-red-600 rounded">Urgent</span>
+                  )}
+                </h3>
+                <span className="text-sm text-gray-600">{(finding.score * 100).toFixed(1)}%</span>
+              </div>
+              <ul className="text-sm space-y-1 mb-2">
+                {finding.messages.map(message => (
+                  <li key={message.id} className="pl-3 border-l-4 border-blue-200">
+                    <span className="text-xs text-gray-500 mr-2">
+                      {message.timestamp ? new Date(message.timestamp).toLocaleString() : `#${message.id}`}
+                    </span>
+                    {message.text}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500">{finding.explanation}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatImport;
@@ -0,0 +1,119 @@
+import { useRef, useState } from 'react';
+
+const ACCEPTED_TYPES = '.txt,.md,.markdown,.html,.htm,.eml,.json';
+
+/**
+ * Describe an uploaded document's metadata in one line
+ * @param {Object} document - { format, metadata } of an extracted document
+ * @returns {string} - e.g. 'From Jane Doe, "Launch plan", 3/3/2025'
+ */
+export const describeDocument = ({ format, metadata = {} }) => {
+  if (format === 'email') {
+    const sender = metadata.from && (metadata.from.name || metadata.from.address);
+    const date = metadata.date && !Number.isNaN(Date.parse(metadata.date))
+      ? new Date(metadata.date).toLocaleDateString()
+      : metadata.date;
+
+    return [sender && `From ${sender}`, metadata.subject && `"${metadata.subject}"`, date]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  return metadata.title ? `"${metadata.title}"` : '';
+};
+
+/**
+ * Wraps a text input so files can be dropped on it or picked with a button
+ * The file is sent to /api/extract-document and the extracted document is passed to onDocument.
+ */
+const DocumentDropZone = ({ document, onDocument, children }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const upload = async (file) => {
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const form = new FormData();
+      form.append('file', file);
+
+      const response = await fetch('/api/extract-document', { method: 'POST', body: form });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'Failed to read the file');
+      }
+
+      const data = await response.json();
+      onDocument(data.documents[0]);
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    upload(e.dataTransfer.files[0]);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      className={`rounded-md ${dragging ? 'ring-2 ring-blue-400 bg-blue-50' : ''}`}
+    >
+      {children}
+      <div className="flex items-center justify-between mt-1 text-xs text-gray-500">
+        {document ? (
+          <span>
+            <span className="font-medium text-gray-700">{document.filename}</span>
+            {describeDocument(document) && ` · ${describeDocument(document)}`}
+            <button
+              type="button"
+              onClick={() => onDocument(null)}
+              className="ml-2 text-blue-600 hover:underline"
+            >
+              Remove file
+            </button>
+          </span>
+        ) : (
+          <span>Drop a .txt, .md, .html, .eml or .json file here</span>
+        )}
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={uploading}
+          className="text-blue-600 hover:underline disabled:opacity-50"
+        >
+          {uploading ? 'Reading file...' : 'Upload file'}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_TYPES}
+          className="hidden"
+          onChange={(e) => {
+            upload(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default DocumentDropZone;
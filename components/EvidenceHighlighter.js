@@ -0,0 +1,127 @@
+import { useState } from 'react';
+
+/**
+ * Collect the highlighted sentences of one text.
+ * A sentence can be linked from several evidence pairs (secondary sentences
+ * often are), so each highlight lists every pair number it belongs to.
+ * @param {Array} pairs - Evidence pairs from the result
+ * @param {string} side - 'primary' or 'secondary'
+ * @returns {Array} - Array of { start, end, pairs } sorted by offset
+ */
+const toHighlights = (pairs, side) => {
+  const byStart = new Map();
+
+  pairs.forEach((pair, number) => {
+    const sentence = pair[side];
+    if (!byStart.has(sentence.start)) {
+      byStart.set(sentence.start, { start: sentence.start, end: sentence.end, pairs: [] });
+    }
+    byStart.get(sentence.start).pairs.push(number);
+  });
+
+  return [...byStart.values()].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Split a text into plain and highlighted segments.
+ * @param {string} text - Full text
+ * @param {Array} highlights - Array of { start, end, pairs } sorted by offset
+ * @returns {Array} - Array of { text, pairs } segments; pairs is null for plain text
+ */
+const toSegments = (text, highlights) => {
+  const segments = [];
+  let position = 0;
+
+  highlights.forEach(highlight => {
+    if (highlight.start > position) {
+      segments.push({ text: text.slice(position, highlight.start), pairs: null });
+    }
+    segments.push({ text: text.slice(highlight.start, highlight.end), pairs: highlight.pairs });
+    position = highlight.end;
+  });
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), pairs: null });
+  }
+
+  return segments;
+};
+
+const HighlightedText = ({ text, highlights, active, onSelect }) => (
+  <p className="text-sm whitespace-pre-wrap leading-relaxed">
+    {toSegments(text, highlights).map((segment, index) => {
+      if (!segment.pairs) return <span key={index}>{segment.text}</span>;
+
+      const isActive = segment.pairs.includes(active);
+
+      return (
+        <mark
+          key={index}
+          onClick={() => onSelect(segment.pairs[0])}
+          className={`cursor-pointer rounded px-0.5 ${isActive ? 'bg-yellow-300' : 'bg-yellow-100 hover:bg-yellow-200'}`}
+        >
+          {segment.text}
+          {segment.pairs.map(number => (
+            <sup key={number} className="ml-0.5 text-xs font-semibold text-yellow-800">{number + 1}</sup>
+          ))}
+        </mark>
+      );
+    })}
+  </p>
+);
+
+const EvidenceHighlighter = ({ evidence, primaryText, secondaryText }) => {
+  const [active, setActive] = useState(0);
+
+  if (!evidence || evidence.pairs.length === 0) return null;
+
+  const { pairs } = evidence;
+
+  return (
+    <div>
+      <p className="text-sm mb-3">
+        These sentences from the primary text are the most relevant to the secondary person
+        {evidence.method === 'semantic' ? ' (matched by meaning)' : ' (matched by shared words)'}.
+        Select a highlight to see what it relates to.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white border border-gray-200 rounded-md p-3">
+          <p className="text-xs font-semibold uppercase text-gray-500 mb-2">Primary Text</p>
+          <HighlightedText
+            text={primaryText}
+            highlights={toHighlights(pairs, 'primary')}
+            active={active}
+            onSelect={setActive}
+          />
+        </div>
+        <div className="bg-white border border-gray-200 rounded-md p-3">
+          <p className="text-xs font-semibold uppercase text-gray-500 mb-2">Secondary Text</p>
+          <HighlightedText
+            text={secondaryText}
+            highlights={toHighlights(pairs, 'secondary')}
+            active={active}
+            onSelect={setActive}
+          />
+        </div>
+      </div>
+
+      <ol className="mt-3 text-sm">
+        {pairs.map((pair, number) => (
+          <li
+            key={number}
+            onClick={() => setActive(number)}
+            className={`cursor-pointer rounded p-2 mb-1 ${number === active ? 'bg-yellow-50 border border-yellow-200' : 'hover:bg-gray-50'}`}
+          >
+            <span className="font-semibold">{number + 1}.</span> &ldquo;{pair.primary.text}&rdquo; relates to &ldquo;{pair.secondary.text}&rdquo;
+            <span className="text-xs text-gray-500">
+              {' '}({(pair.score * 100).toFixed(1)}%{pair.terms.length > 0 && `, shared: ${pair.terms.join(', ')}`})
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default EvidenceHighlighter;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { toPlainText, toSlackBlocks } from '../utils/messageFormats';
+
+const COPY_FORMATS = [
+  { id: 'plain', label: 'Copy as text', format: markdown => toPlainText(markdown) },
+  { id: 'markdown', label: 'Copy as Markdown', format: markdown => markdown },
+  { id: 'slack', label: 'Copy as Slack block', format: markdown => JSON.stringify(toSlackBlocks(markdown), null, 2) }
+];
+
+const MessageDraft = ({ result, primaryText, secondaryText, mode, defaultRecipient = '' }) => {
+  const [recipientName, setRecipientName] = useState(defaultRecipient);
+  const [draft, setDraft] = useState(null);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  const handleDraft = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/draft-message', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          primaryText,
+          secondaryText,
+          result,
+          mode,
+          recipientName
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to draft message');
+      }
+
+      setDraft(data.draft);
+      setText(data.draft.markdown);
+      setCopied(null);
+    } catch (error) {
+      console.error('Error drafting message:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async ({ id, format }) => {
+    try {
+      await navigator.clipboard.writeText(format(text));
+      setCopied(id);
+    } catch (error) {
+      console.error('Error copying message:', error);
+      setError('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-white border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={recipientName}
+          onChange={(e) => setRecipientName(e.target.value)}
+          maxLength={100}
+          className="p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="Recipient name (optional)"
+        />
+        <button
+          type="button"
+          onClick={handleDraft}
+          disabled={loading}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+        >
+          {loading ? 'Drafting...' : draft ? 'Redraft message' : 'Draft message'}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {draft && (
+        <div className="mt-3">
+          <textarea
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setCopied(null);
+            }}
+            rows={10}
+            className="w-full p-3 text-sm font-mono border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {draft.source === 'template' && draft.error && (
+            <p className="text-xs text-gray-500 mt-1">
+              AI draft unavailable ({draft.error}); showing a draft built from the relevant sentences.
+            </p>
+          )}
+          <div className="flex flex-wrap gap-3 mt-2">
+            {COPY_FORMATS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => handleCopy(option)}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                {copied === option.id ? 'Copied!' : option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageDraft;
@@ -0,0 +1,161 @@
+import { useState } from 'react';
+
+const ProfileManager = ({ profiles, onProfilesChange }) => {
+  const [newName, setNewName] = useState('');
+  const [snippetDrafts, setSnippetDrafts] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Run a profile API request, then reload the profile list
+  const request = async (url, options = {}) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'Profile request failed');
+      }
+
+      await onProfilesChange();
+      return true;
+    } catch (error) {
+      console.error('Error updating profiles:', error);
+      setError(error.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await request('/api/profiles', {
+      method: 'POST',
+      body: JSON.stringify({ name: newName }),
+    });
+    if (created) setNewName('');
+  };
+
+  const handleAddSnippet = async (profileId) => {
+    const added = await request(`/api/profiles/${profileId}/snippets`, {
+      method: 'POST',
+      body: JSON.stringify({ text: snippetDrafts[profileId] || '' }),
+    });
+    if (added) setSnippetDrafts({ ...snippetDrafts, [profileId]: '' });
+  };
+
+  const handleRemoveSnippet = (profileId, snippetId) =>
+    request(`/api/profiles/${profileId}/snippets/${snippetId}`, { method: 'DELETE' });
+
+  const handleDelete = (profile) => {
+    if (window.confirm(`Delete the profile for ${profile.name}?`)) {
+      request(`/api/profiles/${profile.id}`, { method: 'DELETE' });
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleCreate} className="flex mb-6">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="flex-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="New person's name..."
+          required
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="ml-2 px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Create Profile
+        </button>
+      </form>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm">
+          An error occurred: {error}
+        </div>
+      )}
+
+      {profiles.length === 0 && (
+        <p className="text-sm italic text-gray-500">No profiles yet. Create one to start collecting knowledge.</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {profiles.map(profile => (
+          <div key={profile.id} className="border border-gray-200 rounded-md p-4">
+            <div className="flex justify-between items-start mb-2">
+              <div>
+                <h3 className="font-semibold">{profile.name}</h3>
+                <p className="text-xs text-gray-500">
+                  {profile.snippets.length} snippet{profile.snippets.length === 1 ? '' : 's'}
+                  {profile.embedding && ' · embedded'}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(profile)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </div>
+
+            {profile.keywords.length > 0 && (
+              <div className="flex flex-wrap mb-2">
+                {profile.keywords.map(keyword => (
+                  <span key={keyword} className="text-xs bg-blue-50 text-blue-800 rounded-full px-2 py-0.5 mr-1 mb-1">
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <ul className="mb-3">
+              {profile.snippets.map(snippet => (
+                <li key={snippet.id} className="text-sm bg-gray-50 rounded p-2 mb-1 flex justify-between">
+                  <span className="pr-2">{snippet.text}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveSnippet(profile.id, snippet.id)}
+                    className="text-xs text-gray-500 hover:text-red-600"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <textarea
+              value={snippetDrafts[profile.id] || ''}
+              onChange={(e) => setSnippetDrafts({ ...snippetDrafts, [profile.id]: e.target.value })}
+              rows={3}
+              className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={`Something ${profile.name} knows...`}
+            />
+            <button
+              type="button"
+              disabled={busy || !(snippetDrafts[profile.id] || '').trim()}
+              onClick={() => handleAddSnippet(profile.id)}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+            >
+              + Add snippet
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProfileManager;
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+
+const emptyRecipient = () => ({ name: '', text: '' });
+
+const RecipientRanking = ({ algorithm, preset, referenceDate }) => {
+  const [primaryText, setPrimaryText] = useState('');
+  const [recipients, setRecipients] = useState([emptyRecipient(), emptyRecipient()]);
+  const [ranking, setRanking] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  const updateRecipient = (index, field, value) => {
+    setRecipients(recipients.map((recipient, i) =>
+      i === index ? { ...recipient, [field]: value } : recipient
+    ));
+  };
+
+  const addRecipient = () => {
+    setRecipients([...recipients, emptyRecipient()]);
+  };
+
+  const removeRecipient = (index) => {
+    setRecipients(recipients.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/rank-recipients', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          primaryText,
+          recipients,
+          algorithm,
+          preset,
+          ...(referenceDate && { referenceDate })
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to rank recipients');
+      }
+
+      setRanking(data.recipients);
+      setExpanded(null);
+    } catch (error) {
+      console.error('Error ranking recipients:', error);
+      setError(error.message);
+      setRanking(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit}>
+        <div className="mb-6">
+          <label htmlFor="rankPrimaryText" className="block text-sm font-medium text-gray-700 mb-2">
+            What the primary person learned
+          </label>
+          <textarea
+            id="rankPrimaryText"
+            value={primaryText}
+            onChange={(e) => setPrimaryText(e.target.value)}
+            rows={6}
+            className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Enter the new information the primary person knows..."
+            required
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-4">
+          {recipients.map((recipient, index) => (
+            <div key={index} className="border border-gray-200 rounded-md p-3">
+              <div className="flex items-center mb-2">
+                <input
+                  type="text"
+                  value={recipient.name}
+                  onChange={(e) => updateRecipient(index, 'name', e.target.value)}
+                  className="flex-1 p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={`Recipient ${index + 1} name`}
+                  required
+                />
+                {recipients.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => removeRecipient(index)}
+                    className="ml-2 text-sm text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={recipient.text}
+                onChange={(e) => updateRecipient(index, 'text', e.target.value)}
+                rows={5}
+                className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Enter text representing what this person knows..."
+                required
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center">
+          <button
+            type="button"
+            onClick={addRecipient}
+            className="text-blue-600 hover:text-blue-800 font-medium"
+          >
+            + Add recipient
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-6 py-3 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {loading ? 'Ranking...' : 'Rank Recipients'}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mt-6 p-4 rounded-md bg-yellow-50 border border-yellow-200">
+          An error occurred: {error}
+        </div>
+      )}
+
+      {ranking && (
+        <div className="mt-8">
+          <h2 className="text-xl font-semibold mb-4">Who should hear about this?</h2>
+          <table className="w-full text-sm border border-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-2 text-left">Rank</th>
+                <th className="p-2 text-left">Recipient</th>
+                <th className="p-2 text-left">Score</th>
+                <th className="p-2 text-left">Recommendation</th>
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {ranking.map(recipient => (
+                <RankingRow
+                  key={recipient.index}
+                  recipient={recipient}
+                  expanded={expanded === recipient.index}
+                  onToggle={() => setExpanded(expanded === recipient.index ? null : recipient.index)}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RankingRow = ({ recipient, expanded, onToggle }) => (
+  <>
+    <tr className="border-t border-gray-200">
+      <td className="p-2">{recipient.rank}</td>
+      <td className="p-2 font-medium">{recipient.name}</td>
+      <td className="p-2">
+        <div className="flex items-center">
+          <div className="w-24 h-3 bg-gray-200 rounded-full overflow-hidden mr-2">
+            <div
+              className={`h-full rounded-full ${recipient.isRelevant ? 'bg-green-600' : 'bg-red-500'}`}
+              style={{ width: `${recipient.score * 100}%` }}
+            />
+          </div>
+          {(recipient.score * 100).toFixed(1)}%
+        </div>
+      </td>
+      <td className="p-2">
+        {recipient.shouldShare ? (
+          <span className="text-green-700 font-medium">
+            Tell them{recipient.urgent && <span className="ml-1 text-red-600">(urgent)</span>}
+          </span>
+        ) : recipient.isRelevant ? (
+          <span className="text-gray-500">Already knows</span>
+        ) : (
+          <span className="text-gray-500">Not relevant</span>
+        )}
+      </td>
+      <td className="p-2 text-right">
+        <button type="button" onClick={onToggle} className="text-blue-600 hover:text-blue-800">
+          {expanded ? 'Hide' : 'Why?'}
+        </button>
+      </td>
+    </tr>
+    {expanded && (
+      <tr className="bg-gray-50">
+        <td colSpan={5} className="p-3 text-sm">{recipient.explanation}</td>
+      </tr>
+    )}
+  </>
+);
+
+export default RecipientRanking;
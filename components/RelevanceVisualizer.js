@@ -1,51 +1,210 @@
-import { useState, useEffect } from 'react';
+const ENTITY_CATEGORIES = [
+  { key: 'people', label: 'People' },
+  { key: 'places', label: 'Places' },
+  { key: 'organizations', label: 'Organizations' },
+  { key: 'topics', label: 'Topics' },
+  { key: 'dates', label: 'Dates and Times' }
+];
 
-const RelevanceVisualizer = ({ 
-  result, 
-  primaryEntities, 
-  secondaryEntities,
-  showSemanticSimilarity = true // New prop to control display
-}) => {
-  const [sharedEntities, setSharedEntities] = useState([]);
-  const [sharedKeywords, setSharedKeywords] = useState([]);
-  const [uniquePrimaryEntities, setUniquePrimaryEntities] = useState([]);
-  const [uniqueSecondaryEntities, setUniqueSecondaryEntities] = useState([]);
+const METRICS = [
+  { key: 'entityOverlap', label: 'Entity Overlap', color: 'bg-blue-600' },
+  { key: 'keywordOverlap', label: 'Keyword Similarity', color: 'bg-green-600' },
+  { key: 'topicSimilarity', label: 'Topic Similarity', color: 'bg-teal-600' },
+  { key: 'semanticSimilarity', label: 'Semantic Similarity', color: 'bg-purple-600' }
+];
+
+/**
+ * Group entities by category.
+ * Uncategorized entities (simple/LLM algorithms) form a single unlabeled group,
+ * categorized entities (NLP algorithm) get one group per category.
+ * @param {Array} entities - Array of { text, category, forms } entities from the result
+ * @returns {Array} - Array of { key, label, items } groups
+ */
+const toEntityGroups = (entities = []) => {
+  const uncategorized = {
+    key: 'entities',
+    label: null,
+    items: entities.filter(entity => !entity.category)
+  };
   
-  useEffect(() => {
-    if (result && primaryEntities && secondaryEntities) {
-      // Find shared entities by comparing arrays
-      const shared = primaryEntities.filter(entity =>
-        secondaryEntities.some(secEntity => 
-          secEntity.toLowerCase() === entity.toLowerCase()
-        )
-      );
-      setSharedEntities(shared);
-      
-      // Find unique entities
-      const uniquePrimary = primaryEntities.filter(entity => 
-        !secondaryEntities.some(secEntity => 
-          secEntity.toLowerCase() === entity.toLowerCase()
-        )
-      );
-      setUniquePrimaryEntities(uniquePrimary);
-      
-      const uniqueSecondary = secondaryEntities.filter(entity => 
-        !primaryEntities.some(primEntity => 
-          primEntity.toLowerCase() === entity.toLowerCase()
-        )
-      );
-      setUniqueSecondaryEntities(uniqueSecondary);
-      
-      // Extract shared keywords from explanation
-      const keywordsMatch = result.explanation.match(/share keywords related to: ([^.]+)/);
-      if (keywordsMatch) {
-        setSharedKeywords(keywordsMatch[1].split(', ').filter(k => k !== '...'));
-      }
-    }
-  }, [result, primaryEntities, secondaryEntities]);
+  return [
+    uncategorized,
+    ...ENTITY_CATEGORIES.map(category => ({
+      key: category.key,
+      label: category.label,
+      items: entities.filter(entity => entity.category === category.key)
+    }))
+  ];
+};
+
+/**
+ * Surface forms merged into an entity besides its display name
+ * @param {Object} entity - { text, forms } entity
+ * @returns {Array<string>} - Other forms, e.g. ["AWS"] for Amazon Web Services
+ */
+const otherForms = (entity) => (entity.forms || []).filter(form => form !== entity.text);
+
+const ChunkMatches = ({ details }) => {
+  if (!details || !(details.chunked.primary || details.chunked.secondary)) return null;
+  
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-md">
+      <h4 className="font-medium mb-1">Best-Matching Passages</h4>
+      <p className="text-xs text-gray-500 mb-3">
+        Long texts were split into chunks ({details.chunkCounts.primary} primary, {details.chunkCounts.secondary} secondary)
+        and compared pairwise using the {details.aggregate} aggregate.
+      </p>
+      {details.bestPairs.map(pair => (
+        <div key={`${pair.primary.index}-${pair.secondary.index}`} className="mb-3 last:mb-0">
+          <p className="text-xs font-semibold text-gray-500 mb-1">
+            Primary chunk {pair.primary.index + 1} ↔ secondary chunk {pair.secondary.index + 1}: {(pair.similarity * 100).toFixed(1)}%
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <p className="text-sm bg-white border border-gray-200 rounded p-2 line-clamp-4">{pair.primary.text}</p>
+            <p className="text-sm bg-white border border-gray-200 rounded p-2 line-clamp-4">{pair.secondary.text}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const KeywordWeights = ({ details }) => {
+  if (!details || details.topTerms.length === 0) return null;
+  
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-md">
+      <h4 className="font-medium mb-1">Most Telling Shared Terms</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        Keywords are weighted by {details.method === 'bm25' ? 'BM25' : 'TF-IDF'} over a corpus of {details.corpusSize} documents,
+        so rare terms count more than common ones.
+      </p>
+      <ul className="list-disc pl-5">
+        {details.topTerms.map(term => (
+          <li key={term.term} className="text-sm mb-1">
+            {term.term}
+            <span className="text-xs text-gray-500"> (in {term.documentFrequency} of {details.corpusSize} documents, adds {(term.contribution * 100).toFixed(1)}% to the keyword similarity)</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Describe the period a temporal expression refers to
+ * @param {Object} expression - { interval, timeOfDay } expression from result.temporal
+ * @returns {string} - e.g. "2025-06-16 to 2025-06-22" or "14:00-16:00"
+ */
+const describePeriod = (expression) => {
+  if (!expression.interval) return `${expression.timeOfDay.start}-${expression.timeOfDay.end}`;
+  
+  // Intervals end on the day after the last one
+  const last = new Date(Date.parse(expression.interval.end) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return last === expression.interval.start ? last : `${expression.interval.start} to ${last}`;
+};
+
+const TimeReferences = ({ temporal }) => {
+  if (!temporal || (temporal.shared.length === 0 && !temporal.urgent)) return null;
+  
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-md">
+      <h4 className="font-medium mb-1">Time References</h4>
+      <p className="text-xs text-gray-500 mb-2">Relative dates are resolved against {temporal.referenceDate}.</p>
+      {temporal.shared.length > 0 && (
+        <ul className="list-disc pl-5 mb-2">
+          {temporal.shared.map(pair => (
+            <li key={`${pair.primary.start}-${pair.secondary.start}`} className="text-sm mb-1">
+              &ldquo;{pair.primary.text}&rdquo; ↔ &ldquo;{pair.secondary.text}&rdquo;
+              <span className="text-xs text-gray-500"> (overlapping: {describePeriod(pair.primary)} and {describePeriod(pair.secondary)})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {temporal.urgent && (
+        <ul className="list-disc pl-5">
+          {temporal.urgentItems.map(item => (
+            <li key={`${item.source}-${item.start}`} className="text-sm mb-1 text-red-700">
+              Urgent: &ldquo;{item.text}&rdquo; ({describePeriod(item)}{item.deadline ? ', deadline' : ''})
+              <span className="text-xs text-gray-500"> in the {item.source} text</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const NovelFacts = ({ novelty }) => {
+  if (!novelty) return null;
+  
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-md">
+      <h4 className="font-medium mb-1">New to the Secondary Person</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        {(novelty.novelty * 100).toFixed(1)}% of the primary text&apos;s content is new to them
+        (recommendation threshold {(novelty.threshold * 100).toFixed(0)}%).
+      </p>
+      {novelty.facts.length === 0 ? (
+        <p className="text-sm italic text-gray-500">No new facts detected</p>
+      ) : (
+        <ul className="list-disc pl-5">
+          {novelty.facts.map(fact => (
+            <li key={fact.sentence.index} className="text-sm mb-1">
+              {fact.sentence.text}
+              <span className="text-xs text-gray-500"> (new: {fact.novelTerms.join(', ')})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const EntityGroups = ({ groups, prefix, emptyMessage }) => {
+  const nonEmpty = groups.filter(group => group.items.length > 0);
   
+  if (nonEmpty.length === 0) {
+    return (
+      <ul className="list-disc pl-5">
+        <li className="text-sm italic text-gray-500">{emptyMessage}</li>
+      </ul>
+    );
+  }
+  
+  return nonEmpty.map(group => (
+    <div key={`${prefix}-${group.key}`} className="mb-2">
+      {group.label && (
+        <p className="text-xs font-semibold uppercase text-gray-500 mb-1">{group.label}</p>
+      )}
+      <ul className="list-disc pl-5">
+        {group.items.map((entity, index) => (
+          <li key={`${prefix}-${group.key}-${index}`} className="text-sm mb-1">
+            {entity.text}
+            {otherForms(entity).length > 0 && (
+              <span className="text-xs text-gray-500" title="Merged surface forms">
+                {' '}(also: {otherForms(entity).join(', ')})
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  ));
+};
+
+const RelevanceVisualizer = ({ result }) => {
   if (!result) return null;
   
+  const sharedEntities = toEntityGroups(result.entities?.shared);
+  const uniquePrimaryEntities = toEntityGroups(result.entities?.primaryOnly);
+  const uniqueSecondaryEntities = toEntityGroups(result.entities?.secondaryOnly);
+  // Matched keyword groups show the forms of both texts, e.g. "cost ~ costs"
+  const sharedKeywords = result.keywords?.matches?.map(match => match.label) || result.keywords?.shared || [];
+  const metrics = METRICS.filter(metric => result.components?.[metric.key] !== undefined);
+  // Recommend sharing only when the primary text also adds new information
+  const shouldShare = result.novelty ? result.novelty.shouldShare : result.isRelevant;
+  
   return (
     <div className="mt-6">
       <h3 className="text-lg font-medium mb-4">Knowledge Overlap Visualization</h3>
@@ -53,28 +212,22 @@ const RelevanceVisualizer = ({
       <div className="flex justify-between items-start">
         <div className="w-1/3 bg-blue-50 p-4 rounded-md">
           <h4 className="font-medium text-blue-800 mb-2">Primary Person&apos;s Unique Knowledge</h4>
-          <ul className="list-disc pl-5">
-            {uniquePrimaryEntities.map((entity, index) => (
-              <li key={`primary-${index}`} className="text-sm mb-1">{entity}</li>
-            ))}
-            {uniquePrimaryEntities.length === 0 && (
-              <li className="text-sm italic text-gray-500">No unique entities detected</li>
-            )}
-          </ul>
+          <EntityGroups
+            groups={uniquePrimaryEntities}
+            prefix="primary"
+            emptyMessage="No unique entities detected"
+          />
         </div>
         
         <div className="w-1/3 bg-purple-50 p-4 rounded-md mx-2">
           <h4 className="font-medium text-purple-800 mb-2">Shared Knowledge</h4>
           <div>
             <p className="text-sm font-medium mb-1">Entities:</p>
-            <ul className="list-disc pl-5">
-              {sharedEntities.map((entity, index) => (
-                <li key={`shared-entity-${index}`} className="text-sm mb-1">{entity}</li>
-              ))}
-              {sharedEntities.length === 0 && (
-                <li className="text-sm italic text-gray-500">No shared entities detected</li>
-              )}
-            </ul>
+            <EntityGroups
+              groups={sharedEntities}
+              prefix="shared-entity"
+              emptyMessage="No shared entities detected"
+            />
           </div>
           
           {sharedKeywords.length > 0 && (
@@ -91,54 +244,34 @@ const RelevanceVisualizer = ({
         
         <div className="w-1/3 bg-green-50 p-4 rounded-md">
           <h4 className="font-medium text-green-800 mb-2">Secondary Person&apos;s Unique Knowledge</h4>
-          <ul className="list-disc pl-5">
-            {uniqueSecondaryEntities.map((entity, index) => (
-              <li key={`secondary-${index}`} className="text-sm mb-1">{entity}</li>
-            ))}
-            {uniqueSecondaryEntities.length === 0 && (
-              <li className="text-sm italic text-gray-500">No unique entities detected</li>
-            )}
-          </ul>
+          <EntityGroups
+            groups={uniqueSecondaryEntities}
+            prefix="secondary"
+            emptyMessage="No unique entities detected"
+          />
         </div>
       </div>
       
       <div className="mt-6 bg-gray-50 p-4 rounded-md">
         <h4 className="font-medium mb-2">Relevance Metrics</h4>
         <div className="flex justify-between">
-          <div className={showSemanticSimilarity ? "w-1/3" : "w-1/2"}>
-            <p className="text-sm mb-1">Entity Overlap</p>
-            <div className="w-full h-4 bg-gray-200 rounded-full overflow-hidden">
-              <div 
-                className="h-full bg-blue-600 rounded-full" 
-                style={{ width: `${(result.components?.entityOverlap || 0) * 100}%` }}
-              />
-            </div>
-            <p className="text-xs text-right mt-1">{((result.components?.entityOverlap || 0) * 100).toFixed(1)}%</p>
-          </div>
-          
-          <div className={showSemanticSimilarity ? "w-1/3 mx-2" : "w-1/2 ml-2"}>
-            <p className="text-sm mb-1">Keyword Similarity</p>
-            <div className="w-full h-4 bg-gray-200 rounded-full overflow-hidden">
-              <div 
-                className="h-full bg-green-600 rounded-full" 
-                style={{ width: `${(result.components?.keywordOverlap || 0) * 100}%` }}
-              />
-            </div>
-            <p className="text-xs text-right mt-1">{((result.components?.keywordOverlap || 0) * 100).toFixed(1)}%</p>
-          </div>
-          
-          {showSemanticSimilarity && (
-            <div className="w-1/3">
-              <p className="text-sm mb-1">Semantic Similarity</p>
+          {metrics.map((metric, index) => (
+            <div key={metric.key} className={`flex-1 ${index > 0 ? 'ml-2' : ''}`}>
+              <p className="text-sm mb-1">
+                {metric.label}
+                {result.weights?.[metric.key] !== undefined && (
+                  <span className="text-xs text-gray-500"> (weight {result.weights[metric.key]})</span>
+                )}
+              </p>
               <div className="w-full h-4 bg-gray-200 rounded-full overflow-hidden">
                 <div 
-                  className="h-full bg-purple-600 rounded-full" 
-                  style={{ width: `${(result.components?.semanticSimilarity || 0) * 100}%` }}
+                  className={`h-full ${metric.color} rounded-full`} 
+                  style={{ width: `${(result.components[metric.key] || 0) * 100}%` }}
                 />
               </div>
-              <p className="text-xs text-right mt-1">{((result.components?.semanticSimilarity || 0) * 100).toFixed(1)}%</p>
+              <p className="text-xs text-right mt-1">{((result.components[metric.key] || 0) * 100).toFixed(1)}%</p>
             </div>
-          )}
+          ))}
         </div>
         
         <div className="mt-4">
@@ -147,24 +280,62 @@ const RelevanceVisualizer = ({
             <div 
               className={`h-full rounded-full ${
                 result.score > 0.7 ? 'bg-green-600' : 
-                result.score > (showSemanticSimilarity ? 0.35 : 0.3) ? 'bg-yellow-500' : 'bg-red-500'
+                result.score > result.threshold ? 'bg-yellow-500' : 'bg-red-500'
               }`}
               style={{ width: `${result.score * 100}%` }}
             />
           </div>
-          <p className="text-xs text-right mt-1">{(result.score * 100).toFixed(1)}%</p>
+          <div className="flex justify-between text-xs mt-1">
+            <span className="text-gray-500">
+              {result.threshold !== undefined && `Threshold: ${(result.threshold * 100).toFixed(1)}%`}
+              {result.preset && ` (${result.preset} preset)`}
+            </span>
+            <span>{(result.score * 100).toFixed(1)}%</span>
+          </div>
+          {result.embedding && (
+            <p className="text-xs text-gray-500 mt-1">
+              Embeddings: {result.embedding.provider} / {result.embedding.model}
+              {result.embedding.fallback && ' (unavailable, estimated from keywords and entities)'}
+            </p>
+          )}
+          {result.languages && (
+            <p className="text-xs text-gray-500 mt-1">
+              Languages: {result.languages.primary.toUpperCase()} / {result.languages.secondary.toUpperCase()}
+            </p>
+          )}
         </div>
       </div>
       
-      {result.isRelevant && (
+      {shouldShare && (
         <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
           <p className="text-sm">
+            {result.temporal?.urgent && (
+              <span className="mr-2 px-2 py-0.5 text-xs font-semibold text-white bg-red-600 rounded">Urgent</span>
+            )}
             <span className="font-bold">Recommendation:</span> The information from the primary person 
-            should be shared with the secondary person as it&apos;s relevant to their work context.
+            should be shared with the secondary person as it&apos;s relevant to their work context
+            {result.novelty && ' and adds something they don\'t know yet'}.
           </p>
         </div>
       )}
       
+      {result.isRelevant && !shouldShare && (
+        <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
+          <p className="text-sm">
+            <span className="font-bold">Recommendation:</span> No need to share. The texts are related, but
+            the secondary person already knows most of this.
+          </p>
+        </div>
+      )}
+      
+      <NovelFacts novelty={result.novelty} />
+      
+      <TimeReferences temporal={result.temporal} />
+      
+      <KeywordWeights details={result.details?.keywordOverlap} />
+      
+      <ChunkMatches details={result.details?.semanticSimilarity} />
+      
       <div className="mt-4 p-4 bg-gray-50 rounded-md">
         <h4 className="font-medium mb-2">Analysis Explanation</h4>
         <p className="text-sm">{result.explanation}</p>
@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+
+const EMPTY_FORM = { name: '', url: '', secret: '', threshold: '0.5', template: '' };
+
+const STATUS_STYLES = {
+  delivered: 'text-green-700',
+  failed: 'text-red-600',
+  pending: 'text-gray-500'
+};
+
+const WebhookManager = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deliveries, setDeliveries] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadWebhooks = async () => {
+    try {
+      const response = await fetch('/api/webhooks');
+      const data = await response.json();
+      setWebhooks(data.webhooks || []);
+    } catch (error) {
+      console.error('Error loading webhooks:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  // Run a webhook API request, then reload the webhook list
+  const request = async (url, options = {}) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = response.status === 204 ? {} : await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Webhook request failed');
+      }
+
+      await loadWebhooks();
+      return data;
+    } catch (error) {
+      console.error('Error updating webhooks:', error);
+      setError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadDeliveries = async (webhookId) => {
+    const data = await request(`/api/webhooks/${webhookId}/deliveries?limit=10`);
+    if (data) setDeliveries(current => ({ ...current, [webhookId]: data.deliveries }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    let template = null;
+    if (form.template.trim()) {
+      try {
+        template = JSON.parse(form.template);
+      } catch {
+        setError('The payload template must be valid JSON');
+        return;
+      }
+    }
+
+    const created = await request('/api/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: form.name,
+        url: form.url,
+        ...(form.secret && { secret: form.secret }),
+        threshold: Number(form.threshold),
+        template
+      }),
+    });
+    if (created) setForm(EMPTY_FORM);
+  };
+
+  const handleToggle = (webhook) =>
+    request(`/api/webhooks/${webhook.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ enabled: !webhook.enabled }),
+    });
+
+  const handleTest = async (webhook) => {
+    const sent = await request(`/api/webhooks/${webhook.id}/test`, { method: 'POST' });
+    if (sent) await loadDeliveries(webhook.id);
+  };
+
+  const handleDelete = (webhook) => {
+    if (window.confirm(`Delete the webhook ${webhook.name}?`)) {
+      request(`/api/webhooks/${webhook.id}`, { method: 'DELETE' });
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleCreate} className="border border-gray-200 rounded-md p-4 mb-6">
+        <p className="text-sm text-gray-600 mb-4">
+          Webhooks receive a POST whenever an analysis scores above their threshold: comparisons,
+          recipient rankings (one per recipient) and chat imports (one per finding).
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Name, e.g. Team Slack"
+            required
+          />
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="https://example.com/hooks/relevance"
+            required
+          />
+          <input
+            type="password"
+            value={form.secret}
+            onChange={(e) => setForm({ ...form, secret: e.target.value })}
+            className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Signing secret (optional)"
+            autoComplete="new-password"
+          />
+          <label className="flex items-center text-sm font-medium text-gray-700">
+            Threshold
+            <input
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              value={form.threshold}
+              onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+              className="ml-2 w-24 p-2 border border-gray-300 rounded-md"
+            />
+          </label>
+        </div>
+        <textarea
+          value={form.template}
+          onChange={(e) => setForm({ ...form, template: e.target.value })}
+          rows={3}
+          className="w-full p-2 text-sm font-mono border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder={'Payload template (optional JSON), e.g. { "text": "{{summary}}: {{explanation}}" }. Empty sends the full event.'}
+        />
+        <div className="text-right mt-2">
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add Webhook
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm">
+          An error occurred: {error}
+        </div>
+      )}
+
+      {webhooks.length === 0 && (
+        <p className="text-sm italic text-gray-500">No webhooks yet.</p>
+      )}
+
+      {webhooks.map(webhook => (
+        <div key={webhook.id} className="border border-gray-200 rounded-md p-4 mb-4">
+          <div className="flex justify-between items-start">
+            <div>
+              <h3 className="font-semibold">
+                {webhook.name}
+                {!webhook.enabled && <span className="ml-2 text-xs font-normal text-gray-500">(disabled)</span>}
+              </h3>
+              <p className="text-xs text-gray-500 break-all">
+                {webhook.url} · above {(webhook.threshold * 100).toFixed(0)}%
+                {webhook.hasSecret && ' · signed'}
+                {webhook.template !== null && ' · custom payload'}
+              </p>
+            </div>
+            <div className="flex space-x-3 text-sm">
+              <button type="button" disabled={busy} onClick={() => handleTest(webhook)} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                Send test
+              </button>
+              <button type="button" disabled={busy} onClick={() => loadDeliveries(webhook.id)} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                Deliveries
+              </button>
+              <button type="button" disabled={busy} onClick={() => handleToggle(webhook)} className="text-gray-600 hover:text-gray-800 disabled:opacity-50">
+                {webhook.enabled ? 'Disable' : 'Enable'}
+              </button>
+              <button type="button" onClick={() => handleDelete(webhook)} className="text-red-600 hover:text-red-800">
+                Delete
+              </button>
+            </div>
+          </div>
+
+          {deliveries[webhook.id] && (
+            <ul className="mt-3 text-sm space-y-1">
+              {deliveries[webhook.id].length === 0 && (
+                <li className="text-gray-500 italic">No deliveries yet.</li>
+              )}
+              {deliveries[webhook.id].map(delivery => {
+                const last = delivery.attempts[delivery.attempts.length - 1];
+                return (
+                  <li key={delivery.id} className="flex justify-between bg-gray-50 rounded p-2">
+                    <span>
+                      <span className="text-xs text-gray-500 mr-2">{new Date(delivery.createdAt).toLocaleString()}</span>
+                      {delivery.event}
+                    </span>
+                    <span className={STATUS_STYLES[delivery.status]}>
+                      {delivery.status}
+                      {last && ` · ${last.status ?? last.error}`}
+                      {` · ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}`}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WebhookManager;
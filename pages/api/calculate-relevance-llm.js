@@ -1,4 +1,11 @@
 import { calculateRelevance, extractSimpleEntities } from '../../utils/llmEnhancedRelevanceAlgorithm';
+import { afterAnalysis } from '../../utils/analysisHooks';
+import { DocumentTooLargeError, InvalidDocumentError, resolveDocumentTexts } from '../../utils/documentIngestion';
+import { createRequestEmbeddingProvider, resolveEmbeddingOptions } from '../../utils/embeddingProviders';
+import { isRationaleEnabledByDefault, withRationale } from '../../utils/llmRationale';
+import { resolveScorer } from '../../utils/presets';
+import { ProfileNotFoundError, resolveProfileTexts } from '../../utils/profileStore';
+import { resolveReferenceDate } from '../../utils/temporal';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,32 +13,107 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { primaryText, secondaryText } = req.body;
+    const {
+      preset,
+      weights,
+      threshold,
+      chunking,
+      keywordSimilarity,
+      rationale = isRationaleEnabledByDefault()
+    } = req.body;
+    
+    // Either text can be an uploaded document (see /api/extract-document) or a stored profile
+    const documents = resolveDocumentTexts(req.body);
+    const { primaryText, secondaryText, knownEmbeddings } = await resolveProfileTexts({ ...req.body, ...documents });
     
     if (!primaryText || !secondaryText) {
-      return res.status(400).json({ error: 'Both primaryText and secondaryText are required' });
+      return res.status(400).json({ error: 'Both primaryText and secondaryText (or a profile ID or document for each) are required' });
+    }
+    
+    if (typeof rationale !== 'boolean') {
+      return res.status(400).json({ error: 'rationale must be a boolean' });
+    }
+    
+    // Apply the optional preset and weight/threshold/chunking/keyword similarity overrides
+    let scorer;
+    try {
+      scorer = resolveScorer('llm', { preset, weights, threshold, chunking, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
     
-    // Get API key from server environment variable
-    const apiKey = process.env.OPENAI_API_KEY;
+    // Relative dates ("next week", "Q2") are resolved against the reference date, today by default
+    let referenceDate;
+    try {
+      referenceDate = resolveReferenceDate(req.body.referenceDate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Use the requested or configured embedding provider (OpenAI, Azure or the offline local provider)
+    let embeddingOptions;
+    try {
+      embeddingOptions = resolveEmbeddingOptions(req.body.embedding);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
-    if (!apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key is not configured' });
+    // PII is redacted before the embedding and chat calls (PII_REDACTION)
+    let embeddingProvider;
+    let redactor;
+    try {
+      ({ embeddingProvider, redactor } = createRequestEmbeddingProvider(embeddingOptions, [primaryText, secondaryText]));
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
     }
     
-    // Extract entities
+    // Extract entities from the original texts
     const primaryEntities = extractSimpleEntities(primaryText);
     const secondaryEntities = extractSimpleEntities(secondaryText);
     
     // Calculate relevance
-    const result = await calculateRelevance(primaryText, secondaryText, apiKey);
+    let result = await calculateRelevance(primaryText, secondaryText, null, scorer, {
+      embeddingProvider,
+      knownEmbeddings,
+      referenceDate
+    });
+    
+    // Optionally ask a chat model for a rationale; falls back to the template explanation
+    if (rationale) {
+      result = await withRationale(result, primaryText, secondaryText, { redactor });
+    }
+    
+    await afterAnalysis({
+      texts: [primaryText, secondaryText],
+      events: [{ source: 'calculate-relevance-llm', result }]
+    });
     
     return res.status(200).json({ 
       result,
       primaryEntities,
-      secondaryEntities
+      secondaryEntities,
+      // Resolved texts, so evidence offsets can be shown when a profile was used
+      primaryText,
+      secondaryText,
+      // Uploaded documents' filenames and metadata
+      primaryDocument: documents.primaryDocument,
+      secondaryDocument: documents.secondaryDocument,
+      // PII categories replaced before the embedding and chat calls
+      redaction: redactor.report()
     });
   } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    if (error instanceof InvalidDocumentError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error instanceof DocumentTooLargeError) {
+      return res.status(413).json({ error: error.message });
+    }
+    
     console.error('Error calculating relevance:', error);
     return res.status(500).json({ 
       error: 'Failed to calculate relevance',
@@ -0,0 +1,82 @@
+import { calculateRelevance, extractEntities } from '../../utils/nlpRelevanceAlgorithm';
+import { afterAnalysis } from '../../utils/analysisHooks';
+import { DocumentTooLargeError, InvalidDocumentError, resolveDocumentTexts } from '../../utils/documentIngestion';
+import { resolveScorer } from '../../utils/presets';
+import { ProfileNotFoundError, resolveProfileTexts } from '../../utils/profileStore';
+import { resolveReferenceDate } from '../../utils/temporal';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { preset, weights, threshold } = req.body;
+    
+    // Either text can be an uploaded document (see /api/extract-document) or a stored profile
+    const documents = resolveDocumentTexts(req.body);
+    const { primaryText, secondaryText } = await resolveProfileTexts({ ...req.body, ...documents });
+    
+    if (!primaryText || !secondaryText) {
+      return res.status(400).json({ error: 'Both primaryText and secondaryText (or a profile ID or document for each) are required' });
+    }
+    
+    // Apply the optional preset and weight/threshold overrides
+    let scorer;
+    try {
+      scorer = resolveScorer('nlp', { preset, weights, threshold });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Relative dates ("next week", "Q2") are resolved against the reference date, today by default
+    let referenceDate;
+    try {
+      referenceDate = resolveReferenceDate(req.body.referenceDate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Extract categorized entities (people, places, organizations, topics)
+    const primaryEntities = extractEntities(primaryText);
+    const secondaryEntities = extractEntities(secondaryText);
+    
+    // Calculate relevance
+    const result = await calculateRelevance(primaryText, secondaryText, scorer, { referenceDate });
+    
+    await afterAnalysis({
+      texts: [primaryText, secondaryText],
+      events: [{ source: 'calculate-relevance-nlp', result }]
+    });
+    
+    return res.status(200).json({ 
+      result,
+      primaryEntities,
+      secondaryEntities,
+      // Resolved texts, so evidence offsets can be shown when a profile was used
+      primaryText,
+      secondaryText,
+      // Uploaded documents' filenames and metadata
+      primaryDocument: documents.primaryDocument,
+      secondaryDocument: documents.secondaryDocument
+    });
+  } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    if (error instanceof InvalidDocumentError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error instanceof DocumentTooLargeError) {
+      return res.status(413).json({ error: error.message });
+    }
+    
+    console.error('Error calculating relevance:', error);
+    return res.status(500).json({ 
+      error: 'Failed to calculate relevance',
+      message: error.message 
+    });
+  }
+}
@@ -1,4 +1,9 @@
 import { calculateRelevance, extractSimpleEntities } from '../../utils/simpleRelevanceAlgorithm';
+import { afterAnalysis } from '../../utils/analysisHooks';
+import { DocumentTooLargeError, InvalidDocumentError, resolveDocumentTexts } from '../../utils/documentIngestion';
+import { resolveScorer } from '../../utils/presets';
+import { ProfileNotFoundError, resolveProfileTexts } from '../../utils/profileStore';
+import { resolveReferenceDate } from '../../utils/temporal';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,31 +11,68 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { primaryText, secondaryText } = req.body;
+    const { preset, weights, threshold, keywordSimilarity } = req.body;
+    
+    // Either text can be an uploaded document (see /api/extract-document) or a stored profile
+    const documents = resolveDocumentTexts(req.body);
+    const { primaryText, secondaryText } = await resolveProfileTexts({ ...req.body, ...documents });
     
     if (!primaryText || !secondaryText) {
-      return res.status(400).json({ error: 'Both primaryText and secondaryText are required' });
+      return res.status(400).json({ error: 'Both primaryText and secondaryText (or a profile ID or document for each) are required' });
+    }
+    
+    // Apply the optional preset and weight/threshold/keyword similarity overrides
+    let scorer;
+    try {
+      scorer = resolveScorer('simple', { preset, weights, threshold, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
     
-    // Extract entities (we need to export this function in simpleRelevanceAlgorithm.js)
+    // Relative dates ("next week", "Q2") are resolved against the reference date, today by default
+    let referenceDate;
+    try {
+      referenceDate = resolveReferenceDate(req.body.referenceDate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Extract entities
     const primaryEntities = extractSimpleEntities(primaryText);
     const secondaryEntities = extractSimpleEntities(secondaryText);
     
     // Calculate relevance
-    const result = await calculateRelevance(primaryText, secondaryText);
+    const result = await calculateRelevance(primaryText, secondaryText, scorer, { referenceDate });
     
-    // Add components property for consistency with visualization
-    result.components = {
-      keywordOverlap: result.explanation.match(/Keyword similarity: ([^%]+)/)[1] / 100,
-      entityOverlap: result.explanation.match(/Entity overlap: ([^%]+)/)[1] / 100
-    };
+    await afterAnalysis({
+      texts: [primaryText, secondaryText],
+      events: [{ source: 'calculate-relevance-simple', result }]
+    });
     
     return res.status(200).json({ 
       result,
       primaryEntities,
-      secondaryEntities
+      secondaryEntities,
+      // Resolved texts, so evidence offsets can be shown when a profile was used
+      primaryText,
+      secondaryText,
+      // Uploaded documents' filenames and metadata
+      primaryDocument: documents.primaryDocument,
+      secondaryDocument: documents.secondaryDocument
     });
   } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    if (error instanceof InvalidDocumentError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error instanceof DocumentTooLargeError) {
+      return res.status(413).json({ error: error.message });
+    }
+    
     console.error('Error calculating relevance:', error);
     return res.status(500).json({ 
       error: 'Failed to calculate relevance',
@@ -0,0 +1,125 @@
+import { calibrateScorer, formatCalibration, toCalibratedPreset, validateStep } from '../../utils/calibration';
+import { getCorpusSnapshot, getEmptyCorpusModel } from '../../utils/corpus';
+import { createRequestEmbeddingProvider, resolveEmbeddingOptions } from '../../utils/embeddingProviders';
+import { DatasetError, loadDataset, validateDataset } from '../../utils/evaluation';
+import { resolveScorer, validatePresetName } from '../../utils/presets';
+import { saveCalibratedPreset } from '../../utils/presetStore';
+import { listScorers } from '../../utils/scorerRegistry';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      algorithm = 'simple',
+      preset,
+      keywordSimilarity,
+      dataset,
+      corpus = true,
+      name,
+      step,
+      save = true
+    } = req.body;
+
+    const algorithms = listScorers();
+    if (!algorithms.includes(algorithm)) {
+      return res.status(400).json({ error: `algorithm must be one of: ${algorithms.join(', ')}` });
+    }
+
+    if (typeof save !== 'boolean') {
+      return res.status(400).json({ error: 'save must be a boolean' });
+    }
+
+    if (typeof corpus !== 'boolean') {
+      return res.status(400).json({ error: 'corpus must be a boolean' });
+    }
+
+    // Check everything that can be rejected before the pairs are scored
+    try {
+      if (save) validatePresetName(algorithm, name);
+      if (step !== undefined) validateStep(step);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // A bundled dataset by name, or labeled pairs sent inline
+    let labeled;
+    try {
+      labeled = dataset !== null && typeof dataset === 'object'
+        ? validateDataset(dataset)
+        : await loadDataset(dataset);
+    } catch (error) {
+      if (error instanceof DatasetError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // The grid search starts from the default configuration or the given preset,
+    // optionally with another keyword similarity
+    let scorer;
+    try {
+      scorer = resolveScorer(algorithm, { preset, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Every pair is weighted by one snapshot of the corpus, or by none, so recorded
+    // analyses can't shift the scores halfway through
+    const context = { corpusModel: corpus ? await getCorpusSnapshot() : getEmptyCorpusModel() };
+
+    // Only the llm algorithm sends texts to an embedding API
+    let redactor = null;
+
+    if (algorithm === 'llm') {
+      // Calibrations default to the offline local provider, like evaluations
+      let embeddingOptions;
+      try {
+        embeddingOptions = resolveEmbeddingOptions(req.body.embedding || { provider: 'local' });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // PII is redacted before the embedding calls when another provider is requested (PII_REDACTION)
+      try {
+        ({ embeddingProvider: context.embeddingProvider, redactor } = createRequestEmbeddingProvider(
+          embeddingOptions,
+          labeled.pairs.flatMap(pair => [pair.primaryText, pair.secondaryText])
+        ));
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    const report = await calibrateScorer(scorer, labeled, context, { step });
+    const calibrated = toCalibratedPreset(report);
+
+    // The weights only hold for the keyword similarity they were fitted with
+    if (keywordSimilarity !== undefined && keywordSimilarity !== null) {
+      calibrated.keywordSimilarity = keywordSimilarity;
+    }
+
+    if (save) {
+      await saveCalibratedPreset(algorithm, name, calibrated);
+    }
+
+    return res.status(200).json({
+      report,
+      preset: { name: save ? name : null, ...calibrated },
+      saved: save,
+      table: formatCalibration(report),
+      // Corpus the keywords were weighted by
+      corpus: { documentCount: context.corpusModel.documentCount, updatedAt: context.corpusModel.updatedAt },
+      // PII categories replaced before the embedding calls, null when none were made
+      redaction: redactor && redactor.report()
+    });
+  } catch (error) {
+    console.error('Error calibrating scorer:', error);
+    return res.status(500).json({
+      error: 'Failed to calibrate scorer',
+      message: error.message
+    });
+  }
+}
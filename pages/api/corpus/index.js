@@ -0,0 +1,52 @@
+import { CLEARABLE_SOURCES, clearCorpusSource, getCorpusStats, uploadDocuments } from '../../../utils/corpus';
+
+// Uploaded corpora can be larger than the default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const stats = await getCorpusStats();
+      return res.status(200).json({ corpus: stats });
+    }
+    
+    if (req.method === 'POST') {
+      const { documents, replace = false } = req.body;
+      
+      if (!Array.isArray(documents) || documents.length === 0 ||
+        documents.some(text => typeof text !== 'string' || !text.trim())) {
+        return res.status(400).json({ error: 'documents must be a non-empty array of non-empty strings' });
+      }
+      
+      if (typeof replace !== 'boolean') {
+        return res.status(400).json({ error: 'replace must be a boolean' });
+      }
+      
+      const added = await uploadDocuments(documents, { replace });
+      return res.status(200).json({ added, corpus: await getCorpusStats() });
+    }
+    
+    if (req.method === 'DELETE') {
+      const { source } = req.query;
+      
+      if (!CLEARABLE_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: ${CLEARABLE_SOURCES.join(', ')}` });
+      }
+      
+      const removed = await clearCorpusSource(source);
+      return res.status(200).json({ removed, corpus: await getCorpusStats() });
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error managing corpus:', error);
+    return res.status(500).json({ 
+      error: 'Failed to manage corpus',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,24 @@
+import { getCorpusStats, rebuildCorpus } from '../../../utils/corpus';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { dropAnalyses = false } = req.body || {};
+    
+    if (typeof dropAnalyses !== 'boolean') {
+      return res.status(400).json({ error: 'dropAnalyses must be a boolean' });
+    }
+    
+    await rebuildCorpus({ dropAnalyses });
+    return res.status(200).json({ corpus: await getCorpusStats() });
+  } catch (error) {
+    console.error('Error rebuilding corpus:', error);
+    return res.status(500).json({ 
+      error: 'Failed to rebuild corpus',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,62 @@
+import { draftFromTemplate, draftWithLLM, validateDraftResult } from '../../utils/messageDraft';
+import { createRedactor } from '../../utils/redaction';
+
+const MODES = ['template', 'llm'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { primaryText, secondaryText, result, mode = 'template', recipientName } = req.body;
+
+    // The draft is built from a result returned by one of the calculate-relevance routes
+    if (!primaryText || !secondaryText || !result || typeof result !== 'object') {
+      return res.status(400).json({ error: 'primaryText, secondaryText and result are required' });
+    }
+
+    try {
+      validateDraftResult(result);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${MODES.join(', ')}` });
+    }
+
+    if (recipientName !== undefined && (typeof recipientName !== 'string' || recipientName.length > 100)) {
+      return res.status(400).json({ error: 'recipientName must be a string of at most 100 characters' });
+    }
+
+    const name = recipientName?.trim() || undefined;
+
+    // Only LLM drafts send texts to a chat API; PII is redacted first (PII_REDACTION)
+    let redactor = null;
+    if (mode === 'llm') {
+      try {
+        redactor = createRedactor({ texts: [primaryText, secondaryText] });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    // LLM drafts fall back to the template when the chat model fails
+    const draft = mode === 'llm'
+      ? await draftWithLLM(primaryText, secondaryText, result, { recipientName: name, redactor })
+      : draftFromTemplate(result, { recipientName: name });
+
+    return res.status(200).json({
+      draft,
+      // PII categories replaced before the chat call, null for template drafts
+      redaction: redactor && redactor.report()
+    });
+  } catch (error) {
+    console.error('Error drafting message:', error);
+    return res.status(500).json({
+      error: 'Failed to draft message',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import { getCorpusSnapshot, getEmptyCorpusModel } from '../../utils/corpus';
+import { createRequestEmbeddingProvider, resolveEmbeddingOptions } from '../../utils/embeddingProviders';
+import { DatasetError, evaluateScorer, formatReport, loadDataset, validateDataset } from '../../utils/evaluation';
+import { resolveScorer } from '../../utils/presets';
+import { listScorers } from '../../utils/scorerRegistry';
+
+const FORMATS = ['json', 'table'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      algorithm = 'simple',
+      preset,
+      weights,
+      threshold,
+      chunking,
+      keywordSimilarity,
+      dataset,
+      corpus = true,
+      format = 'json'
+    } = req.body;
+
+    const algorithms = listScorers();
+    if (!algorithms.includes(algorithm)) {
+      return res.status(400).json({ error: `algorithm must be one of: ${algorithms.join(', ')}` });
+    }
+
+    if (typeof corpus !== 'boolean') {
+      return res.status(400).json({ error: 'corpus must be a boolean' });
+    }
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    // A bundled dataset by name, or labeled pairs sent inline
+    let labeled;
+    try {
+      labeled = dataset !== null && typeof dataset === 'object'
+        ? validateDataset(dataset)
+        : await loadDataset(dataset);
+    } catch (error) {
+      if (error instanceof DatasetError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Apply the optional preset and weight/threshold/chunking/keyword similarity overrides
+    let scorer;
+    try {
+      scorer = resolveScorer(algorithm, { preset, weights, threshold, chunking, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Every pair is weighted by one snapshot of the corpus, or by none, so recorded
+    // analyses can't shift the scores halfway through
+    const context = { corpusModel: corpus ? await getCorpusSnapshot() : getEmptyCorpusModel() };
+
+    // Only the llm algorithm sends texts to an embedding API
+    let redactor = null;
+
+    if (algorithm === 'llm') {
+      // Evaluations default to the offline local provider, so runs are free and reproducible
+      let embeddingOptions;
+      try {
+        embeddingOptions = resolveEmbeddingOptions(req.body.embedding || { provider: 'local' });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // PII is redacted before the embedding calls when another provider is requested (PII_REDACTION)
+      try {
+        ({ embeddingProvider: context.embeddingProvider, redactor } = createRequestEmbeddingProvider(
+          embeddingOptions,
+          labeled.pairs.flatMap(pair => [pair.primaryText, pair.secondaryText])
+        ));
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    const report = await evaluateScorer(scorer, labeled, context);
+    const table = formatReport(report);
+
+    if (format === 'table') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(`${table}\n`);
+    }
+
+    return res.status(200).json({
+      report,
+      table,
+      // Corpus the keywords were weighted by
+      corpus: { documentCount: context.corpusModel.documentCount, updatedAt: context.corpusModel.updatedAt },
+      // PII categories replaced before the embedding calls, null when none were made
+      redaction: redactor && redactor.report()
+    });
+  } catch (error) {
+    console.error('Error evaluating scorer:', error);
+    return res.status(500).json({
+      error: 'Failed to evaluate scorer',
+      message: error.message
+    });
+  }
+}
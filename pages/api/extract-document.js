@@ -0,0 +1,99 @@
+import {
+  DocumentTooLargeError,
+  ingestDocument,
+  InvalidDocumentError,
+  UnsupportedDocumentError
+} from '../../utils/documentIngestion';
+
+// Files arrive as multipart/form-data, which is read from the raw body
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_FILES = 10;
+
+/**
+ * Read a request body, up to a size limit
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<Buffer|null>} - Body, or null when it exceeds the limit
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!/^multipart\/form-data\b/i.test(req.headers['content-type'] || '')) {
+    return res.status(400).json({ error: 'Upload files as multipart/form-data' });
+  }
+
+  try {
+    const body = await readBody(req);
+
+    if (!body) {
+      return res.status(413).json({ error: `Uploads are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` });
+    }
+
+    let form;
+    try {
+      form = await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid multipart body: ${error.message}` });
+    }
+
+    // Every file field is a document; the field name tells them apart
+    const files = [...form.entries()].filter(([, value]) => typeof value === 'object');
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    if (files.length > MAX_FILES) {
+      return res.status(400).json({ error: `At most ${MAX_FILES} files can be uploaded at once` });
+    }
+
+    const documents = await Promise.all(files.map(async ([field, file]) => ({
+      field,
+      ...ingestDocument({
+        filename: file.name,
+        content: Buffer.from(await file.arrayBuffer()),
+        contentType: file.type
+      })
+    })));
+
+    return res.status(200).json({ documents });
+  } catch (error) {
+    if (error instanceof DocumentTooLargeError) {
+      return res.status(413).json({ error: error.message });
+    }
+
+    if (error instanceof UnsupportedDocumentError) {
+      return res.status(415).json({ error: error.message });
+    }
+
+    if (error instanceof InvalidDocumentError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error extracting documents:', error);
+    return res.status(500).json({
+      error: 'Failed to extract documents',
+      message: error.message
+    });
+  }
+}
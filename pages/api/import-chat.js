@@ -0,0 +1,144 @@
+import { afterAnalysis } from '../../utils/analysisHooks';
+import {
+  CHAT_FORMATS,
+  findChatFindings,
+  groupMessagesByAuthor,
+  InvalidChatExportError,
+  MAX_AUTHORS,
+  parseChatExport
+} from '../../utils/chatTranscripts';
+import { createRequestEmbeddingProvider, resolveEmbeddingOptions } from '../../utils/embeddingProviders';
+import { resolveScorer } from '../../utils/presets';
+import { resolveReferenceDate } from '../../utils/temporal';
+
+const ALGORITHMS = ['simple', 'nlp', 'llm'];
+
+// Channel exports can be larger than the default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      content,
+      format,
+      users = [],
+      algorithm = 'simple',
+      preset,
+      weights,
+      threshold,
+      chunking,
+      keywordSimilarity
+    } = req.body;
+
+    if (typeof content !== 'string' && !Array.isArray(content)) {
+      return res.status(400).json({ error: 'content must be the export file contents, or an array of Slack messages' });
+    }
+
+    if (format !== undefined && !CHAT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${CHAT_FORMATS.join(', ')}` });
+    }
+
+    if (!Array.isArray(users)) {
+      return res.status(400).json({ error: 'users must be an array of Slack users.json entries' });
+    }
+
+    if (!ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({ error: `algorithm must be one of: ${ALGORITHMS.join(', ')}` });
+    }
+
+    // Group the messages into one knowledge text per author
+    let messages;
+    try {
+      messages = parseChatExport(content, { format, users });
+    } catch (error) {
+      if (error instanceof InvalidChatExportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const authors = groupMessagesByAuthor(messages);
+
+    if (authors.length < 2) {
+      return res.status(400).json({ error: 'The export needs messages from at least two authors' });
+    }
+
+    if (authors.length > MAX_AUTHORS) {
+      return res.status(400).json({ error: `At most ${MAX_AUTHORS} authors can be compared at once` });
+    }
+
+    // Apply the optional preset and weight/threshold/chunking/keyword similarity overrides
+    let scorer;
+    try {
+      scorer = resolveScorer(algorithm, { preset, weights, threshold, chunking, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Relative dates ("next week", "Q2") are resolved against the reference date, today by default
+    let referenceDate;
+    try {
+      referenceDate = resolveReferenceDate(req.body.referenceDate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const context = { referenceDate };
+
+    // Only the llm algorithm sends texts to an embedding API
+    let redactor = null;
+
+    if (algorithm === 'llm') {
+      // Use the requested or configured embedding provider (OpenAI, Azure or the offline local provider)
+      let embeddingOptions;
+      try {
+        embeddingOptions = resolveEmbeddingOptions(req.body.embedding);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // PII is redacted before the embedding calls (PII_REDACTION)
+      try {
+        ({ embeddingProvider: context.embeddingProvider, redactor } = createRequestEmbeddingProvider(
+          embeddingOptions,
+          authors.map(author => author.text)
+        ));
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    // Compare every author with every other
+    const findings = await findChatFindings(scorer, authors, context);
+
+    // One webhook event per finding
+    await afterAnalysis({
+      texts: authors.map(author => author.text),
+      events: findings.map(({ from, to, messages, result }) => ({ source: 'import-chat', from, to, messages, result }))
+    });
+
+    return res.status(200).json({
+      algorithm,
+      preset: scorer.preset,
+      messageCount: messages.length,
+      authors: authors.map(author => ({ name: author.author, messageCount: author.messages.length })),
+      findings,
+      // PII categories replaced before the embedding calls, null when none were made
+      redaction: redactor && redactor.report()
+    });
+  } catch (error) {
+    console.error('Error importing chat:', error);
+    return res.status(500).json({
+      error: 'Failed to import chat',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,15 @@
+import { listScorers } from '../../utils/scorerRegistry';
+import { listPresets } from '../../utils/presets';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Presets available for each scorer, keyed by scorer name
+  const presets = Object.fromEntries(
+    listScorers().map(name => [name, listPresets(name)])
+  );
+
+  return res.status(200).json({ presets });
+}
@@ -0,0 +1,45 @@
+import {
+  deleteProfile,
+  getProfile,
+  ProfileNotFoundError,
+  updateProfile
+} from '../../../utils/profileStore';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const profile = await getProfile(id);
+      return res.status(200).json({ profile });
+    }
+    
+    if (req.method === 'PATCH') {
+      const { name } = req.body;
+      
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      
+      const profile = await updateProfile(id, { name: name.trim() });
+      return res.status(200).json({ profile });
+    }
+    
+    if (req.method === 'DELETE') {
+      await deleteProfile(id);
+      return res.status(204).end();
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error managing profile:', error);
+    return res.status(500).json({ 
+      error: 'Failed to manage profile',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,28 @@
+import { ProfileNotFoundError, removeSnippet } from '../../../../../utils/profileStore';
+import { createEmbedder } from '../../../../../utils/embeddingProviders';
+
+export default async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id, snippetId } = req.query;
+    
+    // Re-embed the profile with the configured embedding provider, PII redacted (PII_REDACTION)
+    const embed = createEmbedder();
+    
+    const profile = await removeSnippet(id, snippetId, embed);
+    return res.status(200).json({ profile });
+  } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error removing snippet:', error);
+    return res.status(500).json({ 
+      error: 'Failed to remove snippet',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,33 @@
+import { addSnippet, ProfileNotFoundError } from '../../../../../utils/profileStore';
+import { createEmbedder } from '../../../../../utils/embeddingProviders';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+    const { text } = req.body;
+    
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    
+    // Re-embed the profile with the configured embedding provider, PII redacted (PII_REDACTION)
+    const embed = createEmbedder();
+    
+    const profile = await addSnippet(id, text, embed);
+    return res.status(201).json({ profile });
+  } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error adding snippet:', error);
+    return res.status(500).json({ 
+      error: 'Failed to add snippet',
+      message: error.message 
+    });
+  }
+}
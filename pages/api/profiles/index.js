@@ -0,0 +1,38 @@
+import { createProfile, listProfiles, summarizeProfile } from '../../../utils/profileStore';
+import { createEmbedder } from '../../../utils/embeddingProviders';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      // Embedding vectors are left out of the listing; GET /api/profiles/:id has them
+      const profiles = (await listProfiles()).map(summarizeProfile);
+      return res.status(200).json({ profiles });
+    }
+    
+    if (req.method === 'POST') {
+      const { name, snippets = [] } = req.body;
+      
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      
+      if (!Array.isArray(snippets) || snippets.some(text => typeof text !== 'string' || !text.trim())) {
+        return res.status(400).json({ error: 'snippets must be an array of non-empty strings' });
+      }
+      
+      // Embed the profile with the configured embedding provider, PII redacted (PII_REDACTION)
+      const embed = createEmbedder();
+      
+      const profile = await createProfile({ name: name.trim(), snippets }, embed);
+      return res.status(201).json({ profile });
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error managing profiles:', error);
+    return res.status(500).json({ 
+      error: 'Failed to manage profiles',
+      message: error.message 
+    });
+  }
+}
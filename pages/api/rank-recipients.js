@@ -0,0 +1,141 @@
+import { afterAnalysis } from '../../utils/analysisHooks';
+import { createRequestEmbeddingProvider, resolveEmbeddingOptions } from '../../utils/embeddingProviders';
+import { rankRecipients } from '../../utils/recipientRanking';
+import { resolveScorer } from '../../utils/presets';
+import {
+  getProfile,
+  getProfileText,
+  ProfileNotFoundError,
+  resolveProfileTexts
+} from '../../utils/profileStore';
+import { resolveReferenceDate } from '../../utils/temporal';
+
+const ALGORITHMS = ['simple', 'nlp', 'llm'];
+const MAX_RECIPIENTS = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      algorithm = 'simple',
+      preset,
+      weights,
+      threshold,
+      chunking,
+      keywordSimilarity
+    } = req.body;
+    
+    // The primary text can be replaced by a stored profile
+    const { primaryText, knownEmbeddings } = await resolveProfileTexts(req.body);
+    
+    if (!primaryText) {
+      return res.status(400).json({ error: 'primaryText (or primaryProfileId) is required' });
+    }
+    
+    if (!Array.isArray(req.body.recipients) || req.body.recipients.length === 0) {
+      return res.status(400).json({ error: 'recipients must be a non-empty array of { name, text } or { profileId }' });
+    }
+    
+    if (req.body.recipients.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ error: `At most ${MAX_RECIPIENTS} recipients can be ranked at once` });
+    }
+    
+    // Recipients given as { profileId } use the stored profile's name and knowledge
+    const recipients = await Promise.all(req.body.recipients.map(async recipient => {
+      if (!recipient?.profileId) return recipient;
+      
+      const profile = await getProfile(recipient.profileId);
+      const text = getProfileText(profile);
+      
+      if (profile.embedding) {
+        knownEmbeddings.push({ text, ...profile.embedding });
+      }
+      
+      return { name: recipient.name || profile.name, text };
+    }));
+    
+    const invalid = recipients.findIndex(recipient =>
+      !recipient || typeof recipient.name !== 'string' || !recipient.name.trim() ||
+      typeof recipient.text !== 'string' || !recipient.text.trim()
+    );
+    
+    if (invalid !== -1) {
+      return res.status(400).json({ error: `Recipient ${invalid + 1} needs both a name and a text` });
+    }
+    
+    if (!ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({ error: `algorithm must be one of: ${ALGORITHMS.join(', ')}` });
+    }
+    
+    // Apply the optional preset and weight/threshold/chunking/keyword similarity overrides
+    let scorer;
+    try {
+      scorer = resolveScorer(algorithm, { preset, weights, threshold, chunking, keywordSimilarity });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Relative dates ("next week", "Q2") are resolved against the reference date, today by default
+    let referenceDate;
+    try {
+      referenceDate = resolveReferenceDate(req.body.referenceDate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const context = { knownEmbeddings, referenceDate };
+    
+    // Only the llm algorithm sends texts to an embedding API
+    let redactor = null;
+    
+    if (algorithm === 'llm') {
+      // Use the requested or configured embedding provider (OpenAI, Azure or the offline local provider)
+      let embeddingOptions;
+      try {
+        embeddingOptions = resolveEmbeddingOptions(req.body.embedding);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      // PII is redacted before the embedding calls (PII_REDACTION)
+      try {
+        ({ embeddingProvider: context.embeddingProvider, redactor } = createRequestEmbeddingProvider(
+          embeddingOptions,
+          [primaryText, ...recipients.map(recipient => recipient.text)]
+        ));
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+    
+    // Score every recipient and rank them
+    const ranked = await rankRecipients(scorer, primaryText, recipients, context);
+    
+    // One webhook event per recipient
+    await afterAnalysis({
+      texts: [primaryText, ...recipients.map(recipient => recipient.text)],
+      events: ranked.map(recipient => ({ source: 'rank-recipients', to: recipient.name, result: recipient.result }))
+    });
+    
+    return res.status(200).json({
+      algorithm,
+      preset: scorer.preset,
+      recipients: ranked,
+      // PII categories replaced before the embedding calls, null when none were made
+      redaction: redactor && redactor.report()
+    });
+  } catch (error) {
+    if (error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error ranking recipients:', error);
+    return res.status(500).json({ 
+      error: 'Failed to rank recipients',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,48 @@
+import {
+  deleteWebhook,
+  getWebhook,
+  toPublicWebhook,
+  updateWebhook,
+  validateWebhook,
+  WebhookNotFoundError
+} from '../../../utils/webhookStore';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const webhook = await getWebhook(id);
+      return res.status(200).json({ webhook: toPublicWebhook(webhook) });
+    }
+    
+    if (req.method === 'PATCH') {
+      let fields;
+      try {
+        fields = validateWebhook(req.body, { partial: true });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      const webhook = await updateWebhook(id, fields);
+      return res.status(200).json({ webhook: toPublicWebhook(webhook) });
+    }
+    
+    if (req.method === 'DELETE') {
+      await deleteWebhook(id);
+      return res.status(204).end();
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof WebhookNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error managing webhook:', error);
+    return res.status(500).json({ 
+      error: 'Failed to manage webhook',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,31 @@
+import { listDeliveries, WebhookNotFoundError } from '../../../../utils/webhookStore';
+
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, limit = '50' } = req.query;
+  const parsedLimit = Number(limit);
+
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    const deliveries = await listDeliveries(id, parsedLimit);
+    return res.status(200).json({ deliveries });
+  } catch (error) {
+    if (error instanceof WebhookNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error listing webhook deliveries:', error);
+    return res.status(500).json({ 
+      error: 'Failed to list webhook deliveries',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,27 @@
+import { getWebhook, WebhookNotFoundError } from '../../../../utils/webhookStore';
+import { sendTestEvent } from '../../../../utils/webhooks';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    // Sends a sample event once and waits for the receiver's answer
+    const webhook = await getWebhook(id);
+    const delivery = await sendTestEvent(webhook);
+    return res.status(200).json({ delivery });
+  } catch (error) {
+    if (error instanceof WebhookNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    console.error('Error testing webhook:', error);
+    return res.status(500).json({ 
+      error: 'Failed to test webhook',
+      message: error.message 
+    });
+  }
+}
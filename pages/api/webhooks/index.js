@@ -0,0 +1,30 @@
+import { createWebhook, listWebhooks, toPublicWebhook, validateWebhook } from '../../../utils/webhookStore';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const webhooks = await listWebhooks();
+      return res.status(200).json({ webhooks: webhooks.map(toPublicWebhook) });
+    }
+    
+    if (req.method === 'POST') {
+      let fields;
+      try {
+        fields = validateWebhook(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      const webhook = await createWebhook(fields);
+      return res.status(201).json({ webhook: toPublicWebhook(webhook) });
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error managing webhooks:', error);
+    return res.status(500).json({ 
+      error: 'Failed to manage webhooks',
+      message: error.message 
+    });
+  }
+}
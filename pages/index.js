@@ -1,16 +1,84 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
 import RelevanceVisualizer from '../components/RelevanceVisualizer';
+import EvidenceHighlighter from '../components/EvidenceHighlighter';
 import SampleData from '../components/SampleData';
+import RecipientRanking from '../components/RecipientRanking';
+import ProfileManager from '../components/ProfileManager';
+import MessageDraft from '../components/MessageDraft';
+import DocumentDropZone, { describeDocument } from '../components/DocumentDropZone';
+import ChatImport from '../components/ChatImport';
+import WebhookManager from '../components/WebhookManager';
+
+const VIEWS = [
+  { id: 'compare', label: 'Compare Two People' },
+  { id: 'rank', label: 'Rank Recipients' },
+  { id: 'chat', label: 'Chat Import' },
+  { id: 'profiles', label: 'Profiles' },
+  { id: 'webhooks', label: 'Webhooks' }
+];
+
+const ALGORITHMS = [
+  { id: 'simple', label: 'Simple', endpoint: '/api/calculate-relevance-simple' },
+  { id: 'nlp', label: 'NLP', endpoint: '/api/calculate-relevance-nlp' },
+  { id: 'llm', label: 'AI-Enhanced', endpoint: '/api/calculate-relevance-llm' }
+];
 
 export default function Home() {
   const [primaryText, setPrimaryText] = useState('');
   const [secondaryText, setSecondaryText] = useState('');
+  const [primaryDocument, setPrimaryDocument] = useState(null); // Uploaded file behind the primary text
+  const [secondaryDocument, setSecondaryDocument] = useState(null);
   const [result, setResult] = useState(null);
+  const [analyzedTexts, setAnalyzedTexts] = useState(null); // Texts the result's evidence offsets refer to
   const [loading, setLoading] = useState(false);
-  const [primaryEntities, setPrimaryEntities] = useState([]);
-  const [secondaryEntities, setSecondaryEntities] = useState([]);
-  const [useLLM, setUseLLM] = useState(true); // State for algorithm selection
+  const [algorithm, setAlgorithm] = useState('llm'); // State for algorithm selection
+  const [presets, setPresets] = useState({}); // Presets available per algorithm
+  const [preset, setPreset] = useState('default');
+  const [rationale, setRationale] = useState(false); // Ask a chat model for a rationale (AI-Enhanced only)
+  const [referenceDate, setReferenceDate] = useState(''); // Date relative dates are resolved against; empty means today
+  const [view, setView] = useState('compare'); // Pairwise comparison, ranking or profiles
+  const [profiles, setProfiles] = useState([]);
+  const [secondaryProfileId, setSecondaryProfileId] = useState(''); // Compare against a stored profile
+  
+  const useLLM = algorithm === 'llm';
+  
+  const loadProfiles = async () => {
+    try {
+      const response = await fetch('/api/profiles');
+      const data = await response.json();
+      setProfiles(data.profiles || []);
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+  };
+  
+  useEffect(() => {
+    fetch('/api/presets')
+      .then(response => response.json())
+      .then(data => setPresets(data.presets || {}))
+      .catch(error => console.error('Error loading presets:', error));
+    
+    loadProfiles();
+  }, []);
+  
+  const secondaryProfile = profiles.find(profile => profile.id === secondaryProfileId);
+  
+  const handleSelectAlgorithm = (id) => {
+    setAlgorithm(id);
+    setPreset('default');
+  };
+
+  // An uploaded file replaces the text; editing the text afterwards detaches the file
+  const handlePrimaryDocument = (document) => {
+    setPrimaryDocument(document);
+    if (document) setPrimaryText(document.text);
+  };
+  
+  const handleSecondaryDocument = (document) => {
+    setSecondaryDocument(document);
+    if (document) setSecondaryText(document.text);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -18,7 +86,7 @@ export default function Home() {
     
     try {
       // Call the appropriate API route based on selected algorithm
-      const endpoint = useLLM ? '/api/calculate-relevance-llm' : '/api/calculate-relevance-simple';
+      const { endpoint } = ALGORITHMS.find(option => option.id === algorithm);
       
       const response = await fetch(endpoint, {
         method: 'POST',
@@ -26,36 +94,50 @@ export default function Home() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          primaryText,
-          secondaryText
+          ...(primaryDocument ? { primaryDocument } : { primaryText }),
+          ...(secondaryProfile
+            ? { secondaryProfileId }
+            : secondaryDocument ? { secondaryDocument } : { secondaryText }),
+          preset,
+          ...(referenceDate && { referenceDate }),
+          ...(useLLM && { rationale })
         }),
       });
       
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to calculate relevance');
+        throw new Error(errorData.message || errorData.error || 'Failed to calculate relevance');
       }
       
       const data = await response.json();
       
       // Set state with the API response
       setResult(data.result);
-      setPrimaryEntities(data.primaryEntities);
-      setSecondaryEntities(data.secondaryEntities);
+      setAnalyzedTexts({
+        primary: data.primaryText,
+        secondary: data.secondaryText,
+        recipient: secondaryProfile?.name || '',
+        documents: [
+          { label: 'Primary', document: data.primaryDocument },
+          { label: 'Secondary', document: data.secondaryDocument }
+        ].filter(({ document }) => document),
+        redaction: data.redaction || null, // PII replaced before the AI-Enhanced embedding and chat calls
+        analyzedAt: Date.now() // Resets the message draft for each analysis
+      });
     } catch (error) {
       console.error('Error calculating relevance:', error);
       setResult({ 
         isRelevant: false, 
         score: 0, 
         explanation: `An error occurred: ${error.message}`,
-        components: {
-          keywordOverlap: 0,
-          entityOverlap: 0,
-          semanticSimilarity: useLLM ? 0 : undefined // Only include semanticSimilarity if LLM is used
-        }
+        components: algorithm === 'nlp'
+          ? { entityOverlap: 0, topicSimilarity: 0 }
+          : {
+            keywordOverlap: 0,
+            entityOverlap: 0,
+            semanticSimilarity: useLLM ? 0 : undefined // Only include semanticSimilarity if LLM is used
+          }
       });
-      setPrimaryEntities([]);
-      setSecondaryEntities([]);
     } finally {
       setLoading(false);
     }
@@ -64,9 +146,9 @@ export default function Home() {
   const handleApplySample = (primary, secondary) => {
     setPrimaryText(primary);
     setSecondaryText(secondary);
+    setPrimaryDocument(null);
+    setSecondaryDocument(null);
     setResult(null);
-    setPrimaryEntities([]);
-    setSecondaryEntities([]);
   };
 
   return (
@@ -83,122 +165,296 @@ export default function Home() {
         </h1>
         
         <div className="bg-white p-6 rounded-lg shadow-md">
-          {/* Algorithm selection buttons */}
+          {/* View and algorithm selection buttons */}
           <div className="flex justify-end mb-4 items-center">
+            <div className="inline-flex rounded-md shadow-sm mr-auto" role="group">
+              {VIEWS.map((option, index) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => setView(option.id)}
+                  className={`px-4 py-2 text-sm font-medium ${
+                    index === 0 ? 'rounded-l-lg' : ''
+                  } ${
+                    index === VIEWS.length - 1 ? 'rounded-r-lg' : ''
+                  } ${
+                    view === option.id
+                      ? 'bg-gray-800 text-white'
+                      : 'bg-white text-gray-700 hover:bg-gray-100'
+                  } border border-gray-300`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
             <span className="text-sm font-medium text-gray-700 mr-2">Choose Algorithm:</span>
             <div className="inline-flex rounded-md shadow-sm" role="group">
-              <button
-                type="button"
-                onClick={() => setUseLLM(false)}
-                className={`px-4 py-2 text-sm font-medium rounded-l-lg ${
-                  !useLLM 
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-white text-gray-700 hover:bg-gray-100'
-                } border border-gray-300`}
-              >
-                Simple
-              </button>
-              <button
-                type="button"
-                onClick={() => setUseLLM(true)}
-                className={`px-4 py-2 text-sm font-medium rounded-r-lg ${
-                  useLLM 
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-white text-gray-700 hover:bg-gray-100'
-                } border border-gray-300`}
-              >
-                AI-Enhanced
-              </button>
+              {ALGORITHMS.map((option, index) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => handleSelectAlgorithm(option.id)}
+                  className={`px-4 py-2 text-sm font-medium ${
+                    index === 0 ? 'rounded-l-lg' : ''
+                  } ${
+                    index === ALGORITHMS.length - 1 ? 'rounded-r-lg' : ''
+                  } ${
+                    algorithm === option.id
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white text-gray-700 hover:bg-gray-100'
+                  } border border-gray-300`}
+                >
+                  {option.label}
+                </button>
+              ))}
             </div>
+            <label htmlFor="preset" className="text-sm font-medium text-gray-700 ml-4 mr-2">Preset:</label>
+            <select
+              id="preset"
+              value={preset}
+              onChange={(e) => setPreset(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md bg-white"
+            >
+              <option value="default">Default</option>
+              {(presets[algorithm] || []).map(option => (
+                <option key={option.name} value={option.name} title={option.description}>
+                  {option.name.charAt(0).toUpperCase() + option.name.slice(1)}
+                </option>
+              ))}
+            </select>
+            {!['profiles', 'webhooks'].includes(view) && (
+              <>
+                <label htmlFor="referenceDate" className="text-sm font-medium text-gray-700 ml-4 mr-2">As of:</label>
+                <input
+                  id="referenceDate"
+                  type="date"
+                  value={referenceDate}
+                  onChange={(e) => setReferenceDate(e.target.value)}
+                  title="Date that relative dates like 'next week' refer to; defaults to today"
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-md bg-white"
+                />
+              </>
+            )}
+            {useLLM && view === 'compare' && (
+              <label className="ml-4 inline-flex items-center text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rationale}
+                  onChange={(e) => setRationale(e.target.checked)}
+                  className="mr-2"
+                />
+                Generate AI rationale
+              </label>
+            )}
           </div>
           
-          {/* Sample Data Component */}
-          <SampleData onApplySample={handleApplySample} />
+          {view === 'profiles' && (
+            <ProfileManager profiles={profiles} onProfilesChange={loadProfiles} />
+          )}
           
-          <form onSubmit={handleSubmit}>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-              <div>
-                <label htmlFor="primaryText" className="block text-sm font-medium text-gray-700 mb-2">
-                  Primary Person&apos;s Knowledge (What they know)
-                </label>
-                <textarea
-                  id="primaryText"
-                  value={primaryText}
-                  onChange={(e) => setPrimaryText(e.target.value)}
-                  rows={10}
-                  className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Enter text representing what the primary person knows..."
-                  required
-                />
-              </div>
+          {view === 'rank' && (
+            <RecipientRanking algorithm={algorithm} preset={preset} referenceDate={referenceDate} />
+          )}
+          
+          {view === 'chat' && (
+            <ChatImport algorithm={algorithm} preset={preset} referenceDate={referenceDate} />
+          )}
+          
+          {view === 'webhooks' && (
+            <WebhookManager />
+          )}
+          
+          {view === 'compare' && (
+            <>
+            {/* Sample Data Component */}
+            <SampleData onApplySample={handleApplySample} />
+          
+            <form onSubmit={handleSubmit}>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <div>
+                  <label htmlFor="primaryText" className="block text-sm font-medium text-gray-700 mb-2">
+                    Primary Person&apos;s Knowledge (What they know)
+                  </label>
+                  <DocumentDropZone document={primaryDocument} onDocument={handlePrimaryDocument}>
+                    <textarea
+                      id="primaryText"
+                      value={primaryText}
+                      onChange={(e) => {
+                        setPrimaryText(e.target.value);
+                        setPrimaryDocument(null);
+                      }}
+                      rows={10}
+                      className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Enter text representing what the primary person knows, or drop a file..."
+                      required
+                    />
+                  </DocumentDropZone>
+                </div>
               
-              <div>
-                <label htmlFor="secondaryText" className="block text-sm font-medium text-gray-700 mb-2">
-                  Secondary Person&apos;s Knowledge (What they know)
-                </label>
-                <textarea
-                  id="secondaryText"
-                  value={secondaryText}
-                  onChange={(e) => setSecondaryText(e.target.value)}
-                  rows={10}
-                  className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Enter text representing what the secondary person knows..."
-                  required
-                />
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <label htmlFor="secondaryText" className="block text-sm font-medium text-gray-700">
+                      Secondary Person&apos;s Knowledge (What they know)
+                    </label>
+                    {profiles.length > 0 && (
+                      <select
+                        aria-label="Secondary profile"
+                        value={secondaryProfileId}
+                        onChange={(e) => setSecondaryProfileId(e.target.value)}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white"
+                      >
+                        <option value="">Paste text</option>
+                        {profiles.map(profile => (
+                          <option key={profile.id} value={profile.id}>{profile.name}&apos;s profile</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {secondaryProfile ? (
+                    <textarea
+                      id="secondaryText"
+                      value={secondaryProfile.snippets.map(snippet => snippet.text).join('\n\n')}
+                      rows={10}
+                      className="w-full p-3 border border-gray-300 rounded-md bg-gray-50 text-gray-600"
+                      readOnly
+                    />
+                  ) : (
+                    <DocumentDropZone document={secondaryDocument} onDocument={handleSecondaryDocument}>
+                      <textarea
+                        id="secondaryText"
+                        value={secondaryText}
+                        onChange={(e) => {
+                          setSecondaryText(e.target.value);
+                          setSecondaryDocument(null);
+                        }}
+                        rows={10}
+                        className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Enter text representing what the secondary person knows, or drop a file..."
+                        required
+                      />
+                    </DocumentDropZone>
+                  )}
+                </div>
               </div>
-            </div>
             
-            <div className="text-center">
-              <button
-                type="submit"
-                disabled={loading}
-                className="px-6 py-3 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
-              >
-                {loading ? `Analyzing${useLLM ? ' with AI' : ''}...` : `Analyze Relevance${useLLM ? ' with AI' : ''}`}
-              </button>
-            </div>
-          </form>
+              <div className="text-center">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-6 py-3 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+                >
+                  {loading ? `Analyzing${useLLM ? ' with AI' : ''}...` : `Analyze Relevance${useLLM ? ' with AI' : ''}`}
+                </button>
+              </div>
+            </form>
           
-          {result && (
-            <div className="mt-8">
-              <div className={`p-4 rounded-md ${result.isRelevant ? 'bg-green-50 border border-green-200' : 'bg-yellow-50 border border-yellow-200'}`}>
-                <div className="flex justify-between items-start">
-                  <div>
-                    <h2 className="text-xl font-semibold mb-2">
-                      Result: {result.isRelevant ? 'Relevant' : 'Not Relevant'}
-                    </h2>
-                    <p className="mb-2">
-                      <span className="font-medium">Relevance Score:</span> {(result.score * 100).toFixed(1)}%
-                    </p>
+            {result && (
+              <div className="mt-8">
+                <div className={`p-4 rounded-md ${result.isRelevant ? 'bg-green-50 border border-green-200' : 'bg-yellow-50 border border-yellow-200'}`}>
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h2 className="text-xl font-semibold mb-2">
+                        Result: {result.isRelevant ? 'Relevant' : 'Not Relevant'}
+                      </h2>
+                      <p className="mb-2">
+                        <span className="font-medium">Relevance Score:</span> {(result.score * 100).toFixed(1)}%
+                      </p>
+                      {analyzedTexts?.documents.map(({ label, document }) => (
+                        <p key={label} className="text-sm text-gray-600">
+                          <span className="font-medium">{label}:</span> {document.filename}
+                          {describeDocument(document) && ` (${describeDocument(document)})`}
+                        </p>
+                      ))}
+                      {analyzedTexts?.redaction?.categories.length > 0 && (
+                        <p className="text-sm text-gray-600">
+                          <span className="font-medium">Redacted before AI calls:</span>{' '}
+                          {analyzedTexts.redaction.categories
+                            .map(category => `${category} (${analyzedTexts.redaction.counts[category]})`)
+                            .join(', ')}
+                        </p>
+                      )}
+                    </div>
+                    {useLLM && (
+                      <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-xs font-semibold">
+                        AI-Enhanced
+                      </div>
+                    )}
                   </div>
-                  {useLLM && (
-                    <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-xs font-semibold">
-                      AI-Enhanced
+                  {result.rationale && (
+                    <div className="mb-4">
+                      <div className="flex items-center mb-1">
+                        <span className="font-medium">Rationale:</span>
+                        {result.rationale.urgency && (
+                          <span className="ml-2 bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs font-semibold">
+                            {result.rationale.urgency} urgency
+                          </span>
+                        )}
+                        {result.rationale.confidence !== null && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            {(result.rationale.confidence * 100).toFixed(0)}% confident
+                          </span>
+                        )}
+                      </div>
+                      <p>{result.rationale.text}</p>
+                      {result.rationale.factsToShare.length > 0 && (
+                        <ul className="list-disc pl-5 mt-2 text-sm">
+                          {result.rationale.factsToShare.map((fact, index) => (
+                            <li key={index}>{fact}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {result.rationale.source === 'template' && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          AI rationale unavailable ({result.rationale.error}); showing the standard explanation.
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  
+                  {result.evidence?.pairs.length > 0 && analyzedTexts ? (
+                    <div>
+                      <span className="font-medium">Evidence:</span>
+                      <div className="mt-1">
+                        <EvidenceHighlighter
+                          evidence={result.evidence}
+                          primaryText={analyzedTexts.primary}
+                          secondaryText={analyzedTexts.secondary}
+                        />
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <span className="font-medium">Explanation:</span>
+                      <p className="mt-1">{result.explanation}</p>
                     </div>
                   )}
-                </div>
-                <div>
-                  <span className="font-medium">Explanation:</span>
-                  <p className="mt-1">{result.explanation}</p>
-                </div>
                 
-                {result.isRelevant && (
-                  <div className="mt-4 p-3 bg-blue-50 border border-blue-100 rounded">
-                    <p className="font-medium text-blue-800">
-                      Recommendation: The primary person should inform the secondary person about this information.
-                    </p>
-                  </div>
-                )}
-              </div>
+                  {(result.novelty ? result.novelty.shouldShare : result.isRelevant) && (
+                    <div className="mt-4 p-3 bg-blue-50 border border-blue-100 rounded">
+                      <p className="font-medium text-blue-800">
+                        Recommendation: The primary person should inform the secondary person about this information.
+                      </p>
+                      {analyzedTexts && (
+                        <MessageDraft
+                          key={analyzedTexts.analyzedAt}
+                          result={result}
+                          primaryText={analyzedTexts.primary}
+                          secondaryText={analyzedTexts.secondary}
+                          mode={result.algorithm === 'llm' ? 'llm' : 'template'}
+                          defaultRecipient={analyzedTexts.recipient}
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
               
-              {/* Pass entities to the Visualization Component */}
-              <RelevanceVisualizer 
-                result={result} 
-                primaryEntities={primaryEntities}
-                secondaryEntities={secondaryEntities}
-                showSemanticSimilarity={useLLM}
-              />
-            </div>
+                {/* Visualization is rendered from the structured result */}
+                <RelevanceVisualizer 
+                  result={result} 
+                />
+              </div>
+            )}
+            </>
           )}
         </div>
       </main>
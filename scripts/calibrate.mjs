@@ -0,0 +1,59 @@
+// Fit weights and a threshold to a labeled dataset through a running app and save them as a preset
+//
+// Usage: npm run calibrate -- --algorithm simple|nlp|llm --name calibrated
+//          [--preset name] [--keywords tfidf|bm25|jaccard] [--dataset name|path.json]
+//          [--step 0.1] [--no-corpus] [--dry-run] [--json] [--url http://localhost:3000]
+
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+const { values } = parseArgs({
+  options: {
+    algorithm: { type: 'string', default: 'simple' },
+    name: { type: 'string', default: 'calibrated' },
+    preset: { type: 'string' },
+    keywords: { type: 'string' },
+    dataset: { type: 'string' },
+    step: { type: 'string' },
+    'no-corpus': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    url: { type: 'string', default: process.env.EVALUATION_URL || 'http://localhost:3000' }
+  }
+});
+
+// Dataset files are sent inline; anything else is the name of a bundled dataset
+const dataset = values.dataset?.endsWith('.json')
+  ? JSON.parse(await readFile(values.dataset, 'utf8'))
+  : values.dataset;
+
+const response = await fetch(new URL('/api/calibrate', values.url), {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    algorithm: values.algorithm,
+    name: values.name,
+    preset: values.preset,
+    keywordSimilarity: values.keywords,
+    step: values.step === undefined ? undefined : Number(values.step),
+    dataset,
+    corpus: !values['no-corpus'],
+    save: !values['dry-run']
+  })
+});
+
+const data = await response.json();
+
+if (!response.ok) {
+  console.error(`Calibration failed: ${data.message || data.error}`);
+  process.exit(1);
+}
+
+if (values.json) {
+  console.log(JSON.stringify({ report: data.report, preset: data.preset }, null, 2));
+} else {
+  console.log(data.table);
+  console.log(data.saved
+    ? `\nSaved as the "${data.preset.name}" preset of ${values.algorithm}.`
+    : '\nDry run: nothing was saved.');
+}
@@ -0,0 +1,88 @@
+// Inspect, upload to, clear or rebuild the keyword corpus of a running app
+//
+// Usage: npm run corpus -- stats
+//        npm run corpus -- upload <file.json|file.txt> [--replace]
+//        npm run corpus -- clear --source analysis|upload
+//        npm run corpus -- rebuild [--drop-analyses]
+//        [--json] [--url http://localhost:3000]
+//
+// JSON files hold an array of document texts; text files hold one document
+// per blank-line-separated block.
+
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    source: { type: 'string' },
+    replace: { type: 'boolean', default: false },
+    'drop-analyses': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    url: { type: 'string', default: process.env.EVALUATION_URL || 'http://localhost:3000' }
+  }
+});
+
+const [command = 'stats', file] = positionals;
+
+/**
+ * Read the documents of an upload file
+ * @param {string} filePath - JSON or plain-text file
+ * @returns {Promise<Array<string>>} - Document texts
+ */
+async function readDocuments(filePath) {
+  const content = await readFile(filePath, 'utf8');
+
+  if (filePath.endsWith('.json')) {
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.documents;
+  }
+
+  return content.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+}
+
+let request;
+if (command === 'stats') {
+  request = { method: 'GET', path: '/api/corpus' };
+} else if (command === 'upload' && file) {
+  request = {
+    method: 'POST',
+    path: '/api/corpus',
+    body: { documents: await readDocuments(file), replace: values.replace }
+  };
+} else if (command === 'clear' && values.source) {
+  request = { method: 'DELETE', path: `/api/corpus?source=${encodeURIComponent(values.source)}` };
+} else if (command === 'rebuild') {
+  request = { method: 'POST', path: '/api/corpus/rebuild', body: { dropAnalyses: values['drop-analyses'] } };
+} else {
+  console.error('Usage: npm run corpus -- stats | upload <file> [--replace] | clear --source analysis|upload | rebuild [--drop-analyses]');
+  process.exit(1);
+}
+
+const response = await fetch(new URL(request.path, values.url), {
+  method: request.method,
+  headers: { 'Content-Type': 'application/json' },
+  body: request.body && JSON.stringify(request.body)
+});
+
+const data = await response.json();
+
+if (!response.ok) {
+  console.error(`Corpus ${command} failed: ${data.message || data.error}`);
+  process.exit(1);
+}
+
+if (values.json) {
+  console.log(JSON.stringify(data, null, 2));
+} else {
+  const { corpus } = data;
+
+  if ('added' in data) console.log(`Added ${data.added} document(s).`);
+  if ('removed' in data) console.log(`Removed ${data.removed} document(s).`);
+
+  console.log(`Documents: ${corpus.documentCount} (${Object.entries(corpus.sources).map(([source, count]) => `${count} ${source}`).join(', ')})`);
+  console.log(`Distinct terms: ${corpus.distinctTerms}, average length: ${corpus.averageLength.toFixed(1)} terms`);
+  if (corpus.commonTerms.length > 0) {
+    console.log(`Most common terms: ${corpus.commonTerms.map(({ term, documentFrequency }) => `${term} (${documentFrequency})`).join(', ')}`);
+  }
+}
@@ -0,0 +1,48 @@
+// Run a scorer over a labeled dataset through a running app and print the report
+//
+// Usage: npm run evaluate -- [--algorithm simple|nlp|llm] [--preset name] [--keywords tfidf|bm25|jaccard]
+//          [--threshold 0.3] [--dataset name|path.json] [--no-corpus] [--json] [--url http://localhost:3000]
+
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+const { values } = parseArgs({
+  options: {
+    algorithm: { type: 'string', default: 'simple' },
+    preset: { type: 'string' },
+    keywords: { type: 'string' },
+    threshold: { type: 'string' },
+    dataset: { type: 'string' },
+    'no-corpus': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    url: { type: 'string', default: process.env.EVALUATION_URL || 'http://localhost:3000' }
+  }
+});
+
+// Dataset files are sent inline; anything else is the name of a bundled dataset
+const dataset = values.dataset?.endsWith('.json')
+  ? JSON.parse(await readFile(values.dataset, 'utf8'))
+  : values.dataset;
+
+const response = await fetch(new URL('/api/evaluate', values.url), {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    algorithm: values.algorithm,
+    preset: values.preset,
+    keywordSimilarity: values.keywords,
+    threshold: values.threshold === undefined ? undefined : Number(values.threshold),
+    dataset,
+    corpus: !values['no-corpus'],
+    format: 'json'
+  })
+});
+
+const data = await response.json();
+
+if (!response.ok) {
+  console.error(`Evaluation failed: ${data.message || data.error}`);
+  process.exit(1);
+}
+
+console.log(values.json ? JSON.stringify(data.report, null, 2) : data.table);
@@ -0,0 +1,74 @@
+// Import a chat export into a running app and list who said something whom else should know
+//
+// Usage: npm run import-chat -- <export.json|export.jsonl> [more day files...]
+//          [--users users.json] [--algorithm simple|nlp|llm] [--preset name]
+//          [--threshold 0.2] [--as-of 2025-06-01] [--json] [--url http://localhost:3000]
+//
+// Several Slack day files (.json) of one channel are merged into one export.
+
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+const { values, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    users: { type: 'string' },
+    algorithm: { type: 'string', default: 'simple' },
+    preset: { type: 'string' },
+    threshold: { type: 'string' },
+    'as-of': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    url: { type: 'string', default: process.env.EVALUATION_URL || 'http://localhost:3000' }
+  }
+});
+
+if (files.length === 0) {
+  console.error('Usage: npm run import-chat -- <export.json|export.jsonl> [more day files...] [--users users.json] [--algorithm simple|nlp|llm]');
+  process.exit(1);
+}
+
+// JSONL files are sent as text; Slack day files are parsed and concatenated
+const contents = await Promise.all(files.map(file => readFile(file, 'utf8')));
+const isJsonLines = files.every(file => file.endsWith('.jsonl'));
+
+const response = await fetch(new URL('/api/import-chat', values.url), {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    content: isJsonLines ? contents.join('\n') : contents.flatMap(content => JSON.parse(content)),
+    format: isJsonLines ? 'jsonl' : 'slack',
+    ...(values.users && { users: JSON.parse(await readFile(values.users, 'utf8')) }),
+    algorithm: values.algorithm,
+    ...(values.preset && { preset: values.preset }),
+    ...(values.threshold && { threshold: Number(values.threshold) }),
+    ...(values['as-of'] && { referenceDate: values['as-of'] })
+  })
+});
+
+const data = await response.json();
+
+if (!response.ok) {
+  console.error(`Chat import failed: ${data.message || data.error}`);
+  process.exit(1);
+}
+
+if (values.json) {
+  console.log(JSON.stringify(data, null, 2));
+} else {
+  console.log(`Messages: ${data.messageCount} from ${data.authors.map(author => `${author.name} (${author.messageCount})`).join(', ')}`);
+  console.log(`Algorithm: ${data.algorithm}${data.preset ? ` (${data.preset} preset)` : ''}`);
+  console.log('');
+
+  if (data.findings.length === 0) {
+    console.log('No findings: nobody said something another author should know.');
+  }
+
+  data.findings.forEach(finding => {
+    console.log(`${finding.summary} (${(finding.score * 100).toFixed(1)}%${finding.urgent ? ', urgent' : ''})`);
+    finding.messages.forEach(message => {
+      const time = message.timestamp ? `${message.timestamp.slice(0, 16).replace('T', ' ')} ` : '';
+      console.log(`  [${time}#${message.id}] ${message.text.replace(/\s+/g, ' ')}`);
+    });
+    console.log('');
+  });
+}
@@ -0,0 +1,171 @@
+// Local mock of the OpenAI chat completions and embeddings endpoints, for trying
+// the AI rationale, message drafts and PII redaction without an API key
+//
+// Usage: npm run mock-openai -- [--port 4010] [--reply valid|invalid|error] [--delay 0] [--log]
+//
+// Then start the app with OPENAI_BASE_URL=http://localhost:4010/v1 and any OPENAI_API_KEY.
+// --reply invalid answers with JSON that breaks the schema and --reply error with a 500,
+// so the template fallbacks can be seen; --log prints every prompt and embedding input.
+
+import { createHash } from 'crypto';
+import { createServer } from 'http';
+import { parseArgs } from 'util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4010' },
+    reply: { type: 'string', default: 'valid' },
+    delay: { type: 'string', default: '0' },
+    log: { type: 'boolean', default: false }
+  }
+});
+
+const REPLIES = ['valid', 'invalid', 'error'];
+const DIMENSIONS = 64;
+
+if (!REPLIES.includes(values.reply)) {
+  console.error(`--reply must be one of: ${REPLIES.join(', ')}`);
+  process.exit(1);
+}
+
+/**
+ * Read the JSON list printed after a heading line of a prompt
+ * @param {string} prompt - User prompt
+ * @param {string} heading - Line before the JSON, e.g. 'Computed scores:'
+ * @returns {*} - Parsed JSON, or null when the heading is missing
+ */
+function readSection(prompt, heading) {
+  const start = prompt.indexOf(`${heading}\n`);
+  if (start === -1) return null;
+
+  const rest = prompt.slice(start + heading.length + 1);
+  const end = rest.search(/\n\n[A-Z][\w ]*:\n/);
+
+  try {
+    return JSON.parse(end === -1 ? rest : rest.slice(0, end));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Answer a chat completion with content matching the schema the prompt asks for
+ * Rationale prompts (utils/llmRationale.js) and draft prompts (utils/messageDraft.js)
+ * are told apart by their system prompt; the facts in the prompt are echoed back,
+ * placeholders included.
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Object} - Reply content
+ */
+function buildReply(messages) {
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const user = messages.find(message => message.role === 'user')?.content || '';
+
+  if (values.reply === 'invalid') {
+    return { answer: 'This reply does not match the schema.' };
+  }
+
+  if (system.includes('You write a short message')) {
+    const recipient = user.match(/^Recipient: (.*)$/m)?.[1];
+    const facts = readSection(user, 'New facts for the secondary person:') || [];
+
+    return {
+      greeting: recipient && recipient !== 'not given' ? `Hi ${recipient},` : 'Hi,',
+      intro: 'This mock draft passes on what the relevance detector found new for you.',
+      points: facts.length > 0 ? facts.slice(0, 5) : ['Nothing specific stood out.'],
+      closing: 'Sent from the mock chat endpoint.'
+    };
+  }
+
+  const scores = readSection(user, 'Computed scores:') || {};
+  const facts = scores.novelty?.facts || [];
+
+  return {
+    rationale: `Mock rationale: the score is ${Math.round((scores.score || 0) * 100)}% against a threshold of ${Math.round((scores.threshold || 0) * 100)}%.`,
+    factsToShare: scores.isRelevant ? facts.slice(0, 10) : [],
+    urgency: scores.isRelevant ? 'medium' : 'low',
+    confidence: 0.5
+  };
+}
+
+/**
+ * Deterministic unit vector for a text, so equal texts embed equally
+ * @param {string} text - Input text
+ * @returns {Array<number>} - Embedding
+ */
+function embed(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+
+  text.toLowerCase().split(/[^\p{L}\p{N}[\]_]+/u).filter(Boolean).forEach(word => {
+    const hash = createHash('sha256').update(word).digest();
+    vector[hash[0] % DIMENSIONS] += hash[1] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Send a JSON response
+ * @param {import('http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', async () => {
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch {
+      return send(res, 400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Number(values.delay)));
+
+    if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+      console.log(`POST ${req.url} (${body.model})`);
+      if (values.log) body.messages.forEach(message => console.log(`  [${message.role}]\n${message.content}\n`));
+
+      if (values.reply === 'error') {
+        return send(res, 500, { error: { message: 'Mock server error', type: 'server_error' } });
+      }
+
+      return send(res, 200, {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [{
+          index: 0,
+          finish_reason: 'stop',
+          message: { role: 'assistant', content: JSON.stringify(buildReply(body.messages || [])) }
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      });
+    }
+
+    if (req.method === 'POST' && req.url.endsWith('/embeddings')) {
+      const inputs = Array.isArray(body.input) ? body.input : [body.input];
+      console.log(`POST ${req.url} (${body.model}, ${inputs.length} input${inputs.length === 1 ? '' : 's'})`);
+      if (values.log) inputs.forEach(input => console.log(`  ${input}`));
+
+      return send(res, 200, {
+        object: 'list',
+        model: body.model,
+        data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: embed(String(input)) })),
+        usage: { prompt_tokens: 0, total_tokens: 0 }
+      });
+    }
+
+    return send(res, 404, { error: { message: `Unknown endpoint: ${req.method} ${req.url}` } });
+  });
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`Mock OpenAI API on http://localhost:${values.port}/v1 (${values.reply} replies)`);
+});
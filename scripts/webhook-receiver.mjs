@@ -0,0 +1,82 @@
+// Local HTTP receiver for trying out webhooks: prints every delivery it receives
+//
+// Usage: npm run webhook-receiver -- [--port 4000] [--secret s3cret] [--fail 2] [--json]
+//
+// Point a webhook at http://localhost:4000/. With --secret, the X-Relevance-Signature
+// header is checked; with --fail N, the first N requests get a 500 so retries can be seen.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { createServer } from 'http';
+import { parseArgs } from 'util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4000' },
+    secret: { type: 'string' },
+    fail: { type: 'string', default: '0' },
+    json: { type: 'boolean', default: false }
+  }
+});
+
+let failuresLeft = Number(values.fail);
+let received = 0;
+
+/**
+ * Check a delivery's signature against the shared secret
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw request body
+ * @returns {boolean} - Whether the signature matches
+ */
+function verifySignature(headers, body) {
+  const signature = headers['x-relevance-signature'] || '';
+  const timestamp = headers['x-relevance-timestamp'] || '';
+  const expected = `sha256=${createHmac('sha256', values.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+  return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    received++;
+
+    const delivery = req.headers['x-relevance-delivery'] || '-';
+    console.log(`#${received} ${req.method} ${req.url} ${req.headers['x-relevance-event'] || '-'} delivery ${delivery}`);
+
+    if (values.secret && !verifySignature(req.headers, body)) {
+      console.log('  Rejected: signature does not match');
+      res.writeHead(401, { 'Content-Type': 'text/plain' }).end('Invalid signature');
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`  Answered 500 to test retries (${failuresLeft} more to fail)`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Simulated failure');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = body;
+    }
+
+    if (values.json || typeof payload !== 'object' || payload === null) {
+      console.log(JSON.stringify(payload, null, 2));
+    } else {
+      if (values.secret) console.log('  Signature verified');
+      console.log(`  ${payload.summary || JSON.stringify(payload)}`);
+      (payload.facts || []).forEach(fact => console.log(`  - ${fact}`));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' }).end('OK');
+  });
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`Listening for webhooks on http://localhost:${values.port}/`);
+});
@@ -0,0 +1,23 @@
+// Steps every scoring route runs once its texts are analyzed
+
+import { recordAnalysis } from './corpus';
+import { notifyWebhooks, toRelevanceEvent } from './webhooks';
+
+/**
+ * Record the analyzed texts and notify webhooks about the results
+ * Analyzed texts feed the corpus document frequencies. Webhooks whose
+ * threshold an event's score is above are notified in the background.
+ * Failures are logged rather than thrown, so they never fail the request.
+ * @param {Object} analysis - Analysis of one request
+ * @param {Array<string>} analysis.texts - Analyzed texts
+ * @param {Array<Object>} analysis.events - { source, from, to, messages, result } fields of each
+ *   {@link toRelevanceEvent} to send
+ * @returns {Promise<void>} - Resolves once the texts are recorded
+ */
+export async function afterAnalysis({ texts, events }) {
+  await recordAnalysis(texts)
+    .catch(error => console.error('Error recording analysis:', error));
+
+  notifyWebhooks(events.map(event => toRelevanceEvent(event)))
+    .catch(error => console.error('Error notifying webhooks:', error));
+}
@@ -0,0 +1,256 @@
+// Fit scorer weights and thresholds to labeled pairs
+
+import { combineComponents, runScorer } from './scorerRegistry';
+import { formatTable, summarizePredictions } from './evaluation';
+
+const DEFAULT_STEP = 0.1;
+const MIN_STEP = 0.05;
+const MAX_STEP = 0.5;
+
+/**
+ * @typedef {Object} CalibratedSettings
+ * @property {Object<string, number>} weights - Component weights
+ * @property {number} threshold - Decision threshold
+ * @property {Object} confusion - Confusion matrix on the dataset
+ * @property {Object} metrics - { precision, recall, f1, accuracy, rocAuc } on the dataset
+ * @property {Object|null} graded - Graded-score metrics, see utils/evaluation.js
+ */
+
+/**
+ * @typedef {Object} CalibrationReport
+ * @property {string} algorithm - Scorer name
+ * @property {string} dataset - Dataset name
+ * @property {number} pairs - Number of labeled pairs
+ * @property {number} step - Weight grid step
+ * @property {string} objective - Metric that was maximized
+ * @property {Object} baseline - {@link CalibratedSettings} of the starting configuration, with its preset name
+ * @property {CalibratedSettings} calibrated - Best settings found
+ */
+
+/**
+ * Check a weight grid step
+ * @param {*} step - Requested step
+ * @throws {Error} - If the step is out of range or doesn't divide 1 evenly
+ */
+export function validateStep(step) {
+  const divisions = 1 / step;
+
+  if (typeof step !== 'number' || step < MIN_STEP || step > MAX_STEP || Math.abs(divisions - Math.round(divisions)) > 1e-9) {
+    throw new Error(`step must divide 1 evenly and be between ${MIN_STEP} and ${MAX_STEP}`);
+  }
+}
+
+/**
+ * Grid-search the weights and threshold that maximize F1 on a labeled dataset
+ * Each pair is scored once to get its component scores; every weight
+ * combination on the grid then only recombines them. For each combination
+ * the best threshold is found among the midpoints between scores. Ties go to
+ * higher accuracy, then to the weights closest to the baseline.
+ * The metrics are measured on the same pairs the settings were fitted to, so
+ * they are optimistic; evaluate on a separate dataset to check them.
+ * @param {Object} scorer - Resolved scorer configuration to start from, see resolveScorer in utils/presets.js
+ * @param {import('./evaluation').Dataset} dataset - Validated dataset
+ * @param {Object} context - Extra inputs for extractors, e.g. { embeddingProvider }
+ * @param {Object} [options] - Calibration options
+ * @param {number} [options.step] - Weight grid step, e.g. 0.1 tries weights 0, 0.1, ..., 1
+ * @returns {Promise<CalibrationReport>} - Baseline and calibrated settings with their metrics
+ */
+export async function calibrateScorer(scorer, dataset, context = {}, { step = DEFAULT_STEP } = {}) {
+  validateStep(step);
+
+  const scoringContext = { ...context, featureCache: new Map() };
+  const scored = [];
+
+  // Pairs are scored one at a time so remote embedding providers aren't flooded
+  for (const pair of dataset.pairs) {
+    const result = await runScorer(scorer, pair.primaryText, pair.secondaryText, scoringContext);
+    scored.push({ relevant: pair.relevant, expectedScore: pair.score ?? null, components: result.components });
+  }
+
+  const keys = Object.keys(scorer.weights);
+  const baselineWeights = normalizeWeights(scorer.weights);
+  let best = null;
+
+  weightGrid(keys, Math.round(1 / step)).forEach(weights => {
+    const scores = scored.map(pair => combineComponents({ ...scorer, weights }, pair.components));
+    const threshold = bestThreshold(scored, scores);
+    const candidate = {
+      weights,
+      threshold: threshold.value,
+      f1: threshold.f1,
+      accuracy: threshold.accuracy,
+      distance: keys.reduce((sum, key) => sum + Math.abs(weights[key] - baselineWeights[key]), 0)
+    };
+
+    if (!best || isBetter(candidate, best)) best = candidate;
+  });
+
+  const summarize = (weights, threshold) => {
+    const pairs = scored.map(pair => {
+      const score = combineComponents({ ...scorer, weights }, pair.components);
+      return { relevant: pair.relevant, expectedScore: pair.expectedScore, score, predicted: score > threshold };
+    });
+
+    return { weights, threshold, ...summarizePredictions(pairs) };
+  };
+
+  return {
+    algorithm: scorer.name,
+    dataset: dataset.name,
+    pairs: scored.length,
+    step,
+    objective: 'f1',
+    baseline: { preset: scorer.preset || 'default', ...summarize(scorer.weights, scorer.threshold) },
+    calibrated: summarize(best.weights, best.threshold)
+  };
+}
+
+/**
+ * Turn a calibration report into a preset for utils/presetStore.js
+ * @param {CalibrationReport} report - Calibration report
+ * @returns {Object} - { description, weights, threshold, calibration } preset
+ */
+export function toCalibratedPreset(report) {
+  const { weights, threshold, metrics } = report.calibrated;
+  const f1 = metrics.f1 === null ? 'n/a' : `${(metrics.f1 * 100).toFixed(0)}%`;
+
+  return {
+    description: `Calibrated on ${report.dataset} (${report.pairs} pairs, F1 ${f1})`,
+    weights,
+    threshold,
+    calibration: {
+      dataset: report.dataset,
+      pairs: report.pairs,
+      step: report.step,
+      objective: report.objective,
+      baseline: report.baseline.preset,
+      metrics,
+      calibratedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Render a calibration report as a side-by-side plain-text table
+ * @param {CalibrationReport} report - Calibration report
+ * @returns {string} - Readable report
+ */
+export function formatCalibration(report) {
+  const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+  const number = value => value === null ? 'n/a' : String(Number(value.toFixed(3)));
+  const { baseline, calibrated } = report;
+  const row = (label, format) => [label, format(baseline), format(calibrated)];
+
+  return [
+    `Algorithm: ${report.algorithm}`,
+    `Dataset:   ${report.dataset} (${report.pairs} pairs, metrics measured on the same pairs)`,
+    `Grid step: ${report.step}`,
+    '',
+    formatTable(['', `Baseline (${baseline.preset})`, 'Calibrated'], [
+      row('Threshold', settings => number(settings.threshold)),
+      ...Object.keys(calibrated.weights).map(key =>
+        row(`Weight ${key}`, settings => number(normalizeWeights(settings.weights)[key]))
+      ),
+      row('Precision', settings => percent(settings.metrics.precision)),
+      row('Recall', settings => percent(settings.metrics.recall)),
+      row('F1', settings => percent(settings.metrics.f1)),
+      row('Accuracy', settings => percent(settings.metrics.accuracy)),
+      row('ROC AUC', settings => number(settings.metrics.rocAuc))
+    ])
+  ].join('\n');
+}
+
+/**
+ * All weightings of the components whose weights are multiples of 1/divisions and sum to 1
+ * @param {Array<string>} keys - Component names
+ * @param {number} divisions - Number of steps in a weight of 1
+ * @returns {Array<Object<string, number>>} - Weight objects
+ */
+function weightGrid(keys, divisions) {
+  return compositions(keys.length, divisions).map(units =>
+    Object.fromEntries(keys.map((key, i) => [key, round(units[i] / divisions)]))
+  );
+}
+
+/**
+ * All ways to split a whole number into a fixed number of non-negative parts
+ * @param {number} parts - Number of parts
+ * @param {number} total - Number to split
+ * @returns {Array<Array<number>>} - Part sizes
+ */
+function compositions(parts, total) {
+  if (parts === 1) return [[total]];
+
+  const result = [];
+  for (let units = 0; units <= total; units++) {
+    compositions(parts - 1, total - units).forEach(rest => result.push([units, ...rest]));
+  }
+  return result;
+}
+
+/**
+ * Find the threshold with the best F1 for a set of scores
+ * Pairs count as relevant when their score is above the threshold.
+ * @param {Array<Object>} pairs - Labeled pairs with relevant flags
+ * @param {Array<number>} scores - Score of each pair
+ * @returns {Object} - { value, f1, accuracy } of the best threshold
+ */
+function bestThreshold(pairs, scores) {
+  const sorted = [...new Set(scores)].sort((a, b) => a - b);
+  // Midpoints between neighbouring scores, plus thresholds that flag everything or nothing
+  const candidates = [
+    0,
+    ...sorted.slice(1).map((score, i) => round((sorted[i] + score) / 2, 4)),
+    Math.min(1, sorted[sorted.length - 1])
+  ];
+  let best = null;
+
+  candidates.forEach(value => {
+    const { metrics } = summarizePredictions(pairs.map((pair, i) => ({
+      relevant: pair.relevant,
+      score: scores[i],
+      predicted: scores[i] > value,
+      expectedScore: null
+    })));
+    const candidate = { value, f1: metrics.f1 ?? 0, accuracy: metrics.accuracy ?? 0 };
+
+    if (!best || candidate.f1 > best.f1 || (candidate.f1 === best.f1 && candidate.accuracy > best.accuracy)) {
+      best = candidate;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Compare two grid candidates
+ * @param {Object} candidate - { f1, accuracy, distance } candidate
+ * @param {Object} best - Best candidate so far
+ * @returns {boolean} - Whether candidate beats best
+ */
+function isBetter(candidate, best) {
+  if (candidate.f1 !== best.f1) return candidate.f1 > best.f1;
+  if (candidate.accuracy !== best.accuracy) return candidate.accuracy > best.accuracy;
+  return candidate.distance < best.distance;
+}
+
+/**
+ * Scale weights so they sum to 1
+ * @param {Object<string, number>} weights - Component weights
+ * @returns {Object<string, number>} - Normalized weights
+ */
+function normalizeWeights(weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, total === 0 ? 0 : weight / total]));
+}
+
+/**
+ * Round to a fixed number of decimals, avoiding float noise like 0.30000000000000004
+ * @param {number} value - Value to round
+ * @param {number} [decimals] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
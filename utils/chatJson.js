@@ -0,0 +1,154 @@
+// Chat completions that must return JSON matching a schema
+
+const DEFAULT_CHAT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Thrown when a chat completion isn't JSON matching the expected schema
+ */
+export class SchemaValidationError extends Error {
+  constructor(name, errors) {
+    super(`Invalid ${name}: ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Chat model to use, from OPENAI_CHAT_MODEL or gpt-4o-mini
+ * @returns {string} - Model name
+ */
+export function getChatModel() {
+  return process.env.OPENAI_CHAT_MODEL || DEFAULT_CHAT_MODEL;
+}
+
+/**
+ * Request a JSON object from a chat model and validate it
+ * The schema is appended to the system prompt. JSON mode is requested, but
+ * replies are validated anyway since compatible servers may ignore it.
+ * @param {Object} options - Request options
+ * @param {Object} options.client - OpenAI client
+ * @param {string} options.model - Chat model
+ * @param {Object} options.schema - JSON schema the reply must match
+ * @param {string} options.name - What the reply is, used in error messages
+ * @param {string} options.system - System prompt
+ * @param {string} options.user - User prompt
+ * @returns {Promise<Object>} - Parsed and validated reply
+ * @throws {SchemaValidationError} - If the reply isn't valid JSON matching the schema
+ */
+export async function completeJSON({ client, model, schema, name, system, user }) {
+  const response = await client.chat.completions.create({
+    model,
+    temperature: 0,
+    response_format: { type: 'json_object' },
+    messages: [
+      {
+        role: 'system',
+        content: `${system}\nReply with a single JSON object matching this JSON schema, and nothing else:\n${JSON.stringify(schema)}`
+      },
+      { role: 'user', content: user }
+    ]
+  });
+
+  const content = response.choices?.[0]?.message?.content;
+  let parsed;
+
+  try {
+    parsed = JSON.parse(stripCodeFence(content || ''));
+  } catch (error) {
+    throw new SchemaValidationError(name, [`response is not valid JSON (${error.message})`]);
+  }
+
+  const errors = validateSchema(parsed, schema, name);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(name, errors);
+  }
+
+  return parsed;
+}
+
+/**
+ * Remove a Markdown code fence around a JSON reply
+ * @param {string} content - Completion content
+ * @returns {string} - Content without the fence
+ */
+function stripCodeFence(content) {
+  const match = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return match ? match[1] : content;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the subset used by the chat schemas: object (required,
+ * properties, additionalProperties: false), array (items, minItems,
+ * maxItems), string (minLength, maxLength, enum) and number (minimum, maximum).
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateSchema(value, schema, path) {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      });
+
+      Object.entries(value).forEach(([key, item]) => {
+        if (schema.properties[key]) {
+          errors.push(...validateSchema(item, schema.properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} must be a number`];
+
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+}
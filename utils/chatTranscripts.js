@@ -0,0 +1,278 @@
+// Chat transcript import: per-author knowledge texts and who said something whom else should know
+
+import { rankRecipients } from './recipientRanking';
+
+export const CHAT_FORMATS = ['slack', 'jsonl'];
+
+// Comparing every author with every other grows quadratically
+export const MAX_AUTHORS = 20;
+
+// Source messages listed per finding
+const MAX_FINDING_MESSAGES = 5;
+
+// Slack subtypes that carry a person's own words; joins, topic changes and bot posts are skipped
+const SLACK_MESSAGE_SUBTYPES = [undefined, 'thread_broadcast', 'file_share', 'me_message'];
+
+// Separates messages in an author's knowledge text
+const MESSAGE_SEPARATOR = '\n\n';
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} id - Message ID: the Slack "ts", the JSONL "id", or "line-N"
+ * @property {string} author - Author name
+ * @property {string} text - Message text without chat markup
+ * @property {string|null} timestamp - ISO timestamp, if known
+ */
+
+/**
+ * @typedef {Object} AuthorKnowledge
+ * @property {string} author - Author name
+ * @property {string} text - The author's messages, separated by blank lines
+ * @property {Array<Object>} messages - { message, start, end } offsets of each message in text
+ */
+
+/**
+ * @typedef {Object} ChatFinding
+ * @property {string} from - Author who said it
+ * @property {string} to - Author who should know
+ * @property {string} summary - "X said something Y should know"
+ * @property {number} score - Relevance score of the pair (0-1)
+ * @property {boolean} urgent - Whether the messages are time-sensitive
+ * @property {string} explanation - Explanation of the relevance result
+ * @property {Array<ChatMessage>} messages - Source messages the finding rests on
+ * @property {import('./relevanceResult').RelevanceResult} result - Relevance result of the pair
+ */
+
+/**
+ * Thrown when a chat export can't be parsed
+ */
+export class InvalidChatExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidChatExportError';
+  }
+}
+
+/**
+ * Parse a chat export into messages
+ * Slack exports are a JSON array of channel messages (one day file, or
+ * several concatenated); JSONL exports have one { author, text, timestamp, id }
+ * object per line.
+ * @param {string|Array<Object>} content - Export file contents, or already parsed Slack messages
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - 'slack' or 'jsonl', detected from the content by default
+ * @param {Array<Object>} [options.users] - Slack users.json entries, to name authors and mentions
+ * @returns {Array<ChatMessage>} - Messages with text, in export order
+ * @throws {InvalidChatExportError} - When the export can't be parsed
+ */
+export function parseChatExport(content, { format = detectChatFormat(content), users = [] } = {}) {
+  if (!CHAT_FORMATS.includes(format)) {
+    throw new InvalidChatExportError(`format must be one of: ${CHAT_FORMATS.join(', ')}`);
+  }
+
+  const messages = format === 'slack' ? parseSlackExport(content, users) : parseJsonLines(content);
+  return messages.filter(message => message.text);
+}
+
+/**
+ * Detect the format of a chat export
+ * @param {string|Array<Object>} content - Export file contents, or parsed Slack messages
+ * @returns {string} - 'slack' for a JSON array, 'jsonl' otherwise
+ */
+function detectChatFormat(content) {
+  return Array.isArray(content) || content.trimStart().startsWith('[') ? 'slack' : 'jsonl';
+}
+
+/**
+ * Parse Slack channel export messages
+ * @param {string|Array<Object>} content - JSON array of messages, or the parsed array
+ * @param {Array<Object>} users - Slack users.json entries
+ * @returns {Array<ChatMessage>} - Messages
+ */
+function parseSlackExport(content, users) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new InvalidChatExportError(`Slack export is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(data)) {
+    throw new InvalidChatExportError('A Slack export must be a JSON array of messages');
+  }
+
+  // Real names win over the handles in users.json
+  const realNames = new Map(users.map(user => [
+    user.id,
+    user.real_name || user.profile?.real_name || user.profile?.display_name
+  ]));
+  const handles = new Map(users.map(user => [user.id, user.name]));
+  const userNames = new Map(users.map(user => [user.id, realNames.get(user.id) || handles.get(user.id)]));
+
+  return data
+    .filter(item => item && item.type === 'message' && !item.bot_id &&
+      SLACK_MESSAGE_SUBTYPES.includes(item.subtype) && typeof item.text === 'string')
+    .map(item => {
+      const seconds = parseFloat(item.ts);
+
+      return {
+        id: String(item.ts),
+        author: realNames.get(item.user) || item.user_profile?.real_name || item.user_profile?.display_name ||
+          handles.get(item.user) || item.user_profile?.name || item.user || 'Unknown',
+        text: cleanSlackText(item.text, userNames),
+        timestamp: Number.isNaN(seconds) ? null : new Date(seconds * 1000).toISOString()
+      };
+    });
+}
+
+/**
+ * Replace Slack markup with plain text
+ * Mentions become @Name, links their label, and emoji codes and
+ * formatting markers are removed.
+ * @param {string} text - Slack message text
+ * @param {Map<string, string>} userNames - User names by Slack user ID
+ * @returns {string} - Plain text
+ */
+function cleanSlackText(text, userNames) {
+  return text
+    .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (mention, id, name) => `@${userNames.get(id) || name || id}`)
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+    .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+    .replace(/<([^>|]+)\|([^>]+)>/g, '$2')
+    .replace(/<([^>]+)>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/:[a-z][a-z0-9_+-]*:/g, '')
+    .replace(/```|`/g, '')
+    .replace(/(^|[\s(])([*_~])(?=\S)([^\n]*?\S)\2(?=$|[\s).,!?;:])/gm, '$1$3')
+    .trim();
+}
+
+/**
+ * Parse JSON Lines messages
+ * Each line is { author, text, timestamp, id }; "user" or "name" may stand
+ * in for author, "message" or "content" for text, and "ts" or "time" for timestamp.
+ * @param {string} content - JSONL file contents
+ * @returns {Array<ChatMessage>} - Messages
+ */
+function parseJsonLines(content) {
+  if (typeof content !== 'string') {
+    throw new InvalidChatExportError('A JSONL export must be a string with one message per line');
+  }
+
+  return content.split(/\r?\n/).flatMap((line, index) => {
+    if (!line.trim()) return [];
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new InvalidChatExportError(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+
+    const author = item?.author ?? item?.user ?? item?.name;
+    const text = item?.text ?? item?.message ?? item?.content;
+
+    if (typeof author !== 'string' || !author.trim() || typeof text !== 'string') {
+      throw new InvalidChatExportError(`Line ${index + 1} needs an author and a text`);
+    }
+
+    const time = item.timestamp ?? item.ts ?? item.time;
+    const date = typeof time === 'number' ? new Date(time < 1e12 ? time * 1000 : time) : new Date(time);
+
+    return [{
+      id: item.id !== undefined ? String(item.id) : `line-${index + 1}`,
+      author: author.trim(),
+      text: text.trim(),
+      timestamp: time === undefined || Number.isNaN(date.getTime()) ? null : date.toISOString()
+    }];
+  });
+}
+
+/**
+ * Group messages by author into one knowledge text per person
+ * @param {Array<ChatMessage>} messages - Parsed messages
+ * @returns {Array<AuthorKnowledge>} - Authors in order of their first message
+ */
+export function groupMessagesByAuthor(messages) {
+  const authors = new Map();
+
+  messages.forEach(message => {
+    if (!authors.has(message.author)) {
+      authors.set(message.author, { author: message.author, text: '', messages: [] });
+    }
+
+    const knowledge = authors.get(message.author);
+    const start = knowledge.text ? knowledge.text.length + MESSAGE_SEPARATOR.length : 0;
+
+    knowledge.text = knowledge.text ? `${knowledge.text}${MESSAGE_SEPARATOR}${message.text}` : message.text;
+    knowledge.messages.push({ message, start, end: start + message.text.length });
+  });
+
+  return [...authors.values()];
+}
+
+/**
+ * Compare every author with every other and report what one said that another should know
+ * Each author's text is ranked against all other authors (see
+ * utils/recipientRanking.js); a pair becomes a finding when the result
+ * recommends sharing. Findings link to the messages behind their new facts,
+ * or behind their evidence when no fact stands out.
+ * @param {string|Object} scorer - Scorer name or resolved configuration
+ * @param {Array<AuthorKnowledge>} authors - Grouped messages
+ * @param {Object} [context] - Extra inputs for extractors, e.g. { embeddingProvider, referenceDate }
+ * @returns {Promise<Array<ChatFinding>>} - Findings, highest score first
+ */
+export async function findChatFindings(scorer, authors, context = {}) {
+  const findings = [];
+
+  for (const author of authors) {
+    const others = authors
+      .filter(other => other !== author)
+      .map(other => ({ name: other.author, text: other.text }));
+
+    const ranked = await rankRecipients(scorer, author.text, others, context);
+
+    ranked
+      .filter(recipient => recipient.shouldShare)
+      .forEach(recipient => {
+        findings.push({
+          from: author.author,
+          to: recipient.name,
+          summary: `${author.author} said something ${recipient.name} should know`,
+          score: recipient.score,
+          urgent: recipient.urgent,
+          explanation: recipient.explanation,
+          messages: findSourceMessages(author, recipient.result),
+          result: recipient.result
+        });
+      });
+  }
+
+  return findings.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Map the sentences behind a result back to the author's messages
+ * @param {AuthorKnowledge} author - Author whose text was the primary text
+ * @param {import('./relevanceResult').RelevanceResult} result - Result of the pair
+ * @returns {Array<ChatMessage>} - Messages containing the most related new facts, or the evidence, in chat order
+ */
+function findSourceMessages(author, result) {
+  const facts = result.novelty.facts.filter(fact => fact.relatedness > 0).map(fact => fact.sentence);
+  const sentences = facts.length > 0 ? facts : result.evidence.pairs.map(pair => pair.primary);
+
+  // Sentences never span messages, since messages are separated by blank lines
+  const sources = new Set();
+  sentences.forEach(sentence => {
+    const source = author.messages.find(({ start, end }) => sentence.start < end && sentence.end > start);
+    if (source && sources.size < MAX_FINDING_MESSAGES) sources.add(source);
+  });
+
+  return author.messages
+    .filter(source => sources.has(source))
+    .map(({ message }) => message);
+}
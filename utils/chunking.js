@@ -0,0 +1,139 @@
+// Paragraph- and sentence-aware chunking of long texts
+
+const DEFAULT_MAX_CHARS = 2000;
+const DEFAULT_MAX_CHUNKS = 100;
+
+// Lines joined by single newlines, ending at a blank line
+const PARAGRAPH_PATTERN = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+
+// Text up to sentence-ending punctuation followed by whitespace, so decimals
+// like "3.5" don't end a sentence
+const SENTENCE_PATTERN = /(?:[^.!?]|[.!?](?!\s|$))+(?:[.!?]+|$)/g;
+
+/**
+ * @typedef {Object} Chunk
+ * @property {number} index - Position of the chunk in the text
+ * @property {string} text - Chunk text
+ * @property {number} start - Offset of the first character in the original text
+ * @property {number} end - Offset after the last character in the original text
+ */
+
+/**
+ * Maximum chunk size in characters, from CHUNK_MAX_CHARS or 2000
+ * @returns {number} - Maximum characters per chunk
+ */
+export function getMaxChunkChars() {
+  return Number(process.env.CHUNK_MAX_CHARS) || DEFAULT_MAX_CHARS;
+}
+
+/**
+ * Split text into chunks that respect paragraph and sentence boundaries
+ * Paragraphs are packed together up to maxChars; paragraphs that are too long
+ * are split into sentences, and sentences that are too long are split into
+ * pieces. Texts that fit in one chunk are returned unchanged. When a text
+ * would need more than maxChunks chunks, the chunk size grows instead, up to
+ * maxSize; past that the text gets more chunks, so no text is ever dropped.
+ * @param {string} text - Input text
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChars] - Preferred maximum characters per chunk
+ * @param {number} [options.maxChunks] - Number of chunks above which chunks grow
+ * @param {number} [options.maxSize] - Hard maximum characters per chunk, e.g. an embedding
+ *   provider's input limit
+ * @returns {Array<Chunk>} - Chunks in text order
+ */
+export function chunkText(text, { maxChars = getMaxChunkChars(), maxChunks = DEFAULT_MAX_CHUNKS, maxSize = Infinity } = {}) {
+  const limit = Math.min(maxChars, maxSize);
+
+  if (text.length <= limit) {
+    return [{ index: 0, text, start: 0, end: text.length }];
+  }
+
+  let size = Math.min(maxSize, Math.max(limit, Math.ceil(text.length / maxChunks)));
+  let chunks = packSegments(text, splitSegments(text, size), size);
+
+  while (chunks.length > maxChunks && size < maxSize) {
+    size = Math.min(maxSize, size * 2);
+    chunks = packSegments(text, splitSegments(text, size), size);
+  }
+
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
+
+/**
+ * Split text into sentences
+ * Line breaks also end a sentence, so lists and headings stand on their own.
+ * @param {string} text - Input text
+ * @returns {Array<Chunk>} - Sentences in text order
+ */
+export function splitSentences(text) {
+  return findSpans(text, /[^\n]+/g, 0)
+    .flatMap(line => findSpans(text.slice(line.start, line.end), SENTENCE_PATTERN, line.start))
+    .map((span, index) => ({ index, text: text.slice(span.start, span.end), ...span }));
+}
+
+/**
+ * Split text into paragraph, sentence or fixed-size segments no longer than size
+ * @param {string} text - Input text
+ * @param {number} size - Maximum segment length
+ * @returns {Array<Object>} - { start, end } segments in text order
+ */
+function splitSegments(text, size) {
+  return findSpans(text, PARAGRAPH_PATTERN, 0).flatMap(paragraph => {
+    if (paragraph.end - paragraph.start <= size) return [paragraph];
+
+    const paragraphText = text.slice(paragraph.start, paragraph.end);
+
+    return findSpans(paragraphText, SENTENCE_PATTERN, paragraph.start).flatMap(sentence => {
+      if (sentence.end - sentence.start <= size) return [sentence];
+
+      const pieces = [];
+      for (let start = sentence.start; start < sentence.end; start += size) {
+        pieces.push({ start, end: Math.min(start + size, sentence.end) });
+      }
+      return pieces;
+    });
+  });
+}
+
+/**
+ * Find the trimmed, non-empty spans matched by a pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern matching one span
+ * @param {number} offset - Offset of text within the original text
+ * @returns {Array<Object>} - { start, end } spans in the original text
+ */
+function findSpans(text, pattern, offset) {
+  return [...text.matchAll(pattern)]
+    .map(match => {
+      const leading = match[0].length - match[0].trimStart().length;
+      const trimmed = match[0].trim();
+      const start = offset + match.index + leading;
+      return { start, end: start + trimmed.length };
+    })
+    .filter(span => span.end > span.start);
+}
+
+/**
+ * Greedily pack consecutive segments into chunks no longer than size
+ * @param {string} text - Original text
+ * @param {Array<Object>} segments - { start, end } segments in text order
+ * @param {number} size - Maximum chunk length
+ * @returns {Array<Object>} - { text, start, end } chunks
+ */
+function packSegments(text, segments, size) {
+  const chunks = [];
+  let current = null;
+
+  segments.forEach(segment => {
+    if (current && segment.end - current.start <= size) {
+      current.end = segment.end;
+    } else {
+      if (current) chunks.push(current);
+      current = { ...segment };
+    }
+  });
+
+  if (current) chunks.push(current);
+
+  return chunks.map(({ start, end }) => ({ text: text.slice(start, end), start, end }));
+}
@@ -0,0 +1,392 @@
+// Corpus document frequencies for IDF-weighted keyword similarity, stored in a local JSON file
+
+import path from 'path';
+import { createHash } from 'crypto';
+import { createJsonStore } from './jsonStore';
+import { extractTermCounts } from './keywords';
+import { getProfileText, listProfiles } from './profileStore';
+
+export const CORPUS_SOURCES = ['profile', 'analysis', 'upload'];
+
+// Profile documents always follow the stored profiles, so only these can be cleared
+export const CLEARABLE_SOURCES = ['analysis', 'upload'];
+
+// Oldest analyses are dropped beyond this many documents
+const MAX_DOCUMENTS = 10000;
+
+const COMMON_TERM_COUNT = 10;
+
+/**
+ * @typedef {Object} CorpusDocument
+ * @property {string} id - SHA-1 of the text, so a text counts once per source
+ * @property {string} source - 'profile', 'analysis' or 'upload'
+ * @property {Array<string>} terms - Distinct key term IDs (see utils/keywords.js)
+ * @property {number} length - Number of term occurrences
+ * @property {string} addedAt - ISO timestamp
+ * @property {string} [text] - Text of uploaded documents, kept so they can be rebuilt
+ */
+
+/**
+ * @typedef {Object} CorpusModel
+ * @property {number} documentCount - Number of documents
+ * @property {number} averageLength - Mean number of term occurrences per document
+ * @property {Map<string, number>} documentFrequencies - Number of documents containing each term ID
+ * @property {string|null} updatedAt - ISO timestamp of the corpus change the model reflects
+ */
+
+// { documents, labels, profilesSignature, updatedAt }, where labels maps the term IDs of the
+// documents to the surface form they were first seen as; stored without indentation since it
+// holds every document's term counts
+const store = createJsonStore({
+  getPath: () => process.env.CORPUS_PATH || path.join(process.cwd(), 'data', 'corpus.json'),
+  empty: () => ({ documents: [], labels: {}, profilesSignature: null, updatedAt: null }),
+  serialize: corpus => JSON.stringify(corpus)
+});
+
+// The corpus is read once and then kept in memory with its model, which every
+// change updates in place; this process is the only writer of the store
+let loading = null;
+let saveTimer = null;
+
+/**
+ * Whether analyzed texts are added to the corpus, unless CORPUS_RECORD_ANALYSES is "false"
+ * @returns {boolean} - Whether analyses are recorded
+ */
+function isRecordingAnalyses() {
+  return process.env.CORPUS_RECORD_ANALYSES !== 'false';
+}
+
+/**
+ * Delay before recorded analyses are saved, from CORPUS_SAVE_DELAY_MS (default 10000)
+ * @returns {number} - Delay in milliseconds
+ */
+function getSaveDelay() {
+  const delay = parseInt(process.env.CORPUS_SAVE_DELAY_MS, 10);
+  return Number.isNaN(delay) ? 10000 : Math.max(0, delay);
+}
+
+/**
+ * Get the in-memory corpus and its model, reading the store on first use
+ * @returns {Promise<Object>} - { corpus, model, totalLength }
+ */
+function loadState() {
+  if (!loading) {
+    loading = store.read().then(corpus => {
+      const state = { corpus };
+      resetModel(state);
+      return state;
+    });
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Recompute the model from every document and drop labels of terms no document has
+ * @param {Object} state - Corpus state to update in place
+ */
+function resetModel(state) {
+  const { corpus } = state;
+
+  state.model = { documentCount: 0, averageLength: 0, documentFrequencies: new Map(), updatedAt: corpus.updatedAt };
+  state.totalLength = 0;
+  corpus.documents.forEach(doc => countDocument(state, doc, 1));
+
+  Object.keys(corpus.labels).forEach(id => {
+    if (!state.model.documentFrequencies.has(id)) delete corpus.labels[id];
+  });
+}
+
+/**
+ * Add a document to the model, or remove it with a negative sign
+ * The label of a term goes with the last document containing it.
+ * @param {Object} state - Corpus state to update in place
+ * @param {CorpusDocument} doc - Document
+ * @param {number} sign - 1 to add, -1 to remove
+ */
+function countDocument(state, doc, sign) {
+  const { model, corpus } = state;
+
+  doc.terms.forEach(term => {
+    const documentFrequency = (model.documentFrequencies.get(term) || 0) + sign;
+
+    if (documentFrequency > 0) {
+      model.documentFrequencies.set(term, documentFrequency);
+    } else {
+      model.documentFrequencies.delete(term);
+      delete corpus.labels[term];
+    }
+  });
+
+  state.totalLength += sign * doc.length;
+  model.documentCount += sign;
+  model.averageLength = model.documentCount === 0 ? 0 : state.totalLength / model.documentCount;
+}
+
+/**
+ * Mark the corpus as changed
+ * @param {Object} state - Corpus state
+ */
+function touch(state) {
+  state.corpus.updatedAt = new Date().toISOString();
+  state.model.updatedAt = state.corpus.updatedAt;
+}
+
+/**
+ * Save the corpus now, replacing any scheduled save
+ * @param {Object} state - Corpus state
+ * @returns {Promise<void>}
+ */
+function saveCorpus(state) {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  return store.replace(state.corpus);
+}
+
+/**
+ * Save the corpus after the save delay, so a burst of analyses is written once
+ * Analyses recorded in that time are lost if the process stops.
+ * @param {Object} state - Corpus state
+ */
+function scheduleSave(state) {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.replace(state.corpus).catch(error => console.error('Error saving corpus:', error));
+  }, getSaveDelay());
+
+  // Don't keep scripts alive just to save
+  saveTimer.unref();
+}
+
+/**
+ * Turn a text into a corpus document
+ * @param {string} text - Document text
+ * @param {string} source - 'profile', 'analysis' or 'upload'
+ * @returns {Object} - { doc, labels }: the document with its distinct terms, and [id, surface form] per term
+ */
+function toDocument(text, source) {
+  const terms = extractTermCounts(text);
+
+  return {
+    doc: {
+      id: createHash('sha1').update(text).digest('hex'),
+      source,
+      terms: terms.map(term => term.id),
+      length: terms.reduce((sum, term) => sum + term.count, 0),
+      addedAt: new Date().toISOString(),
+      ...(source === 'upload' && { text })
+    },
+    labels: terms.map(term => [term.id, term.text])
+  };
+}
+
+/**
+ * Add documents from one source, skipping texts the source already has
+ * Analyses also skip texts that are already profiles or uploads.
+ * @param {Object} state - Corpus state to update in place
+ * @param {Array<string>} texts - Document texts
+ * @param {string} source - 'profile', 'analysis' or 'upload'
+ * @returns {number} - Number of documents added
+ */
+function addDocuments(state, texts, source) {
+  const { corpus } = state;
+  const existing = new Set(corpus.documents
+    .filter(doc => source === 'analysis' || doc.source === source)
+    .map(doc => doc.id));
+  let added = 0;
+
+  texts.forEach(text => {
+    const { doc, labels } = toDocument(text, source);
+    if (existing.has(doc.id)) return;
+
+    existing.add(doc.id);
+    corpus.documents.push(doc);
+    countDocument(state, doc, 1);
+    labels.forEach(([id, label]) => {
+      if (!Object.hasOwn(corpus.labels, id)) corpus.labels[id] = label;
+    });
+    added++;
+  });
+
+  // Make room by dropping the oldest analyses
+  const excess = corpus.documents.length - MAX_DOCUMENTS;
+  if (excess > 0) {
+    const dropped = new Set(corpus.documents.filter(doc => doc.source === 'analysis').slice(0, excess));
+    removeDocuments(state, doc => dropped.has(doc));
+  }
+
+  if (added > 0) touch(state);
+  return added;
+}
+
+/**
+ * Remove the documents that match a predicate
+ * @param {Object} state - Corpus state to update in place
+ * @param {Function} predicate - Receives a document, returns true to remove it
+ * @returns {number} - Number of documents removed
+ */
+function removeDocuments(state, predicate) {
+  const { corpus } = state;
+  const removed = corpus.documents.filter(predicate);
+
+  corpus.documents = corpus.documents.filter(doc => !predicate(doc));
+  removed.forEach(doc => countDocument(state, doc, -1));
+
+  if (removed.length > 0) touch(state);
+  return removed.length;
+}
+
+/**
+ * Signature of the stored profiles, to notice when they change
+ * @param {Array<import('./profileStore').Profile>} profiles - Stored profiles
+ * @returns {string} - Profile IDs and update times
+ */
+function toProfilesSignature(profiles) {
+  return profiles.map(profile => `${profile.id}@${profile.updatedAt}`).join(',');
+}
+
+/**
+ * Replace the profile documents with the current profile texts
+ * @param {Object} state - Corpus state to update in place
+ * @param {Array<import('./profileStore').Profile>} profiles - Stored profiles
+ */
+function replaceProfileDocuments(state, profiles) {
+  removeDocuments(state, doc => doc.source === 'profile');
+  addDocuments(state, profiles.map(getProfileText).filter(Boolean), 'profile');
+  state.corpus.profilesSignature = toProfilesSignature(profiles);
+  touch(state);
+}
+
+/**
+ * Get the corpus model used to weight keywords
+ * Profile documents are refreshed first when the stored profiles changed.
+ * The model is live: later changes to the corpus update it in place.
+ * @returns {Promise<CorpusModel>} - Document frequencies
+ */
+export async function getCorpusModel() {
+  const [profiles, state] = await Promise.all([listProfiles(), loadState()]);
+
+  if (state.corpus.profilesSignature !== toProfilesSignature(profiles)) {
+    replaceProfileDocuments(state, profiles);
+    await saveCorpus(state);
+  }
+
+  return state.model;
+}
+
+/**
+ * Get a copy of the corpus model that later changes don't affect
+ * Evaluations and calibrations score every pair against one snapshot.
+ * @returns {Promise<CorpusModel>} - Document frequencies
+ */
+export async function getCorpusSnapshot() {
+  const model = await getCorpusModel();
+  return { ...model, documentFrequencies: new Map(model.documentFrequencies) };
+}
+
+/**
+ * An empty corpus model, under which every term weighs the same
+ * @returns {CorpusModel} - Document frequencies
+ */
+export function getEmptyCorpusModel() {
+  return { documentCount: 0, averageLength: 0, documentFrequencies: new Map(), updatedAt: null };
+}
+
+/**
+ * Summarize the corpus
+ * @returns {Promise<Object>} - { documentCount, sources, averageLength, distinctTerms, commonTerms, updatedAt }
+ */
+export async function getCorpusStats() {
+  const model = await getCorpusModel();
+  const { corpus: { documents, labels, updatedAt } } = await loadState();
+
+  return {
+    documentCount: model.documentCount,
+    sources: Object.fromEntries(CORPUS_SOURCES.map(source =>
+      [source, documents.filter(doc => doc.source === source).length]
+    )),
+    averageLength: model.averageLength,
+    distinctTerms: model.documentFrequencies.size,
+    // The least informative terms, which weigh least in keyword similarity
+    commonTerms: [...model.documentFrequencies.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, COMMON_TERM_COUNT)
+      .map(([id, documentFrequency]) => ({ term: labels[id] || id, documentFrequency })),
+    updatedAt
+  };
+}
+
+/**
+ * Add analyzed texts to the corpus, unless CORPUS_RECORD_ANALYSES is "false"
+ * Only the distinct term IDs are stored, not the texts. The model is
+ * updated at once; the store is saved after CORPUS_SAVE_DELAY_MS.
+ * @param {Array<string>} texts - Analyzed texts
+ * @returns {Promise<number>} - Number of documents added
+ */
+export async function recordAnalysis(texts) {
+  if (!isRecordingAnalyses()) return 0;
+
+  const state = await loadState();
+  const added = addDocuments(state, texts, 'analysis');
+
+  if (added > 0) scheduleSave(state);
+  return added;
+}
+
+/**
+ * Add uploaded documents to the corpus
+ * @param {Array<string>} texts - Document texts
+ * @param {Object} [options] - Upload options
+ * @param {boolean} [options.replace] - Remove previously uploaded documents first
+ * @returns {Promise<number>} - Number of documents added
+ */
+export async function uploadDocuments(texts, { replace = false } = {}) {
+  const state = await loadState();
+
+  if (replace) {
+    removeDocuments(state, doc => doc.source === 'upload');
+  }
+  const added = addDocuments(state, texts, 'upload');
+
+  await saveCorpus(state);
+  return added;
+}
+
+/**
+ * Remove every document of one source
+ * @param {string} source - 'analysis' or 'upload'
+ * @returns {Promise<number>} - Number of documents removed
+ */
+export async function clearCorpusSource(source) {
+  const state = await loadState();
+  const removed = removeDocuments(state, doc => doc.source === source);
+
+  await saveCorpus(state);
+  return removed;
+}
+
+/**
+ * Recompute the terms of every document that has a text
+ * Run after changing the synonym file or the keyword extraction. Profile
+ * and uploaded documents are rebuilt from their texts; analyses only kept
+ * their terms, so they stay as they are unless dropped.
+ * @param {Object} [options] - Rebuild options
+ * @param {boolean} [options.dropAnalyses] - Remove the recorded analyses too
+ * @returns {Promise<void>}
+ */
+export async function rebuildCorpus({ dropAnalyses = false } = {}) {
+  const [profiles, state] = await Promise.all([listProfiles(), loadState()]);
+  const { corpus } = state;
+  const uploads = corpus.documents.filter(doc => doc.source === 'upload').map(doc => doc.text);
+
+  corpus.documents = corpus.documents.filter(doc => doc.source === 'analysis' && !dropAnalyses);
+  resetModel(state);
+  replaceProfileDocuments(state, profiles);
+  addDocuments(state, uploads, 'upload');
+
+  await saveCorpus(state);
+}
@@ -0,0 +1,632 @@
+// Clean text and metadata from uploaded plain text, Markdown, HTML, email and JSON files
+
+/**
+ * @typedef {Object} IngestedDocument
+ * @property {string} filename - Original file name
+ * @property {string} format - 'text', 'markdown', 'html', 'email' or 'json'
+ * @property {string} text - Clean text to score
+ * @property {Object} metadata - Format-specific details: { title } for Markdown, HTML and JSON,
+ *   { from, to, cc, subject, date } for emails
+ */
+
+/**
+ * @typedef {Object} EmailAddress
+ * @property {string|null} name - Display name, if given
+ * @property {string} address - Email address
+ */
+
+/**
+ * Thrown when a file's type is not supported
+ */
+export class UnsupportedDocumentError extends Error {
+  constructor(filename) {
+    super(`Unsupported file type: ${filename}. Supported types: ${Object.keys(EXTENSIONS).join(', ')}`);
+    this.name = 'UnsupportedDocumentError';
+  }
+}
+
+/**
+ * Thrown when a document can't be read or has no text
+ */
+export class InvalidDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidDocumentError';
+  }
+}
+
+/**
+ * Thrown when a document's text is too long to be analyzed
+ */
+export class DocumentTooLargeError extends Error {
+  constructor(name, bytes) {
+    super(`The text of ${name} is ${Math.ceil(bytes / 1024)} KB; at most ${MAX_TEXT_BYTES / 1024} KB of text can be analyzed`);
+    this.name = 'DocumentTooLargeError';
+  }
+}
+
+// Longest text the scorers finish within a request: scoring takes tens of milliseconds
+// per KB on one core, and runs on the event loop
+export const MAX_TEXT_BYTES = 128 * 1024;
+
+// File extension and MIME type of each format
+const EXTENSIONS = {
+  '.txt': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.eml': 'email',
+  '.json': 'json'
+};
+
+const CONTENT_TYPES = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/html': 'html',
+  'message/rfc822': 'email',
+  'application/json': 'json'
+};
+
+// JSON fields holding the text of an object, and fields describing the document
+const JSON_TEXT_FIELDS = ['text', 'body', 'content', 'message'];
+const JSON_METADATA_FIELDS = ['title', 'subject', 'author', 'from', 'date'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', euro: '€', pound: '£', copy: '©',
+  reg: '®', trade: '™', deg: '°', szlig: 'ß', aelig: 'æ', AElig: 'Æ', oelig: 'œ', OElig: 'Œ',
+  iexcl: '¡', iquest: '¿'
+};
+
+// Accented letters such as &eacute; are a letter plus a combining mark
+const ACCENT_MARKS = {
+  grave: '\u0300', acute: '\u0301', circ: '\u0302', tilde: '\u0303',
+  uml: '\u0308', ring: '\u030a', cedil: '\u0327'
+};
+
+/**
+ * Text extractor of each format
+ * Each takes the file contents (decoded text, or bytes for emails) and the
+ * file name, and returns { text, metadata }.
+ */
+const FORMAT_EXTRACTORS = {
+  text: (content) => ({ text: content, metadata: {} }),
+  markdown: extractMarkdown,
+  html: extractHtml,
+  email: extractEmail,
+  json: extractJson
+};
+
+// Elements whose content is not text, and elements that start a new line
+const HIDDEN_ELEMENTS = ['script', 'style', 'head', 'noscript', 'template', 'svg'];
+const BLOCK_ELEMENTS = 'address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tr|ul';
+
+/**
+ * Detect the format of a file from its extension, or its MIME type
+ * @param {string} filename - File name
+ * @param {string} [contentType] - MIME type sent with the file
+ * @returns {string|null} - Format, or null when unsupported
+ */
+export function detectFormat(filename, contentType = '') {
+  const extension = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  return EXTENSIONS[extension] || CONTENT_TYPES[contentType.split(';')[0].trim().toLowerCase()] || null;
+}
+
+/**
+ * Extract clean text and metadata from an uploaded file
+ * @param {Object} file - Uploaded file
+ * @param {string} file.filename - File name
+ * @param {Buffer} file.content - File bytes
+ * @param {string} [file.contentType] - MIME type sent with the file
+ * @returns {IngestedDocument} - Text and metadata of the document
+ * @throws {UnsupportedDocumentError} - When the file type is not supported
+ * @throws {InvalidDocumentError} - When the file can't be parsed or has no text
+ * @throws {DocumentTooLargeError} - When the extracted text is longer than MAX_TEXT_BYTES
+ */
+export function ingestDocument({ filename, content, contentType }) {
+  const format = detectFormat(filename, contentType);
+
+  if (!format) {
+    throw new UnsupportedDocumentError(filename);
+  }
+
+  const extract = FORMAT_EXTRACTORS[format];
+  const { text, metadata } = extract(format === 'email' ? content : decodeText(content), filename);
+  const clean = normalizeWhitespace(text);
+
+  if (!clean) {
+    throw new InvalidDocumentError(`No text found in ${filename}`);
+  }
+
+  checkTextSize(clean, filename);
+
+  return { filename, format, text: clean, metadata };
+}
+
+/**
+ * Check that a text is short enough to be scored within a request
+ * @param {string} text - Text to check
+ * @param {string} name - File or field name for the error message
+ * @throws {DocumentTooLargeError} - When the text is longer than MAX_TEXT_BYTES
+ */
+function checkTextSize(text, name) {
+  const bytes = Buffer.byteLength(text);
+  if (bytes > MAX_TEXT_BYTES) throw new DocumentTooLargeError(name, bytes);
+}
+
+/**
+ * Use uploaded documents in place of primaryText and secondaryText
+ * @param {Object} body - Request body
+ * @param {string} [body.primaryText] - Primary text
+ * @param {string} [body.secondaryText] - Secondary text
+ * @param {IngestedDocument} [body.primaryDocument] - Document replacing the primary text
+ * @param {IngestedDocument} [body.secondaryDocument] - Document replacing the secondary text
+ * @returns {Object} - { primaryText, secondaryText, primaryDocument, secondaryDocument }, where
+ *   the documents are described without their text, or null
+ * @throws {InvalidDocumentError} - When a document has no filename or text
+ * @throws {DocumentTooLargeError} - When a text or document is longer than MAX_TEXT_BYTES
+ */
+export function resolveDocumentTexts({ primaryText, secondaryText, primaryDocument, secondaryDocument }) {
+  const resolve = (text, document, field, textField) => {
+    if (document === undefined || document === null) {
+      if (typeof text === 'string') checkTextSize(text, textField);
+      return { text, source: null };
+    }
+
+    if (typeof document !== 'object' || typeof document.filename !== 'string' ||
+      typeof document.text !== 'string' || !document.text.trim()) {
+      throw new InvalidDocumentError(`${field} must be an uploaded document with a filename and text`);
+    }
+
+    checkTextSize(document.text, document.filename);
+
+    return {
+      text: document.text,
+      source: {
+        filename: document.filename,
+        format: document.format || detectFormat(document.filename),
+        metadata: document.metadata || {}
+      }
+    };
+  };
+
+  const primary = resolve(primaryText, primaryDocument, 'primaryDocument', 'primaryText');
+  const secondary = resolve(secondaryText, secondaryDocument, 'secondaryDocument', 'secondaryText');
+
+  return {
+    primaryText: primary.text,
+    secondaryText: secondary.text,
+    primaryDocument: primary.source,
+    secondaryDocument: secondary.source
+  };
+}
+
+/**
+ * Decode UTF-8 file contents, dropping a byte order mark
+ * @param {Buffer} content - File bytes
+ * @returns {string} - Text
+ */
+function decodeText(content) {
+  return content.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Collapse runs of spaces and blank lines
+ * @param {string} text - Extracted text
+ * @returns {string} - Text with single spaces and at most one blank line in a row
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with references like &amp; or &#233;
+ * @returns {string} - Decoded text; unknown references are kept
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    }
+
+    if (Object.hasOwn(NAMED_ENTITIES, name)) return NAMED_ENTITIES[name];
+
+    const accented = name.match(/^([a-z])(grave|acute|circ|tilde|uml|ring|cedil)$/i);
+    return accented ? (accented[1] + ACCENT_MARKS[accented[2]]).normalize('NFC') : reference;
+  });
+}
+
+/**
+ * Turn HTML markup into text
+ * @param {string} html - HTML markup
+ * @returns {string} - Text with one line per block element
+ */
+function htmlToText(html) {
+  const hidden = new RegExp(`<(${HIDDEN_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?</\\1\\s*>`, 'gi');
+  const blocks = new RegExp(`</?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi');
+
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(hidden, '')
+    .replace(/<(td|th)\b[^>]*>/gi, ' ')
+    .replace(blocks, '\n')
+    .replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Extract the text of an HTML page
+ * @param {string} html - HTML markup
+ * @returns {Object} - { text, metadata: { title } }
+ */
+function extractHtml(html) {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i) ||
+    html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1\s*>/i);
+  const title = titleMatch ? normalizeWhitespace(htmlToText(titleMatch[1])) || null : null;
+  const body = htmlToText(html);
+
+  // The <title> is outside the body; add it unless the page repeats it
+  const text = title && !body.includes(title) ? `${title}\n\n${body}` : body;
+
+  return { text, metadata: { title } };
+}
+
+/**
+ * Extract the text of a Markdown document
+ * Markup is removed and link and image texts are kept; code blocks keep their content.
+ * @param {string} markdown - Markdown source
+ * @returns {Object} - { text, metadata: { title } }
+ */
+function extractMarkdown(markdown) {
+  let source = markdown.replace(/\r\n?/g, '\n');
+  let title = null;
+
+  // YAML front matter only contributes its title
+  const frontMatter = source.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\n/);
+  if (frontMatter) {
+    const titleLine = frontMatter[1].match(/^title:\s*["']?(.*?)["']?\s*$/m);
+    title = titleLine ? titleLine[1] : null;
+    source = source.slice(frontMatter[0].length);
+  }
+
+  if (!title) {
+    const heading = source.match(/^#[ \t]+(.+?)[ \t]*#*$/m) || source.match(/^(.+)\n=+[ \t]*$/m);
+    title = heading ? heading[1].trim() : null;
+  }
+
+  const text = htmlToText(source
+    .replace(/^(`{3,}|~{3,}).*$/gm, '')
+    .replace(/^[ \t]{0,3}\[[^\]]+\]:[ \t]+\S+.*$/gm, '')
+    .replace(/^[=-]{3,}[ \t]*$/gm, '')
+    .replace(/^[ \t]{0,3}(?:[*_][ \t]*){3,}$/gm, '')
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*$/gm, '$1')
+    .replace(/^[ \t]{0,3}(?:>[ \t]?)+/gm, '')
+    .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, '')
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/<(https?:[^>\s]+)>/g, '$1')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\w*])([*_])(?=\S)([^*_\n]*?\S)\2(?![\w*])/g, '$1$3')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/`+([^`]+)`+/g, '$1'));
+
+  return { text, metadata: { title } };
+}
+
+/**
+ * Extract the text of a JSON document
+ * Strings under text-like keys ("text", "body", "content", "message") are
+ * collected from any depth; a top-level string is the text itself. A
+ * top-level title or subject is prepended.
+ * @param {string} json - JSON source
+ * @param {string} filename - File name, for error messages
+ * @returns {Object} - { text, metadata } where metadata holds the top-level title, subject, author, from and date
+ */
+function extractJson(json, filename) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new InvalidDocumentError(`${filename} is not valid JSON: ${error.message}`);
+  }
+
+  const metadata = {};
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    JSON_METADATA_FIELDS.forEach(field => {
+      if (['string', 'number'].includes(typeof data[field])) metadata[field] = data[field];
+    });
+  }
+
+  const heading = metadata.title || metadata.subject;
+  const text = [heading, ...collectJsonText(data)].filter(Boolean).join('\n\n');
+
+  return { text, metadata };
+}
+
+/**
+ * Collect the texts of a parsed JSON value
+ * @param {*} value - Parsed JSON value
+ * @returns {Array<string>} - Texts in document order
+ */
+function collectJsonText(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectJsonText);
+  if (!value || typeof value !== 'object') return [];
+
+  const field = JSON_TEXT_FIELDS.find(key => typeof value[key] === 'string');
+  if (field) return [value[field]];
+
+  return Object.values(value)
+    .filter(child => child && typeof child === 'object')
+    .flatMap(collectJsonText);
+}
+
+/**
+ * Extract the text and headers of an RFC 822 email
+ * The body is the plain text part, or the HTML part when there is none.
+ * Quoted replies and the signature are dropped. The subject and the names of
+ * the sender and recipients are prepended, so they count toward keyword and
+ * entity overlap.
+ * @param {Buffer} content - Raw email bytes
+ * @returns {Object} - { text, metadata: { from, to, cc, subject, date } }
+ */
+function extractEmail(content) {
+  // latin1 keeps one character per byte, so each part can be decoded with its own charset
+  const message = parseEntity(content.toString('latin1'));
+  const header = name => decodeHeader(message.headers.get(name) || '');
+
+  const date = new Date(header('date'));
+  const metadata = {
+    from: parseAddressList(header('from'))[0] || null,
+    to: parseAddressList(header('to')),
+    cc: parseAddressList(header('cc')),
+    subject: header('subject') || null,
+    date: Number.isNaN(date.getTime()) ? header('date') || null : date.toISOString()
+  };
+
+  // "Doe, Jane" is written as "Jane Doe"
+  const names = [metadata.from, ...metadata.to, ...metadata.cc]
+    .filter(address => address?.name)
+    .map(address => address.name.replace(/^([^,]+),\s*([^,]+)$/, '$2 $1'));
+  const body = findTextBody(message);
+
+  return {
+    text: [metadata.subject, [...new Set(names)].join(', '), body].filter(Boolean).join('\n\n'),
+    metadata
+  };
+}
+
+/**
+ * Split a MIME entity into its headers and body
+ * @param {string} raw - Entity source, one character per byte
+ * @returns {Object} - { headers: Map of lowercase name to value, body }
+ */
+function parseEntity(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerText = raw.match(/^\r?\n/) ? '' : separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+  const headers = new Map();
+
+  headerText
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+
+      const name = line.slice(0, colon).trim().toLowerCase();
+      const value = line.slice(colon + 1).trim();
+      // Repeated address headers are combined
+      headers.set(name, headers.has(name) ? `${headers.get(name)}, ${value}` : value);
+    });
+
+  return { headers, body };
+}
+
+/**
+ * Split a header value into its main value and parameters
+ * @param {string} value - Header value such as 'text/plain; charset="utf-8"'
+ * @returns {Object} - { value, params } with a lowercase value and parameter names
+ */
+function parseHeaderParams(value) {
+  const params = {};
+  for (const match of value.matchAll(/;\s*([\w-]+)\s*=\s*(?:"([^"]*)"|([^;\s]*))/g)) {
+    params[match[1].toLowerCase()] = match[2] ?? match[3];
+  }
+
+  return { value: value.split(';')[0].trim().toLowerCase(), params };
+}
+
+/**
+ * Find the text of a MIME entity, preferring plain text over HTML
+ * Attachments are skipped.
+ * @param {Object} entity - { headers, body } entity
+ * @returns {string} - Body text, or an empty string
+ */
+function findTextBody(entity) {
+  const contentType = parseHeaderParams(entity.headers.get('content-type') || 'text/plain');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const parts = splitMultipart(entity.body, contentType.params.boundary)
+      .map(parseEntity)
+      .filter(part => !/^attachment\b/i.test(part.headers.get('content-disposition') || ''));
+
+    const typeOf = part => parseHeaderParams(part.headers.get('content-type') || 'text/plain').value;
+    const preferred = [
+      ...parts.filter(part => typeOf(part) === 'text/plain'),
+      ...parts.filter(part => typeOf(part) !== 'text/plain')
+    ];
+
+    for (const part of preferred) {
+      const text = findTextBody(part);
+      if (text.trim()) return text;
+    }
+    return '';
+  }
+
+  if (contentType.value !== 'text/plain' && contentType.value !== 'text/html') return '';
+
+  const text = decodeBody(entity.body, entity.headers.get('content-transfer-encoding'), contentType.params.charset);
+  return contentType.value === 'text/html' ? htmlToText(text) : stripReplies(text);
+}
+
+/**
+ * Split a multipart body into its parts
+ * @param {string} body - Multipart body
+ * @param {string} boundary - Boundary parameter of the content type
+ * @returns {Array<string>} - Raw parts, without the preamble and epilogue
+ */
+function splitMultipart(body, boundary) {
+  const parts = [];
+
+  for (const section of body.split(`--${boundary}`).slice(1)) {
+    // The closing delimiter is followed by "--"
+    if (section.startsWith('--')) break;
+    parts.push(section.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+
+  return parts;
+}
+
+/**
+ * Decode a body from its transfer encoding and charset
+ * @param {string} body - Encoded body, one character per byte
+ * @param {string} [encoding] - Content-Transfer-Encoding header
+ * @param {string} [charset] - Charset parameter of the content type
+ * @returns {string} - Decoded text
+ */
+function decodeBody(body, encoding = '', charset) {
+  const transfer = encoding.trim().toLowerCase();
+  let bytes;
+
+  if (transfer === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (transfer === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body.replace(/=\r?\n/g, ''));
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  return decodeCharset(bytes, charset);
+}
+
+/**
+ * Decode quoted-printable text into bytes
+ * @param {string} text - Text with =XX escapes, one character per byte
+ * @returns {Buffer} - Bytes
+ */
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const hex = text.slice(i + 1, i + 3);
+    if (text[i] === '=' && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode bytes in a charset, falling back to UTF-8 for unknown charsets
+ * US-ASCII is read as UTF-8, since mislabeled 8-bit mail is common.
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {string} [charset] - Charset name
+ * @returns {string} - Decoded text
+ */
+function decodeCharset(bytes, charset = 'utf-8') {
+  const label = /^(?:us-)?ascii$/i.test(charset) ? 'utf-8' : charset;
+
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Decode a header value: raw UTF-8 and RFC 2047 encoded words such as =?UTF-8?Q?Caf=C3=A9?=
+ * @param {string} value - Header value, one character per byte
+ * @returns {string} - Decoded value
+ */
+function decodeHeader(value) {
+  return Buffer.from(value, 'latin1').toString('utf8')
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, encoded) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Parse an address header into addresses
+ * @param {string} value - Decoded header such as '"Doe, Jane" <jane@example.com>, bob@example.com'
+ * @returns {Array<EmailAddress>} - Addresses in header order
+ */
+function parseAddressList(value) {
+  const entries = [];
+  let current = '';
+  let quoted = false;
+  let bracketed = false;
+
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (char === '<' && !quoted) bracketed = true;
+    if (char === '>' && !quoted) bracketed = false;
+
+    if (char === ',' && !quoted && !bracketed) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(entry => {
+      const match = entry.match(/^\s*(.*?)\s*<([^>]*)>\s*$/);
+      if (!match) return { name: null, address: entry.trim() };
+
+      const name = match[1].replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim();
+      return { name: name || null, address: match[2].trim() };
+    })
+    .filter(({ address }) => address.includes('@'));
+}
+
+/**
+ * Drop quoted replies and the signature from a plain text email body
+ * @param {string} text - Body text
+ * @returns {string} - Text written by the sender
+ */
+function stripReplies(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const signature = lines.findIndex(line => line === '-- ');
+  const own = (signature === -1 ? lines : lines.slice(0, signature)).filter(line => !line.startsWith('>'));
+
+  // The "On <date>, <name> wrote:" line introducing the quote
+  while (own.length > 0 && (/\bwrote:\s*$/.test(own[own.length - 1]) || !own[own.length - 1].trim())) {
+    own.pop();
+  }
+
+  return own.join('\n');
+}
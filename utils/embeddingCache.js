@@ -0,0 +1,216 @@
+// Content-addressed embedding cache: in-memory LRU plus an optional on-disk store
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * @typedef {Object} EmbeddingLookup
+ * @property {Array<number>} vector - Embedding vector
+ * @property {string} source - Where the vector came from: 'memory', 'disk', 'provider', or 'shared'
+ *   when it came from a provider call made for a concurrent request
+ */
+
+/**
+ * Normalize text before hashing so whitespace-only differences share an entry
+ * @param {string} text - Input text
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cache key for a text embedded with a model
+ * @param {string} model - Embedding model identifier
+ * @param {string} text - Input text
+ * @returns {string} - SHA-256 hex digest
+ */
+export function embeddingKey(model, text) {
+  return createHash('sha256').update(`${model}\0${normalizeText(text)}`).digest('hex');
+}
+
+/**
+ * Create an embedding cache
+ * @param {Object} options - Cache options
+ * @param {number} [options.maxEntries] - In-memory LRU size; 0 disables the memory tier
+ * @param {string} [options.directory] - Directory for the on-disk store; omitted disables it
+ * @returns {Object} - Cache with async get(model, text) and set(model, text, vector)
+ */
+export function createEmbeddingCache({ maxEntries = DEFAULT_MAX_ENTRIES, directory } = {}) {
+  // Map iteration order is insertion order, so the first key is least recently used
+  const memory = new Map();
+
+  const remember = (key, vector) => {
+    if (maxEntries <= 0) return;
+
+    memory.delete(key);
+    memory.set(key, vector);
+
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+
+  const filePath = key => path.join(directory, `${key}.json`);
+
+  return {
+    /**
+     * Look up a cached embedding
+     * @param {string} model - Embedding model identifier
+     * @param {string} text - Input text
+     * @returns {Promise<EmbeddingLookup|null>} - Cached vector and tier, or null on a miss
+     */
+    async get(model, text) {
+      const key = embeddingKey(model, text);
+
+      if (memory.has(key)) {
+        const vector = memory.get(key);
+        remember(key, vector);
+        return { vector, source: 'memory' };
+      }
+
+      if (!directory) return null;
+
+      try {
+        const { vector } = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+        remember(key, vector);
+        return { vector, source: 'disk' };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading cached embedding:', error);
+        }
+        return null;
+      }
+    },
+
+    /**
+     * Store an embedding
+     * @param {string} model - Embedding model identifier
+     * @param {string} text - Input text
+     * @param {Array<number>} vector - Embedding vector
+     */
+    async set(model, text, vector) {
+      const key = embeddingKey(model, text);
+      remember(key, vector);
+
+      if (!directory) return;
+
+      // Write atomically so concurrent readers never see a partial file
+      const target = filePath(key);
+      const tempPath = `${target}.${process.pid}.tmp`;
+
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ model, vector }));
+        await fs.rename(tempPath, target);
+      } catch (error) {
+        console.error('Error writing cached embedding:', error);
+      }
+    }
+  };
+}
+
+let sharedCache;
+
+// In-flight provider calls per cache, keyed like the cache entries
+const pendingByCache = new WeakMap();
+
+/**
+ * Process-wide embedding cache configured from the environment
+ * Environment variables:
+ * - EMBEDDING_CACHE_SIZE: in-memory LRU size (default 500, 0 disables it)
+ * - EMBEDDING_CACHE_DIR: directory for the on-disk store (disabled when unset)
+ * @returns {Object} - Shared cache, see {@link createEmbeddingCache}
+ */
+export function getEmbeddingCache() {
+  if (!sharedCache) {
+    const size = process.env.EMBEDDING_CACHE_SIZE;
+
+    sharedCache = createEmbeddingCache({
+      maxEntries: size === undefined || size === '' ? DEFAULT_MAX_ENTRIES : Number(size),
+      directory: process.env.EMBEDDING_CACHE_DIR || undefined
+    });
+  }
+
+  return sharedCache;
+}
+
+/**
+ * Wrap an embedding provider with a cache
+ * Misses are sent to the provider as one batch, and concurrent requests for
+ * the same text share a single provider call.
+ * @param {import('./embeddingProviders').EmbeddingProvider} provider - Provider to wrap
+ * @param {Object} [cache] - Cache, defaults to {@link getEmbeddingCache}
+ * @returns {import('./embeddingProviders').EmbeddingProvider} - Provider that also has lookup(texts)
+ */
+export function withEmbeddingCache(provider, cache = getEmbeddingCache()) {
+  if (!pendingByCache.has(cache)) {
+    pendingByCache.set(cache, new Map());
+  }
+  const pending = pendingByCache.get(cache);
+
+  /**
+   * Resolve texts from the cache, embedding all misses in one provider call
+   * @param {Array<Array<string>>} entries - [key, text] pairs
+   * @returns {Promise<Map<string, EmbeddingLookup>>} - Lookup per key
+   */
+  const resolve = async (entries) => {
+    const cached = await Promise.all(entries.map(([, text]) => cache.get(provider.model, text)));
+    const misses = entries.filter((entry, index) => !cached[index]);
+    const vectors = misses.length > 0 ? await provider.embed(misses.map(([, text]) => text)) : [];
+
+    const results = new Map(entries.map(([key], index) => [key, cached[index]]));
+
+    await Promise.all(misses.map(async ([key, text], index) => {
+      await cache.set(provider.model, text, vectors[index]);
+      results.set(key, { vector: vectors[index], source: 'provider' });
+    }));
+
+    return results;
+  };
+
+  /**
+   * Embed texts, reporting where each vector came from
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<EmbeddingLookup>>} - One lookup per text
+   */
+  const lookup = async (texts) => {
+    const keys = texts.map(text => embeddingKey(provider.model, text));
+
+    // Claim keys nobody else is resolving before awaiting anything, so
+    // concurrent lookups of the same text share one provider call
+    const owned = new Map();
+    keys.forEach((key, index) => {
+      if (!pending.has(key) && !owned.has(key)) {
+        owned.set(key, texts[index]);
+      }
+    });
+
+    const requests = new Map();
+
+    if (owned.size > 0) {
+      const batch = resolve([...owned]);
+
+      owned.forEach((text, key) => {
+        const request = batch.then(results => results.get(key));
+        requests.set(key, request);
+        pending.set(key, request);
+        request.catch(() => {}).finally(() => pending.delete(key));
+      });
+    }
+
+    return Promise.all(keys.map(key => requests.has(key)
+      ? requests.get(key)
+      : pending.get(key).then(result => (result.source === 'provider' ? { ...result, source: 'shared' } : result))
+    ));
+  };
+
+  return {
+    ...provider,
+    embed: async (texts) => (await lookup(texts)).map(result => result.vector),
+    lookup
+  };
+}
@@ -0,0 +1,373 @@
+// Embedding providers used for semantic similarity
+
+import { tokenizeAndClean } from './extractors';
+import { withEmbeddingCache } from './embeddingCache';
+import { createAzureOpenAIClient, createOpenAIClient } from './openaiClient';
+import { detectLanguage, stemWord } from './language';
+import { createRedactor, withRedaction } from './redaction';
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider name, e.g. 'openai', 'azure' or 'local'
+ * @property {string} model - Model identifier; embeddings from different models are not comparable
+ * @property {Function} embed - Async function taking an array of texts and returning one vector per text
+ * @property {Function} [lookup] - Like embed, but resolves to { vector, source } per text (cached providers only)
+ * @property {EmbeddingLimits} [limits] - Request limits of the API, when it has any
+ */
+
+/**
+ * @typedef {Object} EmbeddingLimits
+ * @property {number} maxInputChars - Longest input; longer inputs are truncated
+ * @property {number} maxBatchInputs - Most inputs sent in one request
+ * @property {number} maxBatchChars - Most characters sent in one request
+ */
+
+const DEFAULT_OPENAI_MODEL = 'text-embedding-ada-002';
+const DEFAULT_LOCAL_DIMENSIONS = 1024;
+const MAX_TIMEOUT_MS = 120000;
+
+// The OpenAI and Azure OpenAI embeddings APIs take 8191 tokens per input, and 2048 inputs
+// and 300,000 tokens per request. Tokens are counted as 3 characters rather than the usual
+// 4, since numbers, code and non-English text take more tokens than English prose.
+const CHARS_PER_TOKEN = 3;
+export const OPENAI_EMBEDDING_LIMITS = {
+  maxInputChars: 8191 * CHARS_PER_TOKEN,
+  maxBatchInputs: 2048,
+  maxBatchChars: 300000 * CHARS_PER_TOKEN
+};
+
+const providers = new Map([
+  ['openai', createOpenAIProvider],
+  ['azure', createAzureProvider],
+  ['local', createLocalProvider]
+]);
+
+/**
+ * Register an embedding provider factory
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Takes an options object and returns an {@link EmbeddingProvider}
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Name of the provider to use when none is requested
+ * EMBEDDING_PROVIDER wins; otherwise OpenAI is used when a key or an
+ * OpenAI-compatible base URL is configured and the offline local provider
+ * when neither is.
+ * @returns {string} - Provider name
+ */
+export function getDefaultProviderName() {
+  if (process.env.EMBEDDING_PROVIDER) {
+    return process.env.EMBEDDING_PROVIDER;
+  }
+
+  return process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL ? 'openai' : 'local';
+}
+
+/**
+ * Create an embedding provider
+ * Providers are wrapped with the shared embedding cache, see utils/embeddingCache.js.
+ * @param {string} [name] - Provider name, defaults to {@link getDefaultProviderName}
+ * @param {Object} [options] - Provider-specific options
+ * @returns {EmbeddingProvider} - Cached embedding provider
+ * @throws {Error} - If the provider is unknown or misconfigured
+ */
+export function createEmbeddingProvider(name = getDefaultProviderName(), options = {}) {
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Available providers: ${[...providers.keys()].join(', ')}`);
+  }
+
+  return withEmbeddingCache(factory(options));
+}
+
+/**
+ * Validate per-request embedding options
+ * Requests may pick the provider, model, organization and timeout. A base
+ * URL is only accepted when it is listed in OPENAI_ALLOWED_BASE_URLS, so
+ * requests can't send the server's API key to arbitrary hosts.
+ * @param {Object} [embedding] - { provider, model, baseURL, organization, timeout } from the request body
+ * @returns {Object} - { name, options } arguments for {@link createEmbeddingProvider}
+ * @throws {Error} - If an option is invalid or not allowed
+ */
+export function resolveEmbeddingOptions(embedding) {
+  if (embedding === undefined || embedding === null) {
+    return { name: getDefaultProviderName(), options: {} };
+  }
+
+  if (typeof embedding !== 'object' || Array.isArray(embedding)) {
+    throw new Error('embedding must be an object');
+  }
+
+  const { provider = getDefaultProviderName(), model, baseURL, organization, timeout } = embedding;
+
+  if (!providers.has(provider)) {
+    throw new Error(`Unknown embedding provider "${provider}". Available providers: ${[...providers.keys()].join(', ')}`);
+  }
+
+  ['model', 'baseURL', 'organization'].forEach(key => {
+    if (embedding[key] !== undefined && (typeof embedding[key] !== 'string' || !embedding[key].trim())) {
+      throw new Error(`embedding.${key} must be a non-empty string`);
+    }
+  });
+
+  if ((baseURL !== undefined || organization !== undefined) && provider !== 'openai') {
+    throw new Error('embedding.baseURL and embedding.organization are only supported by the openai provider');
+  }
+
+  if (baseURL !== undefined && !getAllowedBaseURLs().includes(normalizeBaseURL(baseURL))) {
+    throw new Error(`embedding.baseURL is not allowed: ${baseURL}`);
+  }
+
+  if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0) || timeout > MAX_TIMEOUT_MS)) {
+    throw new Error(`embedding.timeout must be a number of milliseconds between 1 and ${MAX_TIMEOUT_MS}`);
+  }
+
+  return {
+    name: provider,
+    options: { model, baseURL, organization, timeout }
+  };
+}
+
+/**
+ * Base URLs that requests may select, from OPENAI_ALLOWED_BASE_URLS
+ * @returns {Array<string>} - Normalized base URLs
+ */
+function getAllowedBaseURLs() {
+  return (process.env.OPENAI_ALLOWED_BASE_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean)
+    .map(normalizeBaseURL);
+}
+
+/**
+ * Normalize a base URL for comparison
+ * @param {string} url - Base URL
+ * @returns {string} - URL without trailing slashes
+ */
+function normalizeBaseURL(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Create the embedding provider for the texts of one request
+ * PII in every text is replaced with placeholders before it reaches the
+ * provider (see utils/redaction.js); the full texts are redacted up front so
+ * they all share one set of placeholders.
+ * @param {Object} embeddingOptions - { name, options } from {@link resolveEmbeddingOptions}
+ * @param {Array<string>} texts - Full texts of the request
+ * @returns {Object} - { embeddingProvider, redactor }
+ * @throws {Error} - If the provider is unknown or misconfigured, or PII_REDACTION is invalid
+ */
+export function createRequestEmbeddingProvider({ name, options }, texts) {
+  const redactor = createRedactor({ texts });
+
+  return {
+    embeddingProvider: withRedaction(createEmbeddingProvider(name, options), redactor),
+    redactor
+  };
+}
+
+/**
+ * Whether a provider truncates a text before embedding it
+ * @param {EmbeddingProvider} provider - Embedding provider
+ * @param {string} text - Input text
+ * @returns {boolean} - Whether the text is longer than the provider's input limit
+ */
+export function isTruncated(provider, text) {
+  return Boolean(provider.limits) && text.length > provider.limits.maxInputChars;
+}
+
+/**
+ * Create an embedding function for storing alongside profiles
+ * @param {EmbeddingProvider} [provider] - Provider, defaults to the configured one with PII redacted
+ *   as for scoring requests, so profile embeddings match the ones computed during scoring
+ * @returns {Function} - Async function returning { model, vector, truncated } for a text
+ */
+export function createEmbedder(provider = createRequestEmbeddingProvider({ name: getDefaultProviderName() }, []).embeddingProvider) {
+  return async (text) => {
+    const [vector] = await provider.embed([text]);
+    return { model: provider.model, vector, truncated: isTruncated(provider, text) };
+  };
+}
+
+/**
+ * Create a provider backed by the OpenAI embeddings API or a compatible server
+ * Unset options fall back to the environment, see {@link getOpenAIOptions}.
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - API key, defaults to OPENAI_API_KEY
+ * @param {string} [options.model] - Embedding model, defaults to OPENAI_EMBEDDING_MODEL or text-embedding-ada-002
+ * @param {string} [options.baseURL] - OpenAI-compatible base URL, defaults to OPENAI_BASE_URL
+ * @param {string} [options.organization] - Organization ID, defaults to OPENAI_ORGANIZATION
+ * @param {number} [options.timeout] - Request timeout in milliseconds, defaults to OPENAI_TIMEOUT_MS
+ * @returns {EmbeddingProvider} - Embedding provider
+ */
+export function createOpenAIProvider({
+  apiKey,
+  model = process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL,
+  baseURL,
+  organization,
+  timeout
+} = {}) {
+  const openai = createOpenAIClient({ apiKey, baseURL, organization, timeout });
+
+  return {
+    name: 'openai',
+    model,
+    limits: OPENAI_EMBEDDING_LIMITS,
+    embed: (texts) => embedWithClient(openai, model, texts)
+  };
+}
+
+/**
+ * Create a provider backed by an Azure OpenAI embedding deployment
+ * @param {Object} options - Provider options
+ * @param {string} [options.model] - Deployment name, defaults to AZURE_OPENAI_EMBEDDING_DEPLOYMENT
+ * @param {number} [options.timeout] - Request timeout in milliseconds, defaults to OPENAI_TIMEOUT_MS
+ * @returns {EmbeddingProvider} - Embedding provider
+ */
+export function createAzureProvider({ model = process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT, timeout } = {}) {
+  if (!model) {
+    throw new Error('Azure OpenAI embedding deployment is not configured');
+  }
+
+  const client = createAzureOpenAIClient({ deployment: model, timeout });
+
+  return {
+    name: 'azure',
+    model,
+    limits: OPENAI_EMBEDDING_LIMITS,
+    embed: (texts) => embedWithClient(client, model, texts)
+  };
+}
+
+/**
+ * Embed texts with an OpenAI client, in as few requests as the API limits allow
+ * Inputs longer than the per-input limit are truncated; see {@link isTruncated}.
+ * @param {Object} client - OpenAI or AzureOpenAI client
+ * @param {string} model - Model (or Azure deployment) name
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} - One vector per text
+ */
+async function embedWithClient(client, model, texts) {
+  const inputs = texts.map(text => text.slice(0, OPENAI_EMBEDDING_LIMITS.maxInputChars));
+  const vectors = [];
+
+  for (const batch of toBatches(inputs, OPENAI_EMBEDDING_LIMITS)) {
+    const response = await client.embeddings.create({
+      model,
+      input: batch,
+      // The SDK otherwise asks for base64, which many compatible servers don't support
+      encoding_format: 'float'
+    });
+
+    // Results carry the index of their input and aren't guaranteed to be in order
+    const batchVectors = new Array(batch.length);
+    response.data.forEach(item => {
+      batchVectors[item.index] = item.embedding;
+    });
+
+    vectors.push(...batchVectors);
+  }
+
+  return vectors;
+}
+
+/**
+ * Split inputs into consecutive batches within a request's input and character limits
+ * @param {Array<string>} inputs - Inputs, each within the per-input limit
+ * @param {EmbeddingLimits} limits - API limits
+ * @returns {Array<Array<string>>} - Batches in input order
+ */
+function toBatches(inputs, { maxBatchInputs, maxBatchChars }) {
+  const batches = [];
+  let batch = [];
+  let chars = 0;
+
+  inputs.forEach(input => {
+    if (batch.length > 0 && (batch.length >= maxBatchInputs || chars + input.length > maxBatchChars)) {
+      batches.push(batch);
+      batch = [];
+      chars = 0;
+    }
+
+    batch.push(input);
+    chars += input.length;
+  });
+
+  if (batch.length > 0) batches.push(batch);
+
+  return batches;
+}
+
+/**
+ * Create an offline provider using the hashing trick
+ * Stemmed words, word bigrams and character trigrams are hashed into a
+ * fixed number of dimensions. No network access or model files are needed,
+ * and the same text always produces the same vector.
+ * @param {Object} options - Provider options
+ * @param {number} [options.dimensions] - Vector size, defaults to LOCAL_EMBEDDING_DIMENSIONS or 1024
+ * @returns {EmbeddingProvider} - Embedding provider
+ */
+export function createLocalProvider({
+  dimensions = Number(process.env.LOCAL_EMBEDDING_DIMENSIONS) || DEFAULT_LOCAL_DIMENSIONS
+} = {}) {
+  return {
+    name: 'local',
+    model: `local-hashing-${dimensions}`,
+    embed: async (texts) => texts.map(text => hashingEmbedding(text, dimensions))
+  };
+}
+
+/**
+ * Embed text with the hashing trick
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - L2-normalized vector
+ */
+function hashingEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const language = detectLanguage(text);
+  const stems = tokenizeAndClean(text, language).map(token => stemWord(token, language));
+
+  const add = (feature, weight) => {
+    vector[fnv1a(feature) % dimensions] += weight;
+  };
+
+  stems.forEach((stem, index) => {
+    add(`w:${stem}`, 1);
+
+    if (index > 0) {
+      add(`b:${stems[index - 1]} ${stem}`, 0.5);
+    }
+
+    // Character trigrams let related word forms share dimensions
+    const padded = `#${stem}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.slice(i, i + 3)}`, 0.25);
+    }
+  });
+
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + (value * value), 0));
+  return magnitude === 0 ? vector : vector.map(value => value / magnitude);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - Input string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
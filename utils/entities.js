@@ -0,0 +1,419 @@
+// Entity normalization: proper nouns, acronyms, aliases and canonical IDs
+
+import { readdirSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import nlp from 'compromise';
+
+/**
+ * Aliases every deployment knows about
+ * Teams add their own in JSON files, see {@link getAliasIndex}.
+ */
+export const BUILT_IN_ALIASES = [
+  { id: 'aws', name: 'Amazon Web Services', aliases: ['AWS', 'Amazon AWS'] },
+  { id: 'gcp', name: 'Google Cloud Platform', aliases: ['GCP', 'Google Cloud'] },
+  { id: 'azure', name: 'Microsoft Azure', aliases: ['Azure'] },
+  { id: 'kubernetes', name: 'Kubernetes', aliases: ['K8s'] },
+  { id: 'postgresql', name: 'PostgreSQL', aliases: ['Postgres'] },
+  { id: 'united-states', name: 'United States', aliases: ['US', 'USA', 'United States of America'] },
+  { id: 'united-kingdom', name: 'United Kingdom', aliases: ['UK', 'Great Britain'] },
+  { id: 'european-union', name: 'European Union', aliases: ['EU'] },
+  { id: 'nps', name: 'Net Promoter Score', aliases: ['NPS'] },
+  { id: 'human-resources', name: 'Human Resources', aliases: ['HR'] },
+  { id: 'artificial-intelligence', name: 'Artificial Intelligence', aliases: ['AI'] },
+  { id: 'machine-learning', name: 'Machine Learning', aliases: ['ML'] }
+];
+
+// Words in any script, keeping apostrophes so possessives and contractions stay attached
+const WORD_PATTERN = /\p{L}[\p{L}\p{N}&-]*(?:['’]\p{L}+)?/gu;
+
+// All-caps words (AWS, APIs) and codes with digits (Q2, EC2)
+const ACRONYM_PATTERN = /^(?:\p{Lu}{2,}s?|\p{Lu}+[0-9][\p{Lu}0-9]*)$/u;
+
+/**
+ * Name patterns by language
+ * articles are dropped from the start of a name, connectors may join two
+ * capitalized words into one name ("Bank of America", "Banco de España"),
+ * except after a role title or an acronym, which name a role at the
+ * organization that follows ("CEO of Google", "Directora de Telefónica").
+ * German capitalizes every noun, so single German words with a common-noun
+ * suffix ("Besprechung", "Sicherheit") don't count as names.
+ */
+const NAME_PATTERNS = {
+  en: {
+    articles: ['The'],
+    connectors: ['of'],
+    titles: ['Chair', 'Chairman', 'Chairwoman', 'Chief', 'Co-Founder', 'Dean', 'Director', 'Founder', 'Governor',
+      'Head', 'Lead', 'Manager', 'Mayor', 'Member', 'Minister', 'Officer', 'Owner', 'Partner', 'President',
+      'Professor', 'Secretary']
+  },
+  de: {
+    articles: ['Der', 'Die', 'Das', 'Den', 'Dem', 'Des', 'Ein', 'Eine', 'Einen', 'Einem', 'Einer'],
+    connectors: ['von'],
+    titles: ['Chef', 'Chefin', 'Direktor', 'Direktorin', 'Gründer', 'Gründerin', 'Leiter', 'Leiterin',
+      'Minister', 'Ministerin', 'Präsident', 'Präsidentin', 'Vorsitzender', 'Vorsitzende'],
+    commonNoun: /(?:ung|heit|keit|schaft|tion|tät|ismus|nis|ment|chen|lein|ling|ik|ur|enz|anz|ei)(?:en|e|s|n)?$/u
+  },
+  fr: {
+    articles: ['Le', 'La', 'Les', 'Un', 'Une'],
+    connectors: ['de', 'du', 'des'],
+    titles: ['Directeur', 'Directrice', 'Fondateur', 'Fondatrice', 'Ministre', 'Président', 'Présidente', 'Responsable']
+  },
+  es: {
+    articles: ['El', 'La', 'Los', 'Las', 'Un', 'Una'],
+    connectors: ['de', 'del'],
+    titles: ['Director', 'Directora', 'Fundador', 'Fundadora', 'Jefe', 'Jefa', 'Ministro', 'Ministra', 'Presidente',
+      'Presidenta', 'Responsable']
+  }
+};
+
+const POSSESSIVE_PATTERN = /['’]s$/;
+
+// What may separate two words of one name: spaces, optionally around an ampersand
+const RUN_GAP_PATTERN = /^[ \t]+(?:&[ \t]+)?$/;
+
+// Small words skipped when matching an acronym to its expansion
+const ACRONYM_FILLERS = new Set(['of', 'and', 'the', 'for', '&']);
+
+/**
+ * @typedef {Object} CanonicalEntity
+ * @property {string} id - Canonical ID; entities with the same ID are the same entity
+ * @property {string} text - Display name: the alias name, or the longest surface form
+ * @property {string|null} category - Entity category, or null when uncategorized
+ * @property {Array<string>} forms - Surface forms merged into this entity, as written
+ */
+
+let aliasCache = { signature: null, index: null };
+
+/**
+ * Directory holding team-supplied alias files, from ENTITY_ALIASES_DIR or ./aliases
+ * @returns {string} - Absolute directory path
+ */
+function getAliasDirectory() {
+  return process.env.ENTITY_ALIASES_DIR || path.join(process.cwd(), 'aliases');
+}
+
+/**
+ * Get the alias index of the built-in and team-supplied aliases
+ * Every .json file in the alias directory holds an array of
+ * { id, name, aliases } entries, or an object with such an `entities` array.
+ * A file entry with a built-in ID renames it and adds its aliases. Files are
+ * reread when they change; invalid files are logged and skipped.
+ * @returns {Map<string, Object>} - { id, name } by normalized surface form
+ */
+export function getAliasIndex() {
+  const directory = getAliasDirectory();
+  let files = [];
+
+  try {
+    files = readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const filePath = path.join(directory, file);
+        return { filePath, modified: statSync(filePath).mtimeMs };
+      });
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading entity aliases:', error);
+  }
+
+  const signature = JSON.stringify(files);
+  if (aliasCache.signature === signature) return aliasCache.index;
+
+  const entries = new Map(BUILT_IN_ALIASES.map(entry => [entry.id, { ...entry }]));
+
+  files.forEach(({ filePath }) => {
+    try {
+      readAliasFile(filePath).forEach(entry => {
+        const existing = entries.get(entry.id);
+        entries.set(entry.id, {
+          id: entry.id,
+          name: entry.name || existing?.name,
+          aliases: [...(existing?.aliases || []), ...(existing ? [existing.name] : []), ...entry.aliases]
+        });
+      });
+    } catch (error) {
+      console.error(`Skipping entity alias file ${filePath}:`, error.message);
+    }
+  });
+
+  const index = new Map();
+  entries.forEach(({ id, name, aliases }) => {
+    [name, ...aliases].forEach(form => index.set(toKey(form), { id, name }));
+  });
+
+  aliasCache = { signature, index };
+  return index;
+}
+
+/**
+ * Find the proper nouns and acronyms in a text
+ * Runs of capitalized words become one entity ("Sarah Johnson", "Bank of
+ * America"), and single capitalized words and acronyms count too. A role
+ * title is split from the organization it belongs to ("CEO", "Google"). A possessive ends a run and is
+ * dropped. A capitalized word starting a sentence is kept only if it is an
+ * acronym, a known alias, tagged as a proper noun by compromise (English
+ * only), or capitalized elsewhere in the text.
+ * @param {string} text - Input text
+ * @param {string} [language] - Language code whose {@link NAME_PATTERNS} apply, defaults to English
+ * @returns {Array<string>} - Entity surface forms in text order
+ */
+export function extractProperNouns(text, language = 'en') {
+  const aliases = getAliasIndex();
+  const patterns = NAME_PATTERNS[language] || NAME_PATTERNS.en;
+  const words = [...text.matchAll(WORD_PATTERN)].map(match => toWord(text, match, language));
+
+  const midSentence = new Set(words
+    .filter(word => word.capitalized && !word.sentenceStart)
+    .map(word => word.text.toLowerCase()));
+
+  const tagged = new Set(language !== 'en' ? [] : nlp(text)
+    .match('(#ProperNoun|#Acronym)')
+    .terms()
+    .out('array')
+    .map(term => toKey(term.replace(/[^\p{L}\p{N}_'’&-]/gu, ''))));
+
+  const isSpecial = word => word.acronym || /\p{Ll}\p{Lu}/u.test(word.text) || aliases.has(toKey(word.text));
+  const isName = word => isSpecial(word) || tagged.has(toKey(word.text)) ||
+    (!patterns.commonNoun && midSentence.has(word.text.toLowerCase()));
+
+  const isTitle = word => word.acronym || patterns.titles.includes(word.text);
+
+  const runs = [];
+  let run = [];
+
+  const endRun = () => {
+    // Articles aren't part of names, and sentence-initial words may only be capitalized because of their position
+    if (run.length > 0 && patterns.articles.includes(run[0].text)) {
+      run = run.slice(1);
+    }
+    if (run.length > 0 && run[0].sentenceStart && !aliases.has(toKey(run.map(word => word.text).join(' '))) && !isName(run[0])) {
+      run = run.slice(1);
+    }
+    while (run.length > 0 && patterns.connectors.includes(run[0].text)) {
+      run = run.slice(1);
+    }
+    // A lone German noun is usually not a name
+    if (run.length === 1 && patterns.commonNoun && patterns.commonNoun.test(run[0].text) && !isSpecial(run[0])) {
+      run = [];
+    }
+    if (run.length > 0) {
+      const last = run[run.length - 1];
+      runs.push(text.slice(run[0].start, last.start + last.text.length));
+    }
+    run = [];
+  };
+
+  const follows = (word, previous) => previous && !previous.possessive &&
+    RUN_GAP_PATTERN.test(text.slice(previous.end, word.start));
+
+  words.forEach((word, i) => {
+    if (run.length > 0 && !follows(word, words[i - 1])) endRun();
+
+    if (word.capitalized) {
+      run.push(word);
+    } else if (run.length > 0 && patterns.connectors.includes(word.text) && words[i + 1]?.capitalized &&
+      follows(words[i + 1], word) && !isTitle(run[run.length - 1])) {
+      // "Bank of America" is one name, "CEO of Google" is two
+      run.push(word);
+    } else {
+      endRun();
+    }
+  });
+  endRun();
+
+  return runs;
+}
+
+/**
+ * Merge surface forms that refer to the same entity
+ * Forms are matched case-insensitively, without possessives or a leading
+ * "the", and through the alias index.
+ * @param {Array<string>} forms - Surface forms from one text
+ * @param {string|null} [category] - Category of all the forms
+ * @returns {Array<CanonicalEntity>} - One entity per canonical ID, in order of first mention
+ */
+export function canonicalizeEntities(forms, category = null) {
+  const aliases = getAliasIndex();
+  const byId = new Map();
+
+  forms.map(cleanForm).forEach(form => {
+    const key = toKey(form);
+    if (!key) return;
+
+    const alias = aliases.get(key);
+    const id = alias ? alias.id : key.replace(/\s+/g, '-');
+
+    if (!byId.has(id)) {
+      byId.set(id, { id, text: alias ? alias.name : form, category, forms: [], aliased: Boolean(alias) });
+    }
+    addForm(byId.get(id), form);
+  });
+
+  return [...byId.values()].map(({ aliased, ...entity }) => ({
+    ...entity,
+    // Prefer the most complete form as the display name, e.g. "Sarah Johnson" over "Sarah"
+    text: aliased ? entity.text : entity.forms.reduce((longest, form) => form.length > longest.length ? form : longest)
+  }));
+}
+
+/**
+ * Link short references to the full names they abbreviate, across texts
+ * A single name ("Sarah") joins the one person's name of the same category
+ * starting or ending with it ("Sarah Johnson"), and an acronym ("SLA")
+ * joins the one multi-word entity with matching initials ("Service Level
+ * Agreement"). Ambiguous references are left alone, and so are dates
+ * (see linkTemporalEntities in utils/temporal.js).
+ * @param {Array<Array<CanonicalEntity>>} entityLists - Canonical entities of each text
+ * @returns {Array<Array<CanonicalEntity>>} - Linked entities of each text
+ */
+export function linkEntities(entityLists) {
+  const aliasIds = new Set([...getAliasIndex().values()].map(alias => alias.id));
+  const fullNames = new Map();
+  entityLists.flat()
+    .filter(entity => !entity.temporal && /\s/.test(entity.text))
+    .forEach(entity => fullNames.set(`${entity.category}:${entity.id}`, entity));
+
+  // Uncategorized names only link to full names compromise recognizes as people
+  const people = new Map();
+  const isPerson = candidate => {
+    if (candidate.category !== null) return candidate.category === 'people';
+    if (!people.has(candidate.id)) people.set(candidate.id, nlp(candidate.text).has('#Person'));
+    return people.get(candidate.id);
+  };
+
+  const findFullName = entity => {
+    if (entity.temporal || /\s/.test(entity.text) || entity.id.includes('-') || aliasIds.has(entity.id)) return null;
+
+    const acronym = ACRONYM_PATTERN.test(entity.forms[0]) ? entity.id.replace(/s$/, '') : null;
+    const matches = [...fullNames.values()].filter(candidate => {
+      if (candidate.category !== entity.category || candidate.id === entity.id) return false;
+
+      const words = toKey(candidate.text).split(' ');
+      if (acronym) {
+        return words.filter(word => !ACRONYM_FILLERS.has(word)).map(word => word[0]).join('') === acronym;
+      }
+      return (words[0] === entity.id || words[words.length - 1] === entity.id) && isPerson(candidate);
+    });
+
+    return new Set(matches.map(match => match.id)).size === 1 ? matches[0] : null;
+  };
+
+  return entityLists.map(entities => {
+    const byId = new Map();
+
+    entities.forEach(entity => {
+      const fullName = findFullName(entity);
+      const linked = fullName ? { ...entity, id: fullName.id, text: fullName.text } : entity;
+
+      if (!byId.has(linked.id)) {
+        byId.set(linked.id, { ...linked, forms: [] });
+      }
+      entity.forms.forEach(form => addForm(byId.get(linked.id), form));
+    });
+
+    return [...byId.values()];
+  });
+}
+
+/**
+ * Trim surrounding punctuation and a possessive from a surface form
+ * @param {string} form - Surface form, e.g. "Maria's," from an NER tagger
+ * @returns {string} - Cleaned form, e.g. "Maria"
+ */
+function cleanForm(form) {
+  return form
+    .trim()
+    .replace(/^[^\p{L}\p{N}_$€£]+/u, '')
+    .replace(/[^\p{L}\p{N}_%€]+$/u, '')
+    .replace(POSSESSIVE_PATTERN, '');
+}
+
+/**
+ * Normalize a surface form for matching
+ * @param {string} form - Surface form
+ * @returns {string} - Lowercase form without possessive, leading "the" or extra whitespace
+ */
+function toKey(form) {
+  return cleanForm(form)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Add a surface form to an entity unless it is already listed
+ * @param {CanonicalEntity} entity - Entity to update in place
+ * @param {string} form - Surface form
+ */
+function addForm(entity, form) {
+  if (!entity.forms.includes(form)) entity.forms.push(form);
+}
+
+/**
+ * Describe a matched word
+ * @param {string} text - Full text
+ * @param {RegExpMatchArray} match - Word match
+ * @param {string} language - Language code
+ * @returns {Object} - { text, start, end, capitalized, acronym, possessive, sentenceStart }
+ */
+function toWord(text, match, language) {
+  // French elisions aren't part of the name: "d'Airbus" is "Airbus"
+  const elision = language === 'fr' ? /^(?:qu|[cdjlmnst])['’](?=\p{Lu})/iu.exec(match[0]) : null;
+  const start = match.index + (elision ? elision[0].length : 0);
+  const matched = elision ? match[0].slice(elision[0].length) : match[0];
+
+  const possessive = language === 'en' && POSSESSIVE_PATTERN.test(matched);
+  const word = possessive ? matched.replace(POSSESSIVE_PATTERN, '') : matched;
+  const contraction = !possessive && /['’]/.test(word);
+
+  return {
+    text: word,
+    start,
+    end: match.index + match[0].length,
+    capitalized: !contraction && word.length > 1 && /^\p{Lu}/u.test(word),
+    acronym: ACRONYM_PATTERN.test(word),
+    possessive,
+    sentenceStart: isSentenceStart(text, match.index)
+  };
+}
+
+/**
+ * Whether a word starts a sentence, a line or a list item
+ * @param {string} text - Full text
+ * @param {number} index - Offset of the word
+ * @returns {boolean} - True when the word is capitalized because of its position
+ */
+function isSentenceStart(text, index) {
+  const from = Math.max(0, index - 20);
+  const before = text.slice(from, index).replace(/[ \t"“'‘(]*$/, '');
+
+  return (before === '' && from === 0) || /[.!?:;•*\n-]$/.test(before);
+}
+
+/**
+ * Read and validate one alias file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Array<Object>} - { id, name, aliases } entries
+ * @throws {Error} - If the file is not valid
+ */
+function readAliasFile(filePath) {
+  const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed?.entities;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('expected an array of { id, name, aliases } entries');
+  }
+
+  return entries.map((entry, index) => {
+    const valid = entry && typeof entry.id === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(entry.id) &&
+      (entry.name === undefined || typeof entry.name === 'string') &&
+      Array.isArray(entry.aliases) && entry.aliases.every(alias => typeof alias === 'string' && alias.trim());
+
+    if (!valid) {
+      throw new Error(`entry ${index + 1} needs a lowercase id, an optional name and an aliases array of strings`);
+    }
+
+    return { id: entry.id, name: entry.name || entry.aliases[0], aliases: entry.aliases };
+  });
+}
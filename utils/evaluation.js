@@ -0,0 +1,363 @@
+// Evaluation of scorers against labeled text pairs
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runScorer } from './scorerRegistry';
+
+const DEFAULT_DATASET = 'default';
+const DATASET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_PAIRS = 500;
+
+/**
+ * @typedef {Object} LabeledPair
+ * @property {string} id - Pair ID
+ * @property {string} primaryText - Text representing what the primary person knows
+ * @property {string} secondaryText - Text representing what the secondary person knows
+ * @property {boolean} relevant - Whether the primary person should tell the secondary person
+ * @property {number} [score] - Optional graded relevance (0-1)
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string} name - Dataset name
+ * @property {Array<LabeledPair>} pairs - Labeled pairs
+ */
+
+/**
+ * @typedef {Object} EvaluationReport
+ * @property {string} algorithm - Scorer name
+ * @property {string|null} preset - Preset used, if any
+ * @property {string} dataset - Dataset name
+ * @property {number} threshold - Score above which a pair counts as relevant
+ * @property {Object} confusion - { truePositives, falsePositives, trueNegatives, falseNegatives }
+ * @property {Object} metrics - { precision, recall, f1, accuracy, rocAuc }; null where undefined
+ * @property {Object|null} graded - { count, meanAbsoluteError, correlation } over pairs with a graded score
+ * @property {Array<Object>} pairs - Per-pair { id, relevant, expectedScore, score, predicted, correct }
+ */
+
+/**
+ * Thrown when a dataset is missing or malformed
+ */
+export class DatasetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatasetError';
+  }
+}
+
+/**
+ * Directory holding the bundled datasets
+ * @returns {string} - Absolute directory path
+ */
+function getDatasetDirectory() {
+  return process.env.EVALUATION_DATASET_DIR || path.join(process.cwd(), 'evaluation', 'datasets');
+}
+
+/**
+ * Names of the bundled datasets
+ * @returns {Promise<Array<string>>} - Dataset names, sorted
+ */
+export async function listDatasets() {
+  try {
+    const files = await fs.readdir(getDatasetDirectory());
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Load and validate a bundled dataset
+ * @param {string} [name] - Dataset name, the file name without .json
+ * @returns {Promise<Dataset>} - Validated dataset
+ * @throws {DatasetError} - If the dataset doesn't exist or is malformed
+ */
+export async function loadDataset(name = DEFAULT_DATASET) {
+  if (typeof name !== 'string' || !DATASET_NAME_PATTERN.test(name)) {
+    throw new DatasetError('dataset name may only contain lowercase letters, digits and dashes');
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(path.join(getDatasetDirectory(), `${name}.json`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new DatasetError(`Dataset not found: ${name}`);
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new DatasetError(`Dataset ${name} is not valid JSON (${error.message})`);
+  }
+
+  return validateDataset({ name, ...parsed });
+}
+
+/**
+ * Check that a dataset has well-formed labeled pairs
+ * @param {Object} dataset - { name, pairs } dataset
+ * @returns {Dataset} - The same dataset, with missing pair IDs filled in
+ * @throws {DatasetError} - If the dataset is malformed
+ */
+export function validateDataset(dataset) {
+  if (!dataset || typeof dataset !== 'object' || !Array.isArray(dataset.pairs) || dataset.pairs.length === 0) {
+    throw new DatasetError('dataset must have a non-empty pairs array');
+  }
+
+  if (dataset.pairs.length > MAX_PAIRS) {
+    throw new DatasetError(`A dataset can have at most ${MAX_PAIRS} pairs`);
+  }
+
+  const pairs = dataset.pairs.map((pair, index) => {
+    const label = `Pair ${pair?.id ?? index + 1}`;
+
+    if (!pair || typeof pair.primaryText !== 'string' || !pair.primaryText.trim() ||
+      typeof pair.secondaryText !== 'string' || !pair.secondaryText.trim()) {
+      throw new DatasetError(`${label} needs both a primaryText and a secondaryText`);
+    }
+
+    if (typeof pair.relevant !== 'boolean') {
+      throw new DatasetError(`${label} needs a boolean relevant label`);
+    }
+
+    if (pair.score !== undefined && (typeof pair.score !== 'number' || !(pair.score >= 0 && pair.score <= 1))) {
+      throw new DatasetError(`${label} has a score outside 0-1`);
+    }
+
+    return { ...pair, id: String(pair.id ?? index + 1) };
+  });
+
+  return { name: typeof dataset.name === 'string' ? dataset.name : 'inline', pairs };
+}
+
+/**
+ * Run a scorer over a labeled dataset and compute classification metrics
+ * Pairs are scored one at a time so remote embedding providers aren't flooded.
+ * @param {Object} scorer - Resolved scorer configuration, see resolveScorer in utils/presets.js
+ * @param {Dataset} dataset - Validated dataset
+ * @param {Object} context - Extra inputs for extractors, e.g. { embeddingProvider }
+ * @returns {Promise<EvaluationReport>} - Evaluation report
+ */
+export async function evaluateScorer(scorer, dataset, context = {}) {
+  const scoringContext = { ...context, featureCache: new Map() };
+  const pairs = [];
+
+  for (const pair of dataset.pairs) {
+    const result = await runScorer(scorer, pair.primaryText, pair.secondaryText, scoringContext);
+
+    pairs.push({
+      id: pair.id,
+      relevant: pair.relevant,
+      expectedScore: pair.score ?? null,
+      score: result.score,
+      predicted: result.isRelevant,
+      correct: result.isRelevant === pair.relevant
+    });
+  }
+
+  return {
+    algorithm: scorer.name,
+    preset: scorer.preset || null,
+    dataset: dataset.name,
+    threshold: scorer.threshold,
+    ...summarizePredictions(pairs),
+    pairs
+  };
+}
+
+/**
+ * Compute all metrics for scored pairs
+ * @param {Array<Object>} pairs - Scored pairs with relevant, predicted, score and expectedScore
+ * @returns {Object} - { confusion, metrics, graded } as in {@link EvaluationReport}
+ */
+export function summarizePredictions(pairs) {
+  const confusion = confusionMatrix(pairs);
+
+  return {
+    confusion,
+    metrics: {
+      ...classificationMetrics(confusion),
+      rocAuc: rocAuc(pairs)
+    },
+    graded: gradedMetrics(pairs)
+  };
+}
+
+/**
+ * Count predictions against labels
+ * @param {Array<Object>} pairs - Scored pairs with relevant and predicted flags
+ * @returns {Object} - { truePositives, falsePositives, trueNegatives, falseNegatives }
+ */
+export function confusionMatrix(pairs) {
+  const count = (relevant, predicted) => pairs
+    .filter(pair => pair.relevant === relevant && pair.predicted === predicted)
+    .length;
+
+  return {
+    truePositives: count(true, true),
+    falsePositives: count(false, true),
+    trueNegatives: count(false, false),
+    falseNegatives: count(true, false)
+  };
+}
+
+/**
+ * Precision, recall, F1 and accuracy from a confusion matrix
+ * @param {Object} confusion - Confusion matrix from {@link confusionMatrix}
+ * @returns {Object} - { precision, recall, f1, accuracy }; null when a ratio has no denominator
+ */
+export function classificationMetrics({ truePositives, falsePositives, trueNegatives, falseNegatives }) {
+  const ratio = (numerator, denominator) => denominator === 0 ? null : numerator / denominator;
+
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+  const f1 = precision === null || recall === null || precision + recall === 0
+    ? null
+    : (2 * precision * recall) / (precision + recall);
+
+  return {
+    precision,
+    recall,
+    f1,
+    accuracy: ratio(truePositives + trueNegatives, truePositives + falsePositives + trueNegatives + falseNegatives)
+  };
+}
+
+/**
+ * Area under the ROC curve of the scores against the labels
+ * Computed as the probability that a relevant pair outscores an irrelevant
+ * one (Mann-Whitney U), counting ties as half. Unlike the other metrics it
+ * doesn't depend on the threshold.
+ * @param {Array<Object>} pairs - Scored pairs with relevant and score
+ * @returns {number|null} - AUC (0-1), or null when the dataset has only one class
+ */
+export function rocAuc(pairs) {
+  const positives = pairs.filter(pair => pair.relevant).map(pair => pair.score);
+  const negatives = pairs.filter(pair => !pair.relevant).map(pair => pair.score);
+
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  let wins = 0;
+  positives.forEach(positive => {
+    negatives.forEach(negative => {
+      if (positive > negative) wins += 1;
+      else if (positive === negative) wins += 0.5;
+    });
+  });
+
+  return wins / (positives.length * negatives.length);
+}
+
+/**
+ * Compare scores with graded labels, for pairs that have one
+ * @param {Array<Object>} pairs - Scored pairs with expectedScore and score
+ * @returns {Object|null} - { count, meanAbsoluteError, correlation }, or null when no pair is graded
+ */
+export function gradedMetrics(pairs) {
+  const graded = pairs.filter(pair => pair.expectedScore !== null);
+
+  if (graded.length === 0) return null;
+
+  const meanAbsoluteError = graded.reduce((sum, pair) => sum + Math.abs(pair.score - pair.expectedScore), 0) / graded.length;
+
+  return {
+    count: graded.length,
+    meanAbsoluteError,
+    correlation: pearson(graded.map(pair => pair.expectedScore), graded.map(pair => pair.score))
+  };
+}
+
+/**
+ * Render a report as a plain-text table for terminals and logs
+ * @param {EvaluationReport} report - Evaluation report
+ * @returns {string} - Readable report
+ */
+export function formatReport(report) {
+  const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+  const number = value => value === null ? 'n/a' : value.toFixed(3);
+  const { confusion, metrics, graded } = report;
+
+  const lines = [
+    `Algorithm: ${report.algorithm}${report.preset ? ` (preset ${report.preset})` : ''}`,
+    `Dataset:   ${report.dataset} (${report.pairs.length} pairs)`,
+    `Threshold: ${report.threshold}`,
+    '',
+    formatTable(['Metric', 'Value'], [
+      ['Precision', percent(metrics.precision)],
+      ['Recall', percent(metrics.recall)],
+      ['F1', percent(metrics.f1)],
+      ['Accuracy', percent(metrics.accuracy)],
+      ['ROC AUC', number(metrics.rocAuc)],
+      ...(graded ? [
+        ['Graded MAE', number(graded.meanAbsoluteError)],
+        ['Graded correlation', number(graded.correlation)]
+      ] : [])
+    ]),
+    '',
+    formatTable(['', 'Predicted relevant', 'Predicted not relevant'], [
+      ['Relevant', String(confusion.truePositives), String(confusion.falseNegatives)],
+      ['Not relevant', String(confusion.falsePositives), String(confusion.trueNegatives)]
+    ]),
+    '',
+    formatTable(['Pair', 'Label', 'Expected', 'Score', 'Predicted', ''], report.pairs.map(pair => [
+      pair.id,
+      pair.relevant ? 'relevant' : 'not relevant',
+      pair.expectedScore === null ? '' : number(pair.expectedScore),
+      number(pair.score),
+      pair.predicted ? 'relevant' : 'not relevant',
+      pair.correct ? '' : 'MISS'
+    ]))
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Lay out rows in aligned columns
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<string>>} rows - Cell values
+ * @returns {string} - Table text
+ */
+export function formatTable(header, rows) {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length))
+  );
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    formatRow(header),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Pearson correlation of two series
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number|null} - Correlation (-1 to 1), or null when either series is constant
+ */
+function pearson(xs, ys) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
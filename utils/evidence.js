@@ -0,0 +1,216 @@
+// Sentence-level evidence: which primary sentences matter to the secondary text
+
+import { splitSentences } from './chunking';
+import { lookupEmbeddings, tokenizeAndClean } from './extractors';
+import { detectLanguage, stemWord } from './language';
+import { cosine } from './similarity';
+
+const MAX_PAIRS = 5;
+
+// Sentence embeddings get expensive quickly, so longer texts use lexical evidence
+const MAX_SEMANTIC_SENTENCES = 50;
+
+/**
+ * @typedef {Object} EvidencePair
+ * @property {number} score - Relevance of the pair (0-1)
+ * @property {import('./chunking').Chunk} primary - Primary sentence with its offsets
+ * @property {import('./chunking').Chunk} secondary - Best-matching secondary sentence with its offsets
+ * @property {Array<string>} terms - Words the two sentences share
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} method - 'semantic' (sentence embeddings) or 'lexical' (shared word stems)
+ * @property {Array<EvidencePair>} pairs - Most relevant primary sentences, best first
+ */
+
+/**
+ * @typedef {Object} SentenceMatch
+ * @property {number} score - Similarity to the best-matching secondary sentence (0-1)
+ * @property {import('./chunking').Chunk} primary - Primary sentence with its offsets
+ * @property {import('./chunking').Chunk} secondary - Best-matching secondary sentence with its offsets
+ * @property {Array<string>} terms - Words the two sentences share
+ * @property {Array<string>} novelTerms - Words of the primary sentence that appear nowhere in the secondary text
+ * @property {number} termCount - Number of distinct content words in the primary sentence
+ */
+
+/**
+ * Match every primary sentence with its best secondary sentence
+ * Semantic matching falls back to lexical matching when the texts are long
+ * or the embedding provider fails.
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {string} method - 'semantic' or 'lexical'
+ * @param {Object} context - Scoring context; semantic matching needs embeddingProvider
+ * @returns {Promise<Object>} - { method, matches } with one {@link SentenceMatch} per primary sentence
+ */
+export async function matchSentences(primaryText, secondaryText, method, context = {}) {
+  const primary = splitSentences(primaryText);
+  const secondary = splitSentences(secondaryText);
+
+  if (primary.length === 0 || secondary.length === 0) {
+    return { method: 'lexical', matches: [] };
+  }
+
+  // Single sentences are too short to detect their language reliably
+  const primaryLanguage = detectLanguage(primaryText);
+  const secondaryLanguage = detectLanguage(secondaryText);
+  const primaryStems = primary.map(sentence => toStems(sentence.text, primaryLanguage));
+  const secondaryStems = secondary.map(sentence => toStems(sentence.text, secondaryLanguage));
+  const secondaryIndex = indexStems(secondaryStems);
+
+  let best = i => bestLexicalMatch(primaryStems[i], secondaryStems, secondaryIndex);
+  let usedMethod = 'lexical';
+
+  const useSemantic = method === 'semantic' && context.embeddingProvider &&
+    primary.length <= MAX_SEMANTIC_SENTENCES && secondary.length <= MAX_SEMANTIC_SENTENCES;
+
+  if (useSemantic) {
+    try {
+      const lookups = await lookupEmbeddings([...primary, ...secondary].map(sentence => sentence.text), context);
+      const vectors = lookups.map(lookup => lookup.vector);
+
+      best = i => bestMatch(secondary.length, j => Math.max(0, cosine(vectors[i], vectors[primary.length + j])));
+      usedMethod = 'semantic';
+    } catch (error) {
+      console.error('Error embedding evidence sentences:', error);
+    }
+  }
+
+  const matches = primary.map((sentence, i) => {
+    const { j, score } = best(i);
+
+    return {
+      score,
+      primary: sentence,
+      secondary: secondary[j],
+      terms: sharedTerms(primaryStems[i], secondaryStems[j]),
+      novelTerms: [...primaryStems[i].entries()]
+        .filter(([stem]) => !secondaryIndex.has(stem))
+        .map(([, word]) => word),
+      termCount: primaryStems[i].size
+    };
+  });
+
+  return { method: usedMethod, matches };
+}
+
+/**
+ * Pick the primary sentences most relevant to the secondary text
+ * @param {Object} matched - { method, matches } from {@link matchSentences}
+ * @returns {Evidence} - Up to five evidence pairs, best first
+ */
+export function toEvidence({ method, matches }) {
+  return {
+    method,
+    pairs: matches
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.primary.index - b.primary.index)
+      .slice(0, MAX_PAIRS)
+      .map(({ score, primary, secondary, terms }) => ({ score, primary, secondary, terms }))
+  };
+}
+
+/**
+ * Find the primary sentences most relevant to the secondary text
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {string} method - 'semantic' or 'lexical'
+ * @param {Object} context - Scoring context; semantic evidence needs embeddingProvider
+ * @returns {Promise<Evidence>} - Evidence pairs
+ */
+export async function findEvidence(primaryText, secondaryText, method, context = {}) {
+  return toEvidence(await matchSentences(primaryText, secondaryText, method, context));
+}
+
+/**
+ * Map the word stems of a sentence to the first word that produced them
+ * @param {string} text - Sentence text
+ * @param {string} language - Language code of the whole text
+ * @returns {Map<string, string>} - Stem to surface word
+ */
+function toStems(text, language) {
+  const stems = new Map();
+
+  tokenizeAndClean(text, language)
+    .filter(token => token.length > 2)
+    .forEach(token => {
+      const stem = stemWord(token, language);
+      if (!stems.has(stem)) stems.set(stem, token);
+    });
+
+  return stems;
+}
+
+/**
+ * Map each stem to the sentences containing it
+ * @param {Array<Map<string, string>>} sentenceStems - Stems of each sentence
+ * @returns {Map<string, Array<number>>} - Stem to sentence indexes
+ */
+function indexStems(sentenceStems) {
+  const index = new Map();
+
+  sentenceStems.forEach((stems, j) => {
+    stems.forEach((word, stem) => {
+      if (!index.has(stem)) index.set(stem, []);
+      index.get(stem).push(j);
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Best-scoring sentence, the first one on ties
+ * @param {number} count - Number of candidate sentences
+ * @param {Function} score - Returns the score of sentence j
+ * @returns {Object} - { j, score }
+ */
+function bestMatch(count, score) {
+  let best = { j: 0, score: -1 };
+
+  for (let j = 0; j < count; j++) {
+    const pairScore = score(j);
+    if (pairScore > best.score) best = { j, score: pairScore };
+  }
+
+  return best;
+}
+
+/**
+ * Secondary sentence with the highest cosine similarity of stem sets
+ * Only sentences sharing a stem are scored, found through the index, so
+ * long texts don't compare every pair of sentences.
+ * @param {Map<string, string>} stems - Primary sentence stems
+ * @param {Array<Map<string, string>>} secondaryStems - Stems of each secondary sentence
+ * @param {Map<string, Array<number>>} secondaryIndex - Index from {@link indexStems}
+ * @returns {Object} - { j, score }, sentence 0 with score 0 when no stem is shared
+ */
+function bestLexicalMatch(stems, secondaryStems, secondaryIndex) {
+  const shared = new Map();
+
+  stems.forEach((word, stem) => {
+    (secondaryIndex.get(stem) || []).forEach(j => shared.set(j, (shared.get(j) || 0) + 1));
+  });
+
+  let best = { j: 0, score: 0 };
+
+  shared.forEach((count, j) => {
+    const score = count / Math.sqrt(stems.size * secondaryStems[j].size);
+    if (score > best.score || (score === best.score && j < best.j)) best = { j, score };
+  });
+
+  return best;
+}
+
+/**
+ * Words whose stems appear in both sentences
+ * @param {Map<string, string>} stems1 - Primary sentence stems
+ * @param {Map<string, string>} stems2 - Secondary sentence stems
+ * @returns {Array<string>} - Shared words as written in the primary sentence
+ */
+function sharedTerms(stems1, stems2) {
+  return [...stems1.entries()]
+    .filter(([stem]) => stems2.has(stem))
+    .map(([, word]) => word);
+}
@@ -0,0 +1,384 @@
+// Feature extractors shared by every scorer
+
+import * as natural from 'natural';
+import nlp from 'compromise';
+import { removeStopwords } from 'stopword';
+import { chunkText } from './chunking';
+import { isTruncated } from './embeddingProviders';
+import { canonicalizeEntities, extractProperNouns, linkEntities } from './entities';
+import { getCorpusModel } from './corpus';
+import { extractKeyTerms, extractTermCounts } from './keywords';
+import { detectLanguage, getStopwords, tokenizeWords } from './language';
+import { extractTemporalExpressions, linkTemporalEntities, toTemporalEntities } from './temporal';
+
+const ENTITY_CATEGORIES = ['people', 'places', 'organizations', 'topics'];
+
+// Words written after a percentage or an amount, by language
+const PERCENT_WORDS = { en: 'percent', de: 'Prozent', fr: 'pour cent', es: 'por ciento' };
+const CURRENCY_WORDS = { en: 'dollars', de: 'Euro|Dollar', fr: 'euros?|dollars', es: 'euros?|dólares' };
+
+// English writes 1,250.50; German, French and Spanish write 1.250,50 or 1 250,50
+const AMOUNT_PATTERNS = {
+  en: '\\d+(?:,\\d{3})*(?:\\.\\d{2})?',
+  other: '\\d+(?:[.\\u00a0\\u202f ]\\d{3})*(?:,\\d{2})?'
+};
+
+/**
+ * Extract keywords from text
+ * @param {string} text - Input text
+ * @returns {Array} - Array of keywords
+ */
+export function extractKeywords(text) {
+  const language = detectLanguage(text);
+  const stopWords = getStopwords(language);
+
+  // Split into lowercase words without punctuation
+  const words = tokenizeWords(text, language);
+
+  // Filter out stop words and very short words
+  const keywords = words.filter(word =>
+    !stopWords.has(word) && word.length > 2
+  );
+
+  // Count word frequencies
+  const wordFrequency = {};
+  keywords.forEach(word => {
+    wordFrequency[word] = (wordFrequency[word] || 0) + 1;
+  });
+
+  // Sort by frequency and return top keywords
+  return Object.entries(wordFrequency)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 15)
+    .map(entry => entry[0]);
+}
+
+/**
+ * Extract simple entities using regex patterns
+ * Names, dates and figures are matched with the patterns of the text's language.
+ * @param {string} text - Input text
+ * @returns {Array} - Array of potential entities
+ */
+export function extractSimpleEntities(text) {
+  const { names, dates, figures } = matchSimpleEntities(text);
+
+  // Combine all entities
+  return [...new Set([...names, ...dates.map(date => date.text), ...figures])];
+}
+
+/**
+ * Find the parts of the simple entities
+ * @param {string} text - Input text
+ * @param {string} [referenceDate] - ISO date relative dates are resolved against
+ * @param {string} [language] - Language code, detected when omitted
+ * @returns {Object} - { names, dates, figures }: proper noun strings, temporal
+ *   expressions (see utils/temporal.js), and statistic and money strings
+ */
+function matchSimpleEntities(text, referenceDate, language = detectLanguage(text)) {
+  // Extract dates, quarters, relative dates and times of day
+  const dates = extractTemporalExpressions(text, referenceDate, language);
+
+  // Extract proper nouns and acronyms (see utils/entities.js), except month
+  // names, quarters and weekdays that are part of a date
+  const names = extractProperNouns(text, language).filter(name => !dates.some(date => date.text.includes(name)));
+
+  // Extract potential percentages or statistics; "25 %" is the usual spelling outside English
+  const decimal = language === 'en' ? '\\.' : '[.,]';
+  const statsRegex = new RegExp(`\\b\\d+(?:${decimal}\\d+)?\\s?%|\\b\\d+(?:${decimal}\\d+)? ${PERCENT_WORDS[language]}\\b`, 'gi');
+  const stats = text.match(statsRegex) || [];
+
+  // Extract potential money amounts, with a currency sign before or after
+  const amount = AMOUNT_PATTERNS[language === 'en' ? 'en' : 'other'];
+  const moneyRegex = new RegExp(`[$€£]\\s?${amount}|\\b${amount}\\s?(?:€|(?:${CURRENCY_WORDS[language]})\\b)`, 'gi');
+  const money = text.match(moneyRegex) || [];
+
+  return { names, dates, figures: [...stats, ...money] };
+}
+
+/**
+ * Extract named entities from text using compromise
+ * compromise only knows English; in other languages the proper nouns
+ * (see utils/entities.js) join the topics, as their category is unknown.
+ * @param {string} text - Input text
+ * @returns {Object} - Object containing entities by category
+ */
+export function extractEntities(text) {
+  const language = detectLanguage(text);
+
+  if (language !== 'en') {
+    return {
+      people: [],
+      places: [],
+      organizations: [],
+      topics: [...extractProperNouns(text, language), ...extractKeyPhrases(text)]
+    };
+  }
+
+  const doc = nlp(text);
+
+  return {
+    people: doc.people().out('array'),
+    places: doc.places().out('array'),
+    organizations: doc.organizations().out('array'),
+    topics: extractKeyPhrases(text),
+  };
+}
+
+/**
+ * Extract key phrases/topics from text
+ * @param {string} text - Input text
+ * @returns {Array} - Array of key phrases
+ */
+export function extractKeyPhrases(text) {
+  const tokens = tokenizeAndClean(text);
+
+  // Use TF-IDF for keyword extraction
+  const tfidf = new natural.TfIdf();
+  tfidf.addDocument(tokens);
+
+  return tfidf.listTerms(0).slice(0, 10).map(item => item.term);
+}
+
+/**
+ * Perform simple topic modeling on a set of texts
+ * Terms are weighted by TF-IDF across all the given texts, so terms
+ * common to every text rank lower than terms specific to one of them.
+ * @param {Array<string>} texts - Texts to model together
+ * @returns {Array<Array>} - Top { term, weight } topics for each text
+ */
+export function performTopicModeling(texts) {
+  // This is a simplified version of topic modeling
+  // In a production system, you'd use a more sophisticated approach like LDA
+  const tfidf = new natural.TfIdf();
+  texts.forEach(text => tfidf.addDocument(tokenizeAndClean(text)));
+
+  // Extract top terms as topics
+  return texts.map((text, index) =>
+    tfidf.listTerms(index).slice(0, 15).map(item => ({ term: item.term, weight: item.tfidf }))
+  );
+}
+
+/**
+ * Helper function to tokenize and clean text
+ * @param {string} text - Input text
+ * @param {string} [language] - Language code, detected when omitted
+ * @returns {Array} - Array of cleaned tokens
+ */
+export function tokenizeAndClean(text, language = detectLanguage(text)) {
+  const tokens = tokenizeWords(text, language);
+
+  // English uses the stopword package's full list rather than the short keyword list
+  if (language === 'en') return removeStopwords(tokens);
+
+  const stopWords = getStopwords(language);
+  return tokens.filter(token => !stopWords.has(token));
+}
+
+/**
+ * Truncate text to approximately match token limit
+ * @param {string} text - Input text
+ * @param {number} maxTokens - Maximum number of tokens
+ * @returns {string} - Truncated text
+ */
+export function truncateText(text, maxTokens) {
+  // Rough approximation: 1 token ≈ 4 characters in English
+  const maxChars = maxTokens * 4;
+
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  return text.substring(0, maxChars);
+}
+
+/**
+ * Wrap a single-text extraction function as an extractor
+ * When the context carries a `featureCache` Map, features are memoized per
+ * text, so a text scored against many others is only extracted once.
+ * @param {Function} extract - Function taking one text and returning its features
+ * @returns {Function} - Extractor taking an array of texts
+ */
+export function perText(extract) {
+  return async (texts, context = {}) => Promise.all(texts.map(text => {
+    const { featureCache } = context;
+    if (!featureCache) return extract(text, context);
+
+    if (!featureCache.has(extract)) {
+      featureCache.set(extract, new Map());
+    }
+    const byText = featureCache.get(extract);
+
+    if (!byText.has(text)) {
+      byText.set(text, Promise.resolve().then(() => extract(text, context)));
+    }
+    return byText.get(text);
+  }));
+}
+
+/**
+ * Wrap an entity extractor so short references are linked to full names,
+ * and overlapping dates to each other, across texts
+ * @param {Function} extractor - Extractor resolving to canonical entities per text
+ * @returns {Function} - Extractor resolving to linked entities per text
+ */
+function linked(extractor) {
+  return async (texts, context) => linkTemporalEntities(linkEntities(await extractor(texts, context)));
+}
+
+const termCounts = perText(text => extractTermCounts(text));
+
+/**
+ * Get the corpus model for a scoring context
+ * The model is loaded once per feature cache, so a batch of runs shares it.
+ * @param {Object} context - Scoring context, optionally with a corpusModel
+ * @returns {Promise<import('./corpus').CorpusModel>} - Document frequencies
+ */
+async function loadCorpusModel(context) {
+  if (context.corpusModel) return context.corpusModel;
+
+  const { featureCache } = context;
+  if (!featureCache) return getCorpusModel();
+
+  if (!featureCache.has(getCorpusModel)) {
+    featureCache.set(getCorpusModel, getCorpusModel());
+  }
+  return featureCache.get(getCorpusModel);
+}
+
+/**
+ * Built-in extractors
+ * An extractor takes an array of texts plus the scoring context and
+ * resolves to one feature value per text, in the same order.
+ */
+export const EXTRACTORS = {
+  // Most frequent words and noun phrases, merged by stem and synonym group (see utils/keywords.js)
+  keywords: perText(text => extractKeyTerms(text)),
+
+  // Every key term with its count and its document frequency in the corpus
+  // (see utils/corpus.js), or in context.corpusModel when given
+  weightedTerms: async (texts, context = {}) => {
+    const [termLists, corpus] = await Promise.all([termCounts(texts, context), loadCorpusModel(context)]);
+
+    return termLists.map(terms => ({
+      terms: terms.map(term => ({ ...term, documentFrequency: corpus.documentFrequencies.get(term.id) || 0 })),
+      length: terms.reduce((sum, term) => sum + term.count, 0),
+      corpus: { documentCount: corpus.documentCount, averageLength: corpus.averageLength }
+    }));
+  },
+
+  // Proper nouns, acronyms, dates, statistics and money amounts found by regex,
+  // as canonical entities (see utils/entities.js) linked across the texts.
+  // Relative dates are resolved against context.referenceDate.
+  regexEntities: linked(perText((text, context = {}) => {
+    const { names, dates, figures } = matchSimpleEntities(text, context.referenceDate);
+    return [...canonicalizeEntities([...names, ...figures]), ...toTemporalEntities(dates)];
+  })),
+
+  // compromise people/places/organizations, TF-IDF key phrases and dates, as
+  // canonical entities with a category, linked across the texts
+  nerEntities: linked(perText((text, context = {}) => {
+    const entities = extractEntities(text);
+    return [
+      ...ENTITY_CATEGORIES.flatMap(category => canonicalizeEntities(entities[category], category)),
+      ...toTemporalEntities(extractTemporalExpressions(text, context.referenceDate, detectLanguage(text)), 'dates')
+    ];
+  })),
+
+  // Temporal expressions (see utils/temporal.js) in the text's language, resolved against context.referenceDate
+  temporal: perText((text, context = {}) => extractTemporalExpressions(text, context.referenceDate, detectLanguage(text))),
+
+  // TF-IDF weighted { term, weight } topics, modeled across all texts
+  topics: async (texts) => performTopicModeling(texts),
+
+  // Embedding vectors from context.embeddingProvider (see utils/embeddingProviders.js),
+  // unless the embedding is already in context.knownEmbeddings ({ text, model, vector }).
+  // Where each vector came from is pushed to context.embeddingSources, and whether the
+  // provider truncated each text to context.embeddingTruncations, when they are arrays.
+  embeddings: async (texts, context = {}) => {
+    const lookups = await lookupEmbeddings(texts, context);
+
+    if (Array.isArray(context.embeddingSources)) {
+      context.embeddingSources.push(...lookups.map(lookup => lookup.source));
+    }
+
+    if (Array.isArray(context.embeddingTruncations)) {
+      context.embeddingTruncations.push(...texts.map(text => isTruncated(context.embeddingProvider, text)));
+    }
+
+    return lookups.map(lookup => lookup.vector);
+  },
+
+  // { chunks, vectors } per text: paragraph/sentence chunks (see utils/chunking.js)
+  // and one embedding per chunk. Texts that fit in one chunk embed exactly as
+  // the embeddings extractor would. Chunks stay within the provider's input
+  // limit, so no text is truncated.
+  chunkEmbeddings: async (texts, context = {}) => {
+    const limits = context.embeddingProvider && context.embeddingProvider.limits;
+    const chunked = texts.map(text => chunkText(text, { maxSize: limits ? limits.maxInputChars : Infinity }));
+    const lookups = await lookupEmbeddings(chunked.flat().map(chunk => chunk.text), context);
+
+    let offset = 0;
+    return chunked.map(chunks => {
+      const textLookups = lookups.slice(offset, offset + chunks.length);
+      offset += chunks.length;
+
+      if (Array.isArray(context.embeddingSources)) {
+        context.embeddingSources.push(summarizeSources(textLookups.map(lookup => lookup.source)));
+      }
+
+      if (Array.isArray(context.embeddingTruncations)) {
+        context.embeddingTruncations.push(false);
+      }
+
+      return { chunks, vectors: textLookups.map(lookup => lookup.vector) };
+    });
+  }
+};
+
+/**
+ * Look up embeddings for texts, reusing known embeddings
+ * Texts that need embedding are sent to the provider together; it splits them
+ * into as many requests as its limits require.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} context - Scoring context with embeddingProvider and optional knownEmbeddings
+ * @returns {Promise<Array<Object>>} - { vector, source } per text
+ */
+export async function lookupEmbeddings(texts, context) {
+  const provider = context.embeddingProvider;
+
+  if (!provider) {
+    throw new Error('The embeddings extractor requires an embedding provider');
+  }
+
+  const lookups = texts.map(text => {
+    const known = (context.knownEmbeddings || []).find(embedding =>
+      embedding.text === text && embedding.model === provider.model
+    );
+    return known ? { vector: known.vector, source: 'profile' } : null;
+  });
+
+  const missing = texts.filter((text, index) => !lookups[index]);
+
+  if (missing.length > 0) {
+    const embedded = provider.lookup
+      ? await provider.lookup(missing)
+      : (await provider.embed(missing)).map(vector => ({ vector, source: 'provider' }));
+
+    lookups.forEach((lookup, index) => {
+      if (!lookup) lookups[index] = embedded.shift();
+    });
+  }
+
+  return lookups;
+}
+
+/**
+ * Summarize where the chunk embeddings of one text came from
+ * @param {Array<string>} sources - Source of each chunk embedding
+ * @returns {string} - 'provider' if any chunk needed a provider call, the
+ *   common source if all chunks agree, otherwise 'mixed'
+ */
+function summarizeSources(sources) {
+  if (sources.includes('provider')) return 'provider';
+  return sources.every(source => source === sources[0]) ? sources[0] : 'mixed';
+}
@@ -0,0 +1,77 @@
+// Stores kept in a single JSON file (profiles, webhooks, corpus, calibrated presets)
+
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} JsonStore
+ * @property {Function} read - Returns a promise of the stored data
+ * @property {Function} readSync - Returns the stored data synchronously
+ * @property {Function} update - Applies a change as one serialized read-modify-write;
+ *   the change receives the data, mutates it and returns a value the update resolves to
+ * @property {Function} replace - Replaces the stored data, after any pending updates; for stores
+ *   whose owner keeps the data in memory
+ */
+
+/**
+ * Create a store kept in one JSON file
+ * Writes go to a temporary file that is renamed over the store, so readers
+ * never see a partial file. Updates are serialized so concurrent requests
+ * don't overwrite each other.
+ * @param {Object} options - Store options
+ * @param {Function} options.getPath - Returns the absolute file path; called on every access so
+ *   environment overrides apply
+ * @param {Function} options.empty - Returns the data of a store that doesn't exist yet; fields read
+ *   from the file replace its fields
+ * @param {Function} [options.serialize] - Turns the data into the file contents, defaults to indented JSON
+ * @returns {JsonStore} - Store
+ */
+export function createJsonStore({ getPath, empty, serialize = data => `${JSON.stringify(data, null, 2)}\n` }) {
+  let writeQueue = Promise.resolve();
+
+  const parse = contents => ({ ...empty(), ...JSON.parse(contents) });
+
+  const read = async () => {
+    try {
+      return parse(await fs.readFile(getPath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty();
+      throw error;
+    }
+  };
+
+  const readSync = () => {
+    try {
+      return parse(readFileSync(getPath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty();
+      throw error;
+    }
+  };
+
+  const write = async (data) => {
+    const storePath = getPath();
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(tempPath, serialize(data));
+    await fs.rename(tempPath, storePath);
+  };
+
+  const enqueue = (task) => {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const update = change => enqueue(async () => {
+    const data = await read();
+    const value = await change(data);
+    await write(data);
+    return value;
+  });
+
+  const replace = data => enqueue(() => write(data));
+
+  return { read, readSync, update, replace };
+}
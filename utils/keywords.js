@@ -0,0 +1,238 @@
+// Keyword normalization: stems, noun phrases and synonym groups
+
+import { readFileSync, statSync } from 'fs';
+import path from 'path';
+import nlp from 'compromise';
+import { removeStopwords } from 'stopword';
+import { DEFAULT_LANGUAGE, detectLanguage, getStopwords, stemWord, tokenizeWords } from './language';
+
+export const STOP_WORDS = getStopwords('en');
+
+const MAX_WORDS = 15;
+const MAX_PHRASES = 10;
+const MAX_PHRASE_WORDS = 3;
+
+// Words that may be part of a noun phrase
+const PHRASE_WORD_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * @typedef {Object} KeyTerm
+ * @property {string} id - Comparison key: the stems of the term's words, or "syn:<key>" for a synonym group
+ * @property {string} text - Display form, the most frequent surface form in the text
+ * @property {Array<string>} forms - Lowercased surface forms merged into the term, e.g. ["cost", "costs"]
+ * @property {boolean} phrase - Whether the term is a multi-word noun phrase
+ * @property {number} count - Number of occurrences in the text
+ */
+
+let synonymCache = { signature: null, indexes: new Map() };
+
+/**
+ * Path of the optional synonym file, from SYNONYMS_PATH or ./synonyms.json
+ * @returns {string} - Absolute file path
+ */
+function getSynonymPath() {
+  return process.env.SYNONYMS_PATH || path.join(process.cwd(), 'synonyms.json');
+}
+
+/**
+ * Get the synonym index of the optional synonym file
+ * The file holds an array of synonym groups, or an object with such a
+ * `groups` array. Each group is an array of words or noun phrases, e.g.
+ * ["slow", "latency", "performance issues"]. The file is reread when it
+ * changes; an invalid file is logged and ignored.
+ * @param {string} [language] - Language whose stemmer keys the index
+ * @returns {Map<string, string>} - Synonym group ID by stem key
+ */
+export function getSynonymIndex(language = DEFAULT_LANGUAGE) {
+  const filePath = getSynonymPath();
+  let modified = null;
+
+  try {
+    modified = statSync(filePath).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading synonyms:', error);
+  }
+
+  const signature = JSON.stringify({ filePath, modified });
+  if (synonymCache.signature !== signature) {
+    synonymCache = { signature, indexes: new Map() };
+  }
+  if (synonymCache.indexes.has(language)) return synonymCache.indexes.get(language);
+
+  const index = new Map();
+
+  if (modified !== null) {
+    try {
+      readSynonymFile(filePath).forEach(group => {
+        const keys = group.map(term => stemKey(term, language)).filter(Boolean);
+        keys.forEach(key => index.set(key, `syn:${keys[0]}`));
+      });
+    } catch (error) {
+      // Logged once per file version, not once per language
+      if (synonymCache.indexes.size === 0) console.error(`Ignoring synonym file ${filePath}:`, error.message);
+      index.clear();
+    }
+  }
+
+  synonymCache.indexes.set(language, index);
+  return index;
+}
+
+/**
+ * Stem every word of a term, so inflections compare equal
+ * "costs" and "cost" both become "cost", "auditing" becomes "audit".
+ * @param {string} term - Word or phrase
+ * @param {string} [language] - Language whose Porter stemmer to use
+ * @returns {string} - Space-separated stems
+ */
+export function stemKey(term, language = DEFAULT_LANGUAGE) {
+  return term
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => stemWord(word, language))
+    .join(' ');
+}
+
+/**
+ * Extract the key terms of a text
+ * Words are the most frequent non-stopword tokens, as in extractKeywords;
+ * phrases are runs of two or three nouns and adjectives ending in a noun
+ * ("board meeting", "cloud costs"), as tagged by compromise. Forms with the
+ * same stems, or in the same synonym group, are merged into one term.
+ * Stop words and stems follow the language of the text; phrases are only
+ * found in English, which is all compromise tags.
+ * @param {string} text - Input text
+ * @param {string} [language] - Language code, detected when omitted
+ * @returns {Array<KeyTerm>} - Most frequent words, then most frequent phrases
+ */
+export function extractKeyTerms(text, language = detectLanguage(text)) {
+  const terms = extractTermCounts(text, language);
+  const top = (items, limit) => items.sort((a, b) => b.count - a.count).slice(0, limit);
+
+  return [
+    ...top(terms.filter(term => !term.phrase), MAX_WORDS),
+    ...top(terms.filter(term => term.phrase), MAX_PHRASES)
+  ];
+}
+
+/**
+ * Extract every term of a text with its count, as extractKeyTerms does
+ * before keeping the most frequent ones; the input of corpus statistics
+ * and IDF-weighted similarity (see utils/corpus.js)
+ * @param {string} text - Input text
+ * @param {string} [language] - Language code, detected when omitted
+ * @returns {Array<KeyTerm>} - Words and phrases in order of first occurrence
+ */
+export function extractTermCounts(text, language = detectLanguage(text)) {
+  const synonyms = getSynonymIndex(language);
+  const stopWords = getStopwords(language);
+  const byId = new Map();
+
+  const add = (form, phrase) => {
+    const key = stemKey(form, language);
+    const id = synonyms.get(key) || key;
+
+    if (!byId.has(id)) {
+      byId.set(id, { id, phrase, counts: new Map() });
+    }
+    const term = byId.get(id);
+    term.phrase = term.phrase && phrase;
+    term.counts.set(form, (term.counts.get(form) || 0) + 1);
+  };
+
+  // Split into lowercase words and drop stop words and very short words
+  tokenizeWords(text, language)
+    .filter(word => !stopWords.has(word) && word.length > 2)
+    .forEach(word => add(word, false));
+
+  if (language === 'en') {
+    extractPhrases(text).forEach(phrase => add(phrase, true));
+  }
+
+  return [...byId.values()].map(({ id, phrase, counts }) => {
+    // Most frequent form first, shorter forms on ties
+    const forms = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+      .map(([form]) => form);
+
+    return {
+      id,
+      text: forms[0],
+      forms,
+      phrase,
+      count: [...counts.values()].reduce((sum, count) => sum + count, 0)
+    };
+  });
+}
+
+/**
+ * Find the noun phrases of a text
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Lowercased phrases of two to three words, one per occurrence
+ */
+function extractPhrases(text) {
+  const phrases = [];
+
+  nlp(text).json().forEach(sentence => {
+    let run = [];
+
+    const endRun = () => {
+      // Every two- and three-word window that ends in a noun
+      run.forEach((term, end) => {
+        if (!term.noun) return;
+
+        for (let length = 2; length <= MAX_PHRASE_WORDS && end - length + 1 >= 0; length++) {
+          phrases.push(run.slice(end - length + 1, end + 1).map(word => word.normal).join(' '));
+        }
+      });
+      run = [];
+    };
+
+    sentence.terms.forEach(term => {
+      // compromise reads some plural nouns after a noun as verbs, e.g. "issues" in "performance issues"
+      const pluralNoun = run.length > 0 && term.tags.includes('PresentTense') &&
+        !term.tags.includes('Infinitive') && term.normal.endsWith('s');
+      const noun = term.tags.includes('Noun') || pluralNoun;
+
+      const isContent = (noun || term.tags.includes('Adjective')) &&
+        !term.tags.includes('Pronoun') && PHRASE_WORD_PATTERN.test(term.normal) &&
+        !STOP_WORDS.has(term.normal) && removeStopwords([term.normal]).length > 0;
+
+      if (isContent) {
+        run.push({ normal: term.normal, noun });
+      } else {
+        endRun();
+      }
+
+      // Punctuation ends a phrase
+      if (/[^\s]/.test(term.post)) endRun();
+    });
+    endRun();
+  });
+
+  return phrases;
+}
+
+/**
+ * Read and validate a synonym file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Array<Array<string>>} - Synonym groups
+ * @throws {Error} - If the file is not valid JSON or has malformed groups
+ */
+function readSynonymFile(filePath) {
+  const data = JSON.parse(readFileSync(filePath, 'utf8'));
+  const groups = Array.isArray(data) ? data : data?.groups;
+
+  if (!Array.isArray(groups)) {
+    throw new Error('expected an array of synonym groups, or an object with a "groups" array');
+  }
+
+  groups.forEach((group, index) => {
+    if (!Array.isArray(group) || group.length < 2 || !group.every(term => typeof term === 'string' && term.trim())) {
+      throw new Error(`group ${index + 1} must be an array of at least two words or phrases`);
+    }
+  });
+
+  return groups;
+}
@@ -0,0 +1,133 @@
+// Language detection and per-language tokenization, stopwords and stemming
+
+import * as natural from 'natural';
+import { deu, fra, spa } from 'stopword';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Texts with fewer marker words than this are assumed to be in the default language
+const MIN_MARKERS = 2;
+
+/**
+ * Supported languages by ISO 639-1 code
+ * Markers are frequent function words that are rare in the other languages;
+ * letters are characters only that language uses. Both count as evidence
+ * for the language.
+ */
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    // A short list, so words like "new" and "first" still count as keywords
+    stopwords: [
+      'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were',
+      'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+      'to', 'from', 'in', 'out', 'on', 'off', 'over', 'under', 'again',
+      'further', 'then', 'once', 'here', 'there', 'when', 'where', 'why',
+      'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other',
+      'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so',
+      'than', 'too', 'very', 'can', 'will', 'just', 'should', 'now'
+    ],
+    stemmer: natural.PorterStemmer,
+    markers: ['the', 'and', 'is', 'are', 'of', 'to', 'with', 'for', 'that', 'this', 'will', 'we', 'be', 'have', 'was', 'it', 'on', 'our'],
+    letters: null
+  },
+  de: {
+    name: 'German',
+    stopwords: deu,
+    stemmer: natural.PorterStemmerDe,
+    markers: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'wir', 'für', 'ein', 'eine', 'auf', 'dem', 'den', 'zu', 'von', 'auch', 'wird', 'werden', 'sind', 'ich', 'sie'],
+    letters: /[äöüß]/gu
+  },
+  fr: {
+    name: 'French',
+    stopwords: fra,
+    stemmer: natural.PorterStemmerFr,
+    markers: ['le', 'les', 'et', 'est', 'des', 'une', 'pour', 'dans', 'avec', 'nous', 'sur', 'pas', 'qui', 'du', 'au', 'sont', 'ce', 'cette', 'vous', 'être'],
+    letters: /[àâçèêëîïôœùû]/gu
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: spa,
+    stemmer: natural.PorterStemmerEs,
+    markers: ['el', 'los', 'las', 'y', 'es', 'una', 'por', 'para', 'con', 'del', 'se', 'al', 'está', 'son', 'como', 'pero', 'su', 'hay', 'muy', 'también'],
+    letters: /[ñáíóú¿¡]/gu
+  }
+};
+
+const markerSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.markers)])
+);
+
+const stopwordSets = new Map();
+
+/**
+ * Detect the language of a text
+ * Each supported language scores one point per marker word and per
+ * language-specific letter; the highest score wins. Short or ambiguous
+ * texts fall back to {@link DEFAULT_LANGUAGE}.
+ * @param {string} text - Input text
+ * @returns {string} - Language code, a key of {@link LANGUAGES}
+ */
+export function detectLanguage(text) {
+  const words = tokenizeWords(text);
+  let best = { code: DEFAULT_LANGUAGE, score: 0 };
+
+  Object.entries(LANGUAGES).forEach(([code, language]) => {
+    const markers = words.filter(word => markerSets[code].has(word)).length;
+    const letters = language.letters ? (text.toLowerCase().match(language.letters) || []).length : 0;
+    const score = markers + letters;
+
+    if (markers + Math.min(letters, 1) >= MIN_MARKERS && score > best.score) {
+      best = { code, score };
+    }
+  });
+
+  return best.code;
+}
+
+/**
+ * Split a text into lowercase words
+ * Letters of every script are kept ("réunion", "Straße"); other punctuation
+ * is removed without splitting the word, as in "e-mail" → "email". French
+ * elisions are dropped, so "l'équipe" becomes "équipe".
+ * @param {string} text - Input text
+ * @param {string} [language] - Language code
+ * @returns {Array<string>} - Words in text order
+ */
+export function tokenizeWords(text, language) {
+  let lower = text.toLowerCase();
+
+  if (language === 'fr') {
+    lower = lower.replace(/(^|[^\p{L}])(?:qu|[cdjlmnst])['’](?=\p{L})/gu, '$1');
+  }
+
+  return lower
+    .replace(/[^\p{L}\p{N}_\s]/gu, '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Get the stop words of a language
+ * @param {string} [language] - Language code, defaults to {@link DEFAULT_LANGUAGE}
+ * @returns {Set<string>} - Lowercase stop words
+ */
+export function getStopwords(language = DEFAULT_LANGUAGE) {
+  const code = Object.hasOwn(LANGUAGES, language) ? language : DEFAULT_LANGUAGE;
+
+  if (!stopwordSets.has(code)) {
+    stopwordSets.set(code, new Set(LANGUAGES[code].stopwords.map(word => word.toLowerCase())));
+  }
+  return stopwordSets.get(code);
+}
+
+/**
+ * Stem a word with the stemmer of a language
+ * @param {string} word - Lowercase word
+ * @param {string} [language] - Language code, defaults to {@link DEFAULT_LANGUAGE}
+ * @returns {string} - Stem
+ */
+export function stemWord(word, language = DEFAULT_LANGUAGE) {
+  const code = Object.hasOwn(LANGUAGES, language) ? language : DEFAULT_LANGUAGE;
+  return LANGUAGES[code].stemmer.stem(word);
+}
@@ -0,0 +1,180 @@
+// Optional LLM-generated rationale and share recommendation
+
+import { completeJSON, getChatModel, validateSchema } from './chatJson';
+import { createOpenAIClient } from './openaiClient';
+import { truncateText } from './extractors';
+
+/**
+ * JSON schema the chat completion must satisfy
+ */
+export const RATIONALE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['rationale', 'factsToShare', 'urgency', 'confidence'],
+  properties: {
+    rationale: { type: 'string', minLength: 1, maxLength: 2000 },
+    factsToShare: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', minLength: 1, maxLength: 500 }
+    },
+    urgency: { type: 'string', enum: ['low', 'medium', 'high'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+/**
+ * @typedef {Object} Rationale
+ * @property {string} source - 'llm' when generated by the chat model, 'template' when it fell back to the explanation
+ * @property {string} text - Rationale for the share recommendation
+ * @property {Array<string>} factsToShare - Specific facts the primary person should pass on
+ * @property {string|null} urgency - 'low', 'medium' or 'high'; null for the template
+ * @property {number|null} confidence - Model confidence (0-1); null for the template
+ * @property {string|null} model - Chat model used, if any
+ * @property {string|null} error - Why the chat step failed, when source is 'template'
+ */
+
+/**
+ * Whether the rationale step runs when a request doesn't say, from LLM_RATIONALE
+ * @returns {boolean} - True when LLM_RATIONALE is 'true'
+ */
+export function isRationaleEnabledByDefault() {
+  return process.env.LLM_RATIONALE === 'true';
+}
+
+/**
+ * Validate a value against {@link RATIONALE_SCHEMA}
+ * @param {*} value - Parsed chat completion
+ * @returns {Array<string>} - Validation errors; empty when the value is valid
+ */
+export function validateRationale(value) {
+  return validateSchema(value, RATIONALE_SCHEMA, 'rationale');
+}
+
+/**
+ * Ask a chat model for a rationale and share recommendation
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {Object} [options] - Chat options
+ * @param {Object} [options.client] - OpenAI client, defaults to one configured from the environment
+ * @param {string} [options.model] - Chat model, defaults to OPENAI_CHAT_MODEL or gpt-4o-mini
+ * @param {import('./redaction').Redactor} [options.redactor] - Replaces PII in the prompt; placeholders
+ *   in the answer are turned back into the original values
+ * @returns {Promise<Rationale>} - Validated rationale
+ * @throws {import('./chatJson').SchemaValidationError} - If the completion isn't valid JSON matching the schema
+ */
+export async function generateRationale(primaryText, secondaryText, result, {
+  client = createOpenAIClient(),
+  model = getChatModel(),
+  redactor
+} = {}) {
+  const redact = redactor ? redactor.redact : text => text;
+  const restore = redactor ? redactor.restore : text => text;
+
+  const parsed = await completeJSON({
+    client,
+    model,
+    schema: RATIONALE_SCHEMA,
+    name: 'rationale',
+    system: buildSystemPrompt(Boolean(redactor)),
+    user: buildUserPrompt(primaryText, secondaryText, result, redact)
+  });
+
+  return {
+    source: 'llm',
+    text: restore(parsed.rationale),
+    factsToShare: parsed.factsToShare.map(restore),
+    urgency: parsed.urgency,
+    confidence: parsed.confidence,
+    model,
+    error: null
+  };
+}
+
+/**
+ * Build the template rationale from the result's own explanation
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {string|null} [error] - Why the chat step was skipped or failed
+ * @returns {Rationale} - Template rationale
+ */
+export function templateRationale(result, error = null) {
+  return {
+    source: 'template',
+    text: result.explanation,
+    factsToShare: (result.novelty?.facts || []).map(fact => fact.sentence.text),
+    urgency: null,
+    confidence: null,
+    model: null,
+    error
+  };
+}
+
+/**
+ * Add a rationale to a result, falling back to the template on any failure
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {Object} [options] - Chat options, see {@link generateRationale}
+ * @returns {Promise<Object>} - Result with a `rationale` field
+ */
+export async function withRationale(result, primaryText, secondaryText, options = {}) {
+  try {
+    return { ...result, rationale: await generateRationale(primaryText, secondaryText, result, options) };
+  } catch (error) {
+    console.error('Error generating rationale:', error);
+    return { ...result, rationale: templateRationale(result, error.message) };
+  }
+}
+
+/**
+ * System prompt describing the task and output format
+ * @param {boolean} redacted - Whether the texts contain PII placeholders
+ * @returns {string} - Prompt text
+ */
+function buildSystemPrompt(redacted) {
+  return [
+    'You help decide whether a primary person should share what they know with a secondary person.',
+    'You receive both texts and scores computed by a relevance detector.',
+    'rationale: two or three sentences explaining the recommendation.',
+    'factsToShare: the specific facts from the primary text the secondary person needs; empty if nothing should be shared.',
+    'urgency: how soon the secondary person needs to know.',
+    'confidence: how confident you are in the recommendation, from 0 to 1.',
+    ...(redacted ? ['Placeholders such as [PERSON_1] or [EMAIL_1] stand for redacted values; copy them unchanged where needed.'] : [])
+  ].join('\n');
+}
+
+/**
+ * User prompt with both texts and the computed scores
+ * @param {string} primaryText - Primary text
+ * @param {string} secondaryText - Secondary text
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {Function} redact - Replaces PII in a piece of text
+ * @returns {string} - Prompt text
+ */
+function buildUserPrompt(primaryText, secondaryText, result, redact) {
+  const scores = {
+    score: result.score,
+    threshold: result.threshold,
+    isRelevant: result.isRelevant,
+    components: result.components,
+    novelty: result.novelty && {
+      novelty: result.novelty.novelty,
+      shouldShare: result.novelty.shouldShare,
+      facts: result.novelty.facts.map(fact => redact(fact.sentence.text))
+    },
+    sharedKeywords: result.keywords.shared.map(redact),
+    sharedEntities: result.entities.shared.map(entity => redact(entity.text))
+  };
+
+  return [
+    'Primary text:',
+    truncateText(redact(primaryText), 3000),
+    '',
+    'Secondary text:',
+    truncateText(redact(secondaryText), 3000),
+    '',
+    'Computed scores:',
+    JSON.stringify(scores, null, 2)
+  ].join('\n');
+}
@@ -0,0 +1,242 @@
+// Suggested message from the primary person to the secondary person
+
+import { completeJSON, getChatModel } from './chatJson';
+import { createOpenAIClient } from './openaiClient';
+import { truncateText } from './extractors';
+
+const MAX_POINTS = 5;
+const MAX_TOPICS = 3;
+
+const DEFAULT_INTRO = 'I came across something I think is relevant to you:';
+const DEFAULT_CLOSING = 'Happy to share more details if it helps.';
+
+/**
+ * JSON schema the chat completion must satisfy
+ */
+export const DRAFT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['greeting', 'intro', 'points', 'closing'],
+  properties: {
+    greeting: { type: 'string', minLength: 1, maxLength: 100 },
+    intro: { type: 'string', minLength: 1, maxLength: 500 },
+    points: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_POINTS,
+      items: { type: 'string', minLength: 1, maxLength: 500 }
+    },
+    closing: { type: 'string', minLength: 1, maxLength: 300 }
+  }
+};
+
+/**
+ * @typedef {Object} MessageDraft
+ * @property {string} source - 'llm' when written by the chat model, 'template' when extracted from the primary text
+ * @property {string} greeting - Opening line
+ * @property {string} intro - Why the message is relevant to the recipient
+ * @property {Array<string>} points - Facts to pass on
+ * @property {string} closing - Closing line
+ * @property {string} markdown - Full message as Markdown
+ * @property {string|null} model - Chat model used, if any
+ * @property {string|null} error - Why the chat step failed, when an LLM draft fell back to the template
+ */
+
+/**
+ * Check that a client-supplied result has the fields drafts read
+ * Only the parts used here are checked: keywords.shared, novelty.facts and
+ * evidence.pairs, each of which may be missing or null.
+ * @param {*} result - Result from the request body
+ * @throws {Error} - When a field has the wrong shape
+ */
+export function validateDraftResult(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new Error('result must be an object returned by a calculate-relevance route');
+  }
+
+  const shared = result.keywords?.shared;
+  if (shared !== undefined && shared !== null && (!Array.isArray(shared) || shared.some(keyword => typeof keyword !== 'string'))) {
+    throw new Error('result.keywords.shared must be an array of strings');
+  }
+
+  const facts = result.novelty?.facts;
+  if (facts !== undefined && facts !== null && (!Array.isArray(facts) || facts.some(fact => typeof fact?.sentence?.text !== 'string'))) {
+    throw new Error('result.novelty.facts must be an array of { sentence: { text } } facts');
+  }
+
+  const pairs = result.evidence?.pairs;
+  if (pairs !== undefined && pairs !== null && (!Array.isArray(pairs) || pairs.some(pair => typeof pair?.primary?.text !== 'string'))) {
+    throw new Error('result.evidence.pairs must be an array of { primary: { text } } pairs');
+  }
+}
+
+/**
+ * Build a draft from the result's novel facts and evidence
+ * Novel facts are preferred since they're what the recipient doesn't know
+ * yet; the evidence sentences are used when there are none.
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {Object} [options] - Draft options
+ * @param {string} [options.recipientName] - Name to address the message to
+ * @param {string|null} [options.error] - Why the chat step failed, if it was tried
+ * @returns {MessageDraft} - Extractive draft
+ */
+export function draftFromTemplate(result, { recipientName, error = null } = {}) {
+  const facts = (result.novelty?.facts || []).map(fact => fact.sentence.text);
+  const evidence = (result.evidence?.pairs || []).map(pair => pair.primary.text);
+  const points = [...new Set(facts.length > 0 ? facts : evidence)].slice(0, MAX_POINTS);
+  const topics = (result.keywords?.shared || []).slice(0, MAX_TOPICS);
+
+  return toDraft({
+    greeting: recipientName ? `Hi ${recipientName},` : 'Hi,',
+    intro: topics.length > 0
+      ? `Since you're working on ${formatList(topics)}, I thought you'd want to know:`
+      : DEFAULT_INTRO,
+    points,
+    closing: DEFAULT_CLOSING
+  }, { source: 'template', model: null, error });
+}
+
+/**
+ * Ask a chat model to write the draft
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {Object} [options] - Draft options
+ * @param {string} [options.recipientName] - Name to address the message to
+ * @param {Object} [options.client] - OpenAI client, defaults to one configured from the environment
+ * @param {string} [options.model] - Chat model, defaults to OPENAI_CHAT_MODEL or gpt-4o-mini
+ * @param {import('./redaction').Redactor} [options.redactor] - Replaces PII in the prompt; placeholders
+ *   in the draft are turned back into the original values
+ * @returns {Promise<MessageDraft>} - Validated draft
+ * @throws {import('./chatJson').SchemaValidationError} - If the completion isn't valid JSON matching the schema
+ */
+export async function generateDraft(primaryText, secondaryText, result, {
+  recipientName,
+  client = createOpenAIClient(),
+  model = getChatModel(),
+  redactor
+} = {}) {
+  const redact = redactor ? redactor.redact : text => text;
+  const restore = redactor ? redactor.restore : text => text;
+
+  const parsed = await completeJSON({
+    client,
+    model,
+    schema: DRAFT_SCHEMA,
+    name: 'draft',
+    system: buildSystemPrompt(Boolean(redactor)),
+    user: buildUserPrompt(primaryText, secondaryText, result, recipientName, redact)
+  });
+
+  return toDraft({
+    greeting: restore(parsed.greeting),
+    intro: restore(parsed.intro),
+    points: parsed.points.map(restore),
+    closing: restore(parsed.closing)
+  }, { source: 'llm', model, error: null });
+}
+
+/**
+ * Draft a message with the chat model, falling back to the template on any failure
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {Object} [options] - Draft options, see {@link generateDraft}
+ * @returns {Promise<MessageDraft>} - LLM or template draft
+ */
+export async function draftWithLLM(primaryText, secondaryText, result, options = {}) {
+  try {
+    return await generateDraft(primaryText, secondaryText, result, options);
+  } catch (error) {
+    console.error('Error generating message draft:', error);
+    return draftFromTemplate(result, { recipientName: options.recipientName, error: error.message });
+  }
+}
+
+/**
+ * Join the draft parts into Markdown
+ * @param {Object} parts - { greeting, intro, points, closing }
+ * @returns {string} - Markdown message
+ */
+export function buildDraftMarkdown({ greeting, intro, points, closing }) {
+  return [
+    greeting,
+    [intro, ...points.map(point => `- ${point}`)].join('\n'),
+    closing
+  ].join('\n\n');
+}
+
+/**
+ * Complete the draft parts with the Markdown text and provenance
+ * @param {Object} parts - { greeting, intro, points, closing }
+ * @param {Object} provenance - { source, model, error }
+ * @returns {MessageDraft} - Draft
+ */
+function toDraft({ greeting, intro, points, closing }, { source, model, error }) {
+  return {
+    source,
+    greeting,
+    intro,
+    points,
+    closing,
+    markdown: buildDraftMarkdown({ greeting, intro, points, closing }),
+    model,
+    error
+  };
+}
+
+/**
+ * Join items as "a, b and c"
+ * @param {Array<string>} items - Items to join
+ * @returns {string} - Joined items
+ */
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * System prompt describing the task and output format
+ * @param {boolean} redacted - Whether the texts contain PII placeholders
+ * @returns {string} - Prompt text
+ */
+function buildSystemPrompt(redacted) {
+  return [
+    'You write a short message the primary person can send to the secondary person.',
+    'You receive both texts and the facts a relevance detector found new to the secondary person.',
+    'Write in the first person as the primary person, in a friendly, concise tone.',
+    'Only use facts from the primary text, and relate them to what the secondary person is working on.',
+    'greeting: the opening line, addressing the recipient by name when one is given.',
+    'intro: one sentence on why this matters to the recipient.',
+    'points: the facts to pass on, one short sentence each.',
+    'closing: one closing sentence.',
+    ...(redacted ? ['Placeholders such as [PERSON_1] or [EMAIL_1] stand for redacted values; copy them unchanged where needed.'] : [])
+  ].join('\n');
+}
+
+/**
+ * User prompt with both texts and the facts to pass on
+ * @param {string} primaryText - Primary text
+ * @param {string} secondaryText - Secondary text
+ * @param {import('./relevanceResult').RelevanceResult} result - Computed relevance result
+ * @param {string} [recipientName] - Name to address the message to
+ * @param {Function} redact - Replaces PII in a piece of text
+ * @returns {string} - Prompt text
+ */
+function buildUserPrompt(primaryText, secondaryText, result, recipientName, redact) {
+  return [
+    `Recipient: ${recipientName ? redact(recipientName) : 'not given'}`,
+    '',
+    'Primary text:',
+    truncateText(redact(primaryText), 3000),
+    '',
+    'Secondary text:',
+    truncateText(redact(secondaryText), 3000),
+    '',
+    'New facts for the secondary person:',
+    JSON.stringify((result.novelty?.facts || []).map(fact => redact(fact.sentence.text))),
+    '',
+    'Shared keywords:',
+    JSON.stringify((result.keywords?.shared || []).map(redact))
+  ].join('\n');
+}
@@ -0,0 +1,54 @@
+// Conversions of Markdown message drafts for pasting elsewhere
+// Only the Markdown the drafts use is handled: bold, links and "- " bullets.
+
+const BOLD_PATTERN = /\*\*([^*]+)\*\*/g;
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+const BULLET_PATTERN = /^\s*[-*] /gm;
+
+/**
+ * Convert a Markdown draft to plain text
+ * @param {string} markdown - Draft text
+ * @returns {string} - Text without Markdown markup
+ */
+export function toPlainText(markdown) {
+  return markdown
+    .replace(BOLD_PATTERN, '$1')
+    .replace(LINK_PATTERN, '$1 ($2)')
+    .replace(BULLET_PATTERN, '• ');
+}
+
+/**
+ * Convert a Markdown draft to Slack mrkdwn
+ * @param {string} markdown - Draft text
+ * @returns {string} - Slack-formatted text
+ */
+export function toSlackMrkdwn(markdown) {
+  return markdown
+    // Slack treats these as control characters
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(BOLD_PATTERN, '*$1*')
+    .replace(LINK_PATTERN, '<$2|$1>')
+    .replace(BULLET_PATTERN, '• ');
+}
+
+/**
+ * Convert a Markdown draft to a Slack Block Kit payload
+ * Each paragraph becomes its own section block.
+ * @param {string} markdown - Draft text
+ * @returns {Object} - { blocks } ready to paste into Block Kit Builder or send to a webhook
+ */
+export function toSlackBlocks(markdown) {
+  const paragraphs = markdown
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0);
+
+  return {
+    blocks: paragraphs.map(paragraph => ({
+      type: 'section',
+      text: { type: 'mrkdwn', text: toSlackMrkdwn(paragraph) }
+    }))
+  };
+}
@@ -0,0 +1,71 @@
+// Directional novelty: what the primary text knows that the secondary text doesn't
+
+const DEFAULT_NOVELTY_THRESHOLD = 0.3;
+
+// A primary sentence is a novel fact when at least this share of its words is new
+const NOVEL_FACT_SHARE = 0.5;
+
+// Semantic matches at least this close count as already known, even when worded differently
+const COVERED_SIMILARITY = 0.85;
+
+const MAX_FACTS = 5;
+
+/**
+ * @typedef {Object} NovelFact
+ * @property {import('./chunking').Chunk} sentence - Primary sentence with its offsets
+ * @property {number} novelty - Share of the sentence's words that are new to the secondary text (0-1)
+ * @property {number} relatedness - Similarity to the closest secondary sentence (0-1)
+ * @property {Array<string>} novelTerms - Words that are new to the secondary text
+ */
+
+/**
+ * @typedef {Object} Novelty
+ * @property {number} novelty - Share of the primary text's content words that are new to the secondary text (0-1)
+ * @property {number} score - Directional score: geometric mean of relevance and novelty (0-1)
+ * @property {number} threshold - Novelty needed for a share recommendation
+ * @property {boolean} shouldShare - Whether the texts are relevant and the primary adds enough new information
+ * @property {Array<NovelFact>} facts - Primary sentences carrying new information, most related first
+ */
+
+/**
+ * Assess what the primary text adds to the secondary text
+ * Unlike the relevance score this is directional: a primary text that only
+ * repeats what the secondary person already knows has no novelty.
+ * @param {Object} matched - { method, matches } from matchSentences in utils/evidence.js
+ * @param {Object} relevance - { score, isRelevant } of the relevance result
+ * @param {number} [threshold] - Novelty needed for a share recommendation
+ * @returns {Novelty} - Novelty assessment
+ */
+export function assessNovelty({ method, matches }, { score, isRelevant }, threshold = DEFAULT_NOVELTY_THRESHOLD) {
+  const assessed = matches.map(match => {
+    const covered = method === 'semantic' && match.score >= COVERED_SIMILARITY;
+
+    return {
+      match,
+      novelCount: covered ? 0 : match.novelTerms.length
+    };
+  });
+
+  const totalTerms = assessed.reduce((sum, { match }) => sum + match.termCount, 0);
+  const novelTerms = assessed.reduce((sum, { novelCount }) => sum + novelCount, 0);
+  const novelty = totalTerms === 0 ? 0 : novelTerms / totalTerms;
+
+  const facts = assessed
+    .filter(({ match, novelCount }) => novelCount > 0 && novelCount / match.termCount >= NOVEL_FACT_SHARE)
+    .map(({ match, novelCount }) => ({
+      sentence: match.primary,
+      novelty: novelCount / match.termCount,
+      relatedness: match.score,
+      novelTerms: match.novelTerms
+    }))
+    .sort((a, b) => b.relatedness - a.relatedness || b.novelty - a.novelty)
+    .slice(0, MAX_FACTS);
+
+  return {
+    novelty,
+    score: Math.sqrt(Math.max(0, score) * novelty),
+    threshold,
+    shouldShare: isRelevant && novelty >= threshold,
+    facts
+  };
+}
@@ -0,0 +1,91 @@
+// OpenAI client configuration shared by embedding and chat calls
+
+import OpenAI, { AzureOpenAI } from 'openai';
+
+/**
+ * Build OpenAI client options from environment variables and overrides
+ * Environment variables:
+ * - OPENAI_API_KEY: API key
+ * - OPENAI_BASE_URL: OpenAI-compatible base URL, e.g. a self-hosted server or local mock
+ * - OPENAI_ORGANIZATION: organization ID
+ * - OPENAI_TIMEOUT_MS: request timeout in milliseconds
+ * @param {Object} [overrides] - { apiKey, baseURL, organization, timeout } overrides
+ * @returns {Object} - Client options
+ */
+export function getOpenAIOptions(overrides = {}) {
+  return applyOverrides({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    organization: process.env.OPENAI_ORGANIZATION,
+    timeout: Number(process.env.OPENAI_TIMEOUT_MS) || undefined
+  }, overrides);
+}
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) client
+ * A custom base URL may point at a server that needs no key, so the key is
+ * only required when talking to the default OpenAI endpoint.
+ * @param {Object} [overrides] - { apiKey, baseURL, organization, timeout } overrides
+ * @returns {Object} - OpenAI client instance
+ * @throws {Error} - If no API key is configured for the default endpoint
+ */
+export function createOpenAIClient(overrides = {}) {
+  const { apiKey, baseURL, organization, timeout } = getOpenAIOptions(overrides);
+
+  if (!apiKey && !baseURL) {
+    throw new Error('OpenAI API key is not configured');
+  }
+
+  return new OpenAI({
+    apiKey: apiKey || 'unused',
+    baseURL,
+    organization,
+    timeout
+  });
+}
+
+/**
+ * Create an Azure OpenAI client
+ * Environment variables:
+ * - AZURE_OPENAI_API_KEY: API key
+ * - AZURE_OPENAI_ENDPOINT: resource endpoint, e.g. https://example-resource.openai.azure.com/
+ * - OPENAI_API_VERSION: Azure API version
+ * - OPENAI_TIMEOUT_MS: request timeout in milliseconds
+ * @param {Object} [overrides] - { apiKey, endpoint, apiVersion, deployment, timeout } overrides
+ * @returns {Object} - AzureOpenAI client instance
+ * @throws {Error} - If the key, endpoint or API version is missing
+ */
+export function createAzureOpenAIClient(overrides = {}) {
+  const options = applyOverrides({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.OPENAI_API_VERSION,
+    timeout: Number(process.env.OPENAI_TIMEOUT_MS) || undefined
+  }, overrides);
+
+  const missing = ['apiKey', 'endpoint', 'apiVersion'].filter(key => !options[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Azure OpenAI is not configured (missing ${missing.join(', ')})`);
+  }
+
+  return new AzureOpenAI(options);
+}
+
+/**
+ * Replace default options with the overrides that are set
+ * @param {Object} defaults - Default options
+ * @param {Object} overrides - Overrides; undefined and null values are ignored
+ * @returns {Object} - Merged options
+ */
+function applyOverrides(defaults, overrides) {
+  const options = { ...defaults };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      options[key] = value;
+    }
+  });
+
+  return options;
+}
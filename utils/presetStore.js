@@ -0,0 +1,33 @@
+// Calibrated presets stored in a JSON file next to the evaluation datasets
+
+import path from 'path';
+import { createJsonStore } from './jsonStore';
+
+const store = createJsonStore({
+  getPath: () => process.env.CALIBRATED_PRESETS_PATH || path.join(process.cwd(), 'evaluation', 'presets.json'),
+  empty: () => ({ presets: {} })
+});
+
+/**
+ * Read the calibrated presets
+ * Read synchronously on every call, so presets written by a calibration are
+ * picked up without restarting the server.
+ * @returns {Object<string, Object<string, Object>>} - Presets by scorer name, then preset name
+ */
+export function readCalibratedPresets() {
+  return store.readSync().presets;
+}
+
+/**
+ * Store a calibrated preset, replacing any preset with the same name
+ * @param {string} scorerName - Scorer the preset applies to
+ * @param {string} name - Preset name
+ * @param {Object} preset - { description, weights, threshold, calibration } preset
+ * @returns {Promise<Object>} - The stored preset
+ */
+export function saveCalibratedPreset(scorerName, name, preset) {
+  return store.update(({ presets }) => {
+    presets[scorerName] = { ...presets[scorerName], [name]: preset };
+    return preset;
+  });
+}
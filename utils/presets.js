@@ -0,0 +1,254 @@
+// Named scoring presets and per-request weight/threshold overrides
+
+import { getScorer } from './scorerRegistry';
+import { CHUNK_AGGREGATES } from './similarity';
+import { readCalibratedPresets } from './presetStore';
+
+const MAX_TOP_K = 50;
+
+/**
+ * Ways to compare keywords, selected with the keywordSimilarity override
+ */
+export const KEYWORD_SIMILARITIES = {
+  // IDF-weighted cosine over all terms (see utils/corpus.js)
+  tfidf: { extractor: 'weightedTerms', similarity: 'tfidfCosine' },
+  // Symmetric BM25 over all terms
+  bm25: { extractor: 'weightedTerms', similarity: 'bm25' },
+  // Unweighted overlap of the most frequent terms
+  jaccard: { extractor: 'keywords', similarity: 'jaccard' }
+};
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Built-in presets for each scorer
+ * A preset overrides the scorer's threshold and, optionally, some of its weights.
+ */
+export const PRESETS = {
+  simple: {
+    strict: {
+      description: 'Only flag texts with strong keyword and entity overlap',
+      threshold: 0.45
+    },
+    broad: {
+      description: 'Flag anything with a modest overlap',
+      threshold: 0.2
+    }
+  },
+  nlp: {
+    strict: {
+      description: 'Only flag texts that share several named entities',
+      threshold: 0.45,
+      weights: { entityOverlap: 0.7, topicSimilarity: 0.3 }
+    },
+    broad: {
+      description: 'Flag anything with a modest entity or topic overlap',
+      threshold: 0.2
+    }
+  },
+  llm: {
+    strict: {
+      description: 'Require strong semantic similarity',
+      threshold: 0.5,
+      weights: { keywordOverlap: 0.2, entityOverlap: 0.2, semanticSimilarity: 0.6 }
+    },
+    broad: {
+      description: 'Flag anything with some semantic relationship',
+      threshold: 0.25
+    }
+  }
+};
+
+/**
+ * Get the built-in and calibrated presets of a scorer
+ * Built-in presets win when a calibrated preset has the same name.
+ * @param {string} scorerName - Scorer name
+ * @returns {Object<string, Object>} - Presets by name
+ */
+function getPresets(scorerName) {
+  return {
+    ...readCalibratedPresets()[scorerName],
+    ...PRESETS[scorerName]
+  };
+}
+
+/**
+ * List the presets available for a scorer
+ * @param {string} scorerName - Scorer name
+ * @returns {Array} - Array of { name, description, weights, threshold } presets; calibrated presets also have calibration
+ */
+export function listPresets(scorerName) {
+  return Object.entries(getPresets(scorerName)).map(([name, preset]) => ({
+    name,
+    ...preset
+  }));
+}
+
+/**
+ * Check that a name can be used for a calibrated preset
+ * @param {string} scorerName - Scorer name
+ * @param {string} name - Preset name
+ * @throws {Error} - If the name is malformed or taken by a built-in preset
+ */
+export function validatePresetName(scorerName, name) {
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+    throw new Error('Preset names may only contain lowercase letters, digits and dashes');
+  }
+
+  if (name === 'default' || Object.hasOwn(PRESETS[scorerName] || {}, name)) {
+    throw new Error(`"${name}" is a built-in preset of ${scorerName} and can't be replaced`);
+  }
+}
+
+/**
+ * Resolve the scorer configuration for a request
+ * Explicit weights, threshold, chunking and keyword similarity take
+ * precedence over the preset, which takes precedence over the scorer defaults. Partial
+ * weights only replace the components they name.
+ * @param {string} scorerName - Registered scorer name
+ * @param {Object} options - Request options
+ * @param {string} [options.preset] - Preset name
+ * @param {Object<string, number>} [options.weights] - Weight overrides by component
+ * @param {number} [options.threshold] - Threshold override
+ * @param {Object} [options.chunking] - { aggregate, topK } override for chunked components
+ * @param {string} [options.keywordSimilarity] - Key of {@link KEYWORD_SIMILARITIES} for keyword components
+ * @returns {Object} - Scorer configuration with a `preset` field
+ * @throws {Error} - If the preset is unknown or the overrides are invalid
+ */
+export function resolveScorer(scorerName, { preset, weights, threshold, chunking, keywordSimilarity } = {}) {
+  const config = getScorer(scorerName);
+  let resolved = { ...config, preset: null };
+
+  if (preset !== undefined && preset !== null && preset !== 'default') {
+    const presets = getPresets(scorerName);
+    const presetConfig = Object.hasOwn(presets, preset) ? presets[preset] : null;
+
+    if (!presetConfig) {
+      const available = ['default', ...Object.keys(presets)];
+      throw new Error(`Unknown preset "${preset}" for ${scorerName}. Available presets: ${available.join(', ')}`);
+    }
+
+    resolved = applyOverrides(resolved, presetConfig);
+    resolved.preset = preset;
+  }
+
+  return applyOverrides(resolved, { weights, threshold, chunking, keywordSimilarity });
+}
+
+/**
+ * Validate and apply weight/threshold/chunking/keyword similarity overrides to a scorer configuration
+ * @param {Object} config - Scorer configuration
+ * @param {Object} overrides - { weights, threshold, chunking, keywordSimilarity } overrides
+ * @returns {Object} - New scorer configuration
+ */
+function applyOverrides(config, { weights, threshold, chunking, keywordSimilarity }) {
+  const resolved = { ...config };
+
+  if (weights !== undefined && weights !== null) {
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new Error('weights must be an object mapping component names to numbers');
+    }
+
+    Object.entries(weights).forEach(([key, value]) => {
+      if (!Object.hasOwn(config.components, key)) {
+        throw new Error(`Unknown weight "${key}". Valid components: ${Object.keys(config.components).join(', ')}`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Weight "${key}" must be a non-negative number`);
+      }
+    });
+
+    resolved.weights = { ...config.weights, ...weights };
+
+    if (Object.values(resolved.weights).every(value => value === 0)) {
+      throw new Error('At least one weight must be greater than zero');
+    }
+  }
+
+  if (threshold !== undefined && threshold !== null) {
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error('threshold must be a number between 0 and 1');
+    }
+
+    resolved.threshold = threshold;
+  }
+
+  if (chunking !== undefined && chunking !== null) {
+    resolved.components = applyChunking(config, chunking);
+  }
+
+  if (keywordSimilarity !== undefined && keywordSimilarity !== null) {
+    resolved.components = applyKeywordSimilarity(resolved, keywordSimilarity);
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a keyword similarity and apply it to the keyword components
+ * @param {Object} config - Scorer configuration
+ * @param {string} keywordSimilarity - Key of {@link KEYWORD_SIMILARITIES}
+ * @returns {Object} - New components configuration
+ */
+function applyKeywordSimilarity(config, keywordSimilarity) {
+  if (!Object.hasOwn(KEYWORD_SIMILARITIES, keywordSimilarity)) {
+    throw new Error(`Unknown keyword similarity "${keywordSimilarity}". Available keyword similarities: ${Object.keys(KEYWORD_SIMILARITIES).join(', ')}`);
+  }
+
+  const keywordExtractors = new Set(Object.values(KEYWORD_SIMILARITIES).map(option => option.extractor));
+  const keywordComponents = Object.keys(config.components)
+    .filter(key => keywordExtractors.has(config.components[key].extractor));
+
+  if (keywordComponents.length === 0) {
+    throw new Error(`The ${config.name} scorer has no keyword components`);
+  }
+
+  const components = { ...config.components };
+  keywordComponents.forEach(key => {
+    components[key] = { ...components[key], ...KEYWORD_SIMILARITIES[keywordSimilarity] };
+  });
+
+  return components;
+}
+
+/**
+ * Validate chunking options and apply them to the chunked components
+ * @param {Object} config - Scorer configuration
+ * @param {Object} chunking - { aggregate, topK } options
+ * @returns {Object} - New components configuration
+ */
+function applyChunking(config, chunking) {
+  if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+    throw new Error('chunking must be an object with aggregate and/or topK');
+  }
+
+  const { aggregate, topK } = chunking;
+
+  if (aggregate !== undefined && !Object.hasOwn(CHUNK_AGGREGATES, aggregate)) {
+    throw new Error(`Unknown chunk aggregate "${aggregate}". Available aggregates: ${Object.keys(CHUNK_AGGREGATES).join(', ')}`);
+  }
+
+  if (topK !== undefined && (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K)) {
+    throw new Error(`chunking.topK must be an integer between 1 and ${MAX_TOP_K}`);
+  }
+
+  const chunked = Object.keys(config.components)
+    .filter(key => config.components[key].similarity === 'chunkedCosine');
+
+  if (chunked.length === 0) {
+    throw new Error(`The ${config.name} scorer has no chunked components`);
+  }
+
+  const components = { ...config.components };
+  chunked.forEach(key => {
+    components[key] = {
+      ...components[key],
+      options: {
+        ...components[key].options,
+        ...(aggregate !== undefined && { aggregate }),
+        ...(topK !== undefined && { topK })
+      }
+    };
+  });
+
+  return components;
+}
@@ -0,0 +1,290 @@
+// Persistent person knowledge profiles stored in a local JSON file
+
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { extractKeywords, extractSimpleEntities } from './extractors';
+import { createJsonStore } from './jsonStore';
+
+/**
+ * @typedef {Object} Snippet
+ * @property {string} id - Snippet ID
+ * @property {string} text - Knowledge snippet text
+ * @property {string} addedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Profile ID
+ * @property {string} name - Person name
+ * @property {Array<Snippet>} snippets - Accumulated knowledge snippets, oldest first
+ * @property {Array<string>} keywords - Keywords aggregated over all snippets
+ * @property {Array<string>} entities - Entities aggregated over all snippets
+ * @property {Object|null} embedding - { model, vector, truncated } embedding of the profile text, when available;
+ *   truncated is true when the provider's input limit cut the text
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Thrown when a profile ID does not exist
+ */
+export class ProfileNotFoundError extends Error {
+  constructor(id) {
+    super(`Profile not found: ${id}`);
+    this.name = 'ProfileNotFoundError';
+  }
+}
+
+const store = createJsonStore({
+  getPath: () => process.env.PROFILES_PATH || path.join(process.cwd(), 'data', 'profiles.json'),
+  empty: () => ({ profiles: [] })
+});
+
+/**
+ * Read all profiles from disk
+ * @returns {Promise<Array<Profile>>} - Stored profiles
+ */
+async function readProfiles() {
+  return (await store.read()).profiles;
+}
+
+/**
+ * Apply a change to the stored profiles as one serialized read-modify-write
+ * @param {Function} change - Receives the profiles array, mutates it and returns a value
+ * @returns {Promise<*>} - Value returned by change
+ */
+function updateProfiles(change) {
+  return store.update(data => change(data.profiles));
+}
+
+/**
+ * Find a profile by ID or throw
+ * @param {Array<Profile>} profiles - Profiles to search
+ * @param {string} id - Profile ID
+ * @returns {Profile} - Matching profile
+ */
+function findProfile(profiles, id) {
+  const profile = profiles.find(p => p.id === id);
+
+  if (!profile) {
+    throw new ProfileNotFoundError(id);
+  }
+
+  return profile;
+}
+
+/**
+ * Get the combined knowledge text of a profile
+ * @param {Profile} profile - Profile
+ * @returns {string} - All snippets joined as paragraphs
+ */
+export function getProfileText(profile) {
+  return profile.snippets.map(snippet => snippet.text).join('\n\n');
+}
+
+/**
+ * Embed the text a profile is about to have
+ * Runs before the profile is updated, so the network call never holds up the
+ * store's write queue.
+ * @param {Array<Snippet>} snippets - Snippets the profile will have
+ * @param {Function} [embed] - Optional async function returning { model, vector } for a text
+ * @returns {Promise<Object|null>} - { text, embedding }, or null without text, embed function or embedding
+ */
+async function embedSnippets(snippets, embed) {
+  const text = getProfileText({ snippets });
+  if (!text || !embed) return null;
+
+  try {
+    return { text, embedding: await embed(text) };
+  } catch (error) {
+    console.error('Error embedding profile:', error);
+    return null;
+  }
+}
+
+/**
+ * Recompute the aggregated keywords and entities of a profile and set its embedding
+ * @param {Profile} profile - Profile to update in place
+ * @param {Object|null} embedded - { text, embedding } from embedSnippets; dropped when a concurrent
+ *   change left the profile with another text
+ */
+function aggregateProfile(profile, embedded) {
+  const text = getProfileText(profile);
+
+  profile.keywords = text ? extractKeywords(text) : [];
+  profile.entities = text ? extractSimpleEntities(text) : [];
+  profile.embedding = embedded && embedded.text === text ? embedded.embedding : null;
+  profile.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Describe a profile without its embedding vector, for listings
+ * @param {Profile} profile - Profile
+ * @returns {Object} - The profile, with embedding reduced to { model, truncated }
+ */
+export function summarizeProfile({ embedding, ...profile }) {
+  return {
+    ...profile,
+    embedding: embedding && { model: embedding.model, truncated: Boolean(embedding.truncated) }
+  };
+}
+
+/**
+ * List all profiles
+ * @returns {Promise<Array<Profile>>} - Stored profiles
+ */
+export async function listProfiles() {
+  return readProfiles();
+}
+
+/**
+ * Get a profile by ID
+ * @param {string} id - Profile ID
+ * @returns {Promise<Profile>} - Profile
+ * @throws {ProfileNotFoundError} - If the profile does not exist
+ */
+export async function getProfile(id) {
+  return findProfile(await readProfiles(), id);
+}
+
+/**
+ * Create a profile
+ * @param {Object} options - Profile fields
+ * @param {string} options.name - Person name
+ * @param {Array<string>} [options.snippets] - Initial knowledge snippets
+ * @param {Function} [embed] - Optional async function returning { model, vector } for a text
+ * @returns {Promise<Profile>} - Created profile
+ */
+export async function createProfile({ name, snippets = [] }, embed) {
+  const now = new Date().toISOString();
+  const profile = {
+    id: randomUUID(),
+    name,
+    snippets: snippets.map(text => ({ id: randomUUID(), text, addedAt: now })),
+    keywords: [],
+    entities: [],
+    embedding: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  aggregateProfile(profile, await embedSnippets(profile.snippets, embed));
+
+  return updateProfiles(profiles => {
+    profiles.push(profile);
+    return profile;
+  });
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - Profile ID
+ * @param {Object} changes - { name } changes
+ * @returns {Promise<Profile>} - Updated profile
+ * @throws {ProfileNotFoundError} - If the profile does not exist
+ */
+export async function updateProfile(id, { name }) {
+  return updateProfiles(profiles => {
+    const profile = findProfile(profiles, id);
+    profile.name = name;
+    profile.updatedAt = new Date().toISOString();
+    return profile;
+  });
+}
+
+/**
+ * Delete a profile
+ * @param {string} id - Profile ID
+ * @throws {ProfileNotFoundError} - If the profile does not exist
+ */
+export async function deleteProfile(id) {
+  return updateProfiles(profiles => {
+    profiles.splice(profiles.indexOf(findProfile(profiles, id)), 1);
+  });
+}
+
+/**
+ * Add a knowledge snippet to a profile
+ * @param {string} id - Profile ID
+ * @param {string} text - Snippet text
+ * @param {Function} [embed] - Optional async function returning { model, vector } for a text
+ * @returns {Promise<Profile>} - Updated profile
+ * @throws {ProfileNotFoundError} - If the profile does not exist
+ */
+export async function addSnippet(id, text, embed) {
+  const snippet = { id: randomUUID(), text, addedAt: new Date().toISOString() };
+  const embedded = await embedSnippets([...(await getProfile(id)).snippets, snippet], embed);
+
+  return updateProfiles(profiles => {
+    const profile = findProfile(profiles, id);
+    profile.snippets.push(snippet);
+    aggregateProfile(profile, embedded);
+    return profile;
+  });
+}
+
+/**
+ * Remove a knowledge snippet from a profile
+ * @param {string} id - Profile ID
+ * @param {string} snippetId - Snippet ID
+ * @param {Function} [embed] - Optional async function returning { model, vector } for a text
+ * @returns {Promise<Profile>} - Updated profile
+ * @throws {ProfileNotFoundError} - If the profile or snippet does not exist
+ */
+export async function removeSnippet(id, snippetId, embed) {
+  const findSnippet = (profile) => {
+    const index = profile.snippets.findIndex(snippet => snippet.id === snippetId);
+
+    if (index === -1) {
+      throw new ProfileNotFoundError(`${id}/snippets/${snippetId}`);
+    }
+
+    return index;
+  };
+
+  const current = await getProfile(id);
+  findSnippet(current);
+  const embedded = await embedSnippets(current.snippets.filter(snippet => snippet.id !== snippetId), embed);
+
+  return updateProfiles(profiles => {
+    const profile = findProfile(profiles, id);
+    profile.snippets.splice(findSnippet(profile), 1);
+    aggregateProfile(profile, embedded);
+    return profile;
+  });
+}
+
+/**
+ * Resolve request texts that may reference profiles instead of raw text
+ * A profile ID takes precedence over the matching raw text field. Stored
+ * profile embeddings are returned so scorers can reuse them.
+ * @param {Object} input - Request fields
+ * @param {string} [input.primaryText] - Raw primary text
+ * @param {string} [input.secondaryText] - Raw secondary text
+ * @param {string} [input.primaryProfileId] - Profile to use as the primary text
+ * @param {string} [input.secondaryProfileId] - Profile to use as the secondary text
+ * @returns {Promise<Object>} - { primaryText, secondaryText, knownEmbeddings }
+ * @throws {ProfileNotFoundError} - If a referenced profile does not exist
+ */
+export async function resolveProfileTexts({ primaryText, secondaryText, primaryProfileId, secondaryProfileId }) {
+  const knownEmbeddings = [];
+
+  const resolve = async (text, profileId) => {
+    if (!profileId) return text;
+
+    const profile = await getProfile(profileId);
+    const profileText = getProfileText(profile);
+
+    if (profile.embedding) {
+      knownEmbeddings.push({ text: profileText, ...profile.embedding });
+    }
+
+    return profileText;
+  };
+
+  return {
+    primaryText: await resolve(primaryText, primaryProfileId),
+    secondaryText: await resolve(secondaryText, secondaryProfileId),
+    knownEmbeddings
+  };
+}
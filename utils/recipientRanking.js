@@ -0,0 +1,43 @@
+// One-to-many relevance: which recipients should hear about the primary text
+
+import { runScorer } from './scorerRegistry';
+
+/**
+ * @typedef {Object} Recipient
+ * @property {string} name - Recipient name
+ * @property {string} text - Text representing what the recipient knows
+ */
+
+/**
+ * Score a primary text against many recipients and rank them by relevance
+ * All pairs share one feature cache, so per-text features of the primary
+ * text are extracted only once. Cached embedding providers (see
+ * utils/embeddingCache.js) likewise embed the primary text only once.
+ * @param {string|Object} scorer - Scorer name or resolved configuration
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {Array<Recipient>} recipients - Recipients to rank
+ * @param {Object} context - Extra inputs for extractors, e.g. { embeddingProvider, referenceDate }
+ * @returns {Promise<Array>} - Recipients sorted by descending score, each with rank and result
+ */
+export async function rankRecipients(scorer, primaryText, recipients, context = {}) {
+  const scoringContext = { ...context, featureCache: new Map() };
+
+  const scored = await Promise.all(recipients.map(async (recipient, index) => {
+    const result = await runScorer(scorer, primaryText, recipient.text, scoringContext);
+
+    return {
+      index,
+      name: recipient.name,
+      score: result.score,
+      isRelevant: result.isRelevant,
+      shouldShare: result.novelty.shouldShare,
+      urgent: result.temporal.urgent,
+      explanation: result.explanation,
+      result
+    };
+  }));
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((recipient, position) => ({ rank: position + 1, ...recipient }));
+}
@@ -0,0 +1,365 @@
+// PII detection and redaction for texts sent to embedding and chat APIs
+
+import nlp from 'compromise';
+import { detectLanguage } from './language';
+
+/**
+ * Redaction categories, in the order overlapping matches are resolved
+ * name and amount are opt-in: names rely on compromise, which only tags
+ * English, and amounts are often what makes two texts relevant.
+ */
+export const PII_CATEGORIES = ['email', 'account', 'card', 'phone', 'amount', 'name'];
+
+const DEFAULT_CATEGORIES = ['email', 'account', 'card', 'phone'];
+
+const PLACEHOLDER_LABELS = {
+  email: 'EMAIL',
+  account: 'ACCOUNT',
+  card: 'CARD',
+  phone: 'PHONE',
+  amount: 'AMOUNT',
+  name: 'PERSON'
+};
+
+const PLACEHOLDER_PATTERN = /\[(?:EMAIL|ACCOUNT|CARD|PHONE|AMOUNT|PERSON)_\d+\]/g;
+
+const EMAIL_PATTERN = /[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// IBANs, and numbers written after an account label in English, German, French or Spanish
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+const ACCOUNT_PATTERN = /\b(?:account|acct|a\/c|routing|sort code|konto|compte|cuenta)\b(?:\s*(?:number|no\.?|num|nr\.?|#))?\s*[:#]?\s*([A-Z]{0,4}\d[\d -]{4,}\d)\b/gi;
+
+// 13-19 digits, optionally grouped with spaces or dashes; kept only when the Luhn check passes
+const CARD_PATTERN = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+
+// International numbers, numbers with an area code in parentheses, and 555-123-4567 style numbers;
+// parentheses are only matched in pairs, so a number never takes the punctuation that follows it
+const PHONE_PATTERNS = [
+  /(?<![\w+])\+\d{1,3}(?:[\s.-]?(?:\(\d{1,4}\)|\d{1,4})){2,5}(?!\w)/g,
+  /(?<!\w)\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{3,4}(?!\w)/g,
+  /(?<![\w.-])\d{3}[\s.-]\d{3,4}[\s.-]\d{4}(?![\w-])/g
+];
+
+const AMOUNT_PATTERNS = [
+  /[$€£¥]\s?\d(?:[\d,.]*\d)?(?:\s?(?:k|m|bn|thousand|million|billion)\b)?/gi,
+  /\b\d(?:[\d,.]*\d)?(?:\s?(?:thousand|million|billion))?\s?(?:dollars|euros?|pounds|USD|EUR|GBP|€)(?!\w)/gi
+];
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'madam']);
+
+/**
+ * @typedef {Object} RedactionReport
+ * @property {boolean} enabled - Whether any category is redacted in this deployment
+ * @property {Array<string>} categories - Categories that were found and replaced
+ * @property {Object<string, number>} counts - Distinct values replaced per category
+ */
+
+/**
+ * @typedef {Object} Redactor
+ * @property {Array<string>} categories - Categories being redacted
+ * @property {Function} redact - Replaces PII in a text with placeholders such as [EMAIL_1]
+ * @property {Function} restore - Puts the original values back in place of placeholders
+ * @property {Function} report - Returns the {@link RedactionReport} so far
+ */
+
+/**
+ * Categories to redact in this deployment, from PII_REDACTION
+ * Unset means email, account, card and phone. 'off' (or 'none', 'false')
+ * disables redaction, 'all' enables every category, and a comma-separated
+ * list picks categories, e.g. 'email,phone,name'.
+ * @returns {Array<string>} - Categories
+ * @throws {Error} - If PII_REDACTION names an unknown category
+ */
+export function getRedactionCategories() {
+  const setting = (process.env.PII_REDACTION || '').trim().toLowerCase();
+
+  if (!setting) return DEFAULT_CATEGORIES;
+  if (['off', 'none', 'false'].includes(setting)) return [];
+  if (setting === 'all') return PII_CATEGORIES;
+
+  const categories = setting.split(',').map(category => category.trim()).filter(Boolean);
+  const unknown = categories.filter(category => !PII_CATEGORIES.includes(category));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown PII_REDACTION categories: ${unknown.join(', ')}. Available categories: ${PII_CATEGORIES.join(', ')}`);
+  }
+
+  return PII_CATEGORIES.filter(category => categories.includes(category));
+}
+
+/**
+ * Find PII in a text
+ * Where matches overlap, the category listed first in {@link PII_CATEGORIES} wins.
+ * @param {string} text - Input text
+ * @param {Array<string>} [categories] - Categories to look for, defaults to all
+ * @param {Array<string>} [knownNames] - Names found earlier, matched as written
+ * @returns {Array<Object>} - { category, text, start, end } matches in text order
+ */
+export function detectPII(text, categories = PII_CATEGORIES, knownNames = []) {
+  const accepted = [];
+
+  PII_CATEGORIES
+    .filter(category => categories.includes(category))
+    .forEach(category => {
+      DETECTORS[category](text, knownNames).forEach(match => {
+        const overlaps = accepted.some(other => match.start < other.end && match.end > other.start);
+        if (!overlaps) accepted.push({ category, ...match });
+      });
+    });
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Create a redactor for the texts of one request
+ * The same value gets the same placeholder in every text the redactor sees,
+ * so both sides of a comparison still share it. Passing the full texts up
+ * front numbers placeholders in reading order and lets chunks and sentences
+ * reuse the names found in context.
+ * @param {Object} [options] - Redactor options
+ * @param {Array<string>} [options.categories] - Categories to redact, defaults to {@link getRedactionCategories}
+ * @param {Array<string>} [options.texts] - Full texts to learn placeholders from
+ * @returns {Redactor} - Redactor
+ */
+export function createRedactor({ categories = getRedactionCategories(), texts = [] } = {}) {
+  // "category:normalized value" (or "name:" plus each part of a name) -> placeholder
+  const placeholders = new Map();
+  const originals = new Map();
+  const counts = {};
+
+  const assign = (category, value) => {
+    const key = `${category}:${normalizeValue(category, value)}`;
+    if (placeholders.has(key)) return placeholders.get(key);
+
+    const parts = category === 'name' ? normalizeValue('name', value).split(' ') : [];
+
+    // "Alice Smith" takes the placeholder of the "Alice" seen before it
+    let placeholder = parts.map(part => placeholders.get(`name:${part}`)).find(Boolean);
+
+    if (!placeholder) {
+      counts[category] = (counts[category] || 0) + 1;
+      placeholder = `[${PLACEHOLDER_LABELS[category]}_${counts[category]}]`;
+      originals.set(placeholder, value);
+    }
+
+    placeholders.set(key, placeholder);
+
+    // "Smith" on its own refers to the "Alice Smith" seen before it
+    parts.forEach(part => {
+      const partKey = `name:${part}`;
+      if (part.length > 1 && !placeholders.has(partKey)) placeholders.set(partKey, placeholder);
+    });
+
+    return placeholder;
+  };
+
+  const knownNames = () => [...placeholders.keys()]
+    .filter(key => key.startsWith('name:'))
+    .map(key => key.slice('name:'.length));
+
+  // Full names take their placeholder before their parts
+  const assignNames = (matches) => matches
+    .filter(match => match.category === 'name')
+    .sort((a, b) => b.text.split(/\s+/).length - a.text.split(/\s+/).length)
+    .forEach(match => assign('name', match.text));
+
+  const redact = (text) => {
+    if (categories.length === 0 || !text) return text;
+
+    const matches = detectPII(text, categories, knownNames());
+    assignNames(matches);
+
+    let redacted = '';
+    let offset = 0;
+    matches.forEach(match => {
+      redacted += text.slice(offset, match.start) + assign(match.category, match.text);
+      offset = match.end;
+    });
+
+    return redacted + text.slice(offset);
+  };
+
+  const restore = (text) => typeof text === 'string'
+    ? text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) ?? placeholder)
+    : text;
+
+  const report = () => ({
+    enabled: categories.length > 0,
+    categories: PII_CATEGORIES.filter(category => counts[category]),
+    counts: { ...counts }
+  });
+
+  // Names from every text first, so "Alice" in the first text and "Alice Smith"
+  // in a later one share a placeholder whichever is redacted first
+  if (categories.includes('name')) {
+    assignNames(texts.flatMap(text => (text ? detectPII(text, ['name'], knownNames()) : [])));
+  }
+  texts.forEach(redact);
+
+  return { categories, redact, restore, report };
+}
+
+/**
+ * Wrap an embedding provider so it only sees redacted texts
+ * Texts are redacted before the provider's cache, so cached keys hold no PII either.
+ * @param {import('./embeddingProviders').EmbeddingProvider} provider - Embedding provider
+ * @param {Redactor} redactor - Redactor of the request
+ * @returns {import('./embeddingProviders').EmbeddingProvider} - Redacting provider
+ */
+export function withRedaction(provider, redactor) {
+  if (redactor.categories.length === 0) return provider;
+
+  const redactAll = texts => texts.map(text => redactor.redact(text));
+
+  return {
+    ...provider,
+    embed: (texts) => provider.embed(redactAll(texts)),
+    ...(provider.lookup && { lookup: (texts) => provider.lookup(redactAll(texts)) })
+  };
+}
+
+const DETECTORS = {
+  email: text => findAll(text, EMAIL_PATTERN),
+
+  account: text => [
+    ...findAll(text, IBAN_PATTERN).filter(match => isValidIban(match.text)),
+    ...[...text.matchAll(ACCOUNT_PATTERN)].map(match => {
+      const end = match.index + match[0].length;
+      return { text: match[1], start: end - match[1].length, end };
+    })
+  ],
+
+  card: text => findAll(text, CARD_PATTERN).filter(match => passesLuhn(match.text.replace(/\D/g, ''))),
+
+  phone: text => PHONE_PATTERNS
+    .flatMap(pattern => findAll(text, pattern))
+    .filter(match => {
+      const digits = match.text.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15;
+    }),
+
+  amount: text => AMOUNT_PATTERNS.flatMap(pattern => findAll(text, pattern)),
+
+  name: (text, knownNames) => findNames(text, knownNames)
+};
+
+/**
+ * Find all matches of a global pattern
+ * @param {string} text - Input text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<Object>} - { text, start, end } matches
+ */
+function findAll(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Find person names: those compromise tags in English text, plus names found earlier
+ * Only capitalized words count, matched as written, so "Will Brown" doesn't
+ * make "will" a name. Adjacent names ("Alice" "Smith's") are joined into one.
+ * @param {string} text - Input text
+ * @param {Array<string>} knownNames - Names and name parts found earlier
+ * @returns {Array<Object>} - { text, start, end } matches
+ */
+function findNames(text, knownNames) {
+  const tagged = detectLanguage(text) !== 'en' ? [] : nlp(text).people().json()
+    .map(person => person.terms
+      .map(term => term.text.replace(/['’]s$/, '').replace(/[^\p{L}'’-]/gu, ''))
+      .filter(term => term && !HONORIFICS.has(term.toLowerCase()))
+      .join(' '))
+    .filter(name => name && name.split(' ').every(isCapitalized));
+
+  const names = [...new Set([...tagged, ...knownNames])];
+  const matches = names
+    .flatMap(name => findAll(text, new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name).replace(/ /g, '\\s+')}(?![\\p{L}\\p{N}])`, 'gu')))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const merged = [];
+  matches.forEach(match => {
+    const last = merged[merged.length - 1];
+
+    if (last && match.start < last.end) return;
+
+    // Only whitespace may separate the parts, never an ordinary word
+    if (last && /^[^\S\n]+$/.test(text.slice(last.end, match.start))) {
+      last.end = match.end;
+      last.text = text.slice(last.start, last.end);
+    } else {
+      merged.push({ ...match });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Normalize a value so different spellings of it share a placeholder
+ * @param {string} category - PII category
+ * @param {string} value - Matched text
+ * @returns {string} - Normalized value
+ */
+function normalizeValue(category, value) {
+  if (['account', 'card', 'phone'].includes(category)) {
+    return value.replace(/[^\dA-Za-z+]/g, '').toUpperCase();
+  }
+
+  // Names keep their case, since "Will" is a name and "will" isn't
+  if (category === 'name') return value.replace(/\s+/g, ' ');
+
+  return value.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether a word starts with a capital letter
+ * @param {string} word - Word
+ * @returns {boolean} - Whether it's capitalized
+ */
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word);
+}
+
+/**
+ * Check a card number's Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN's mod-97 checksum
+ * @param {string} value - IBAN, possibly grouped with spaces
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '');
+  const digits = (iban.slice(4) + iban.slice(0, 4))
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0) === 1;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
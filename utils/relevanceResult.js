@@ -0,0 +1,422 @@
+// Shared result schema returned by every relevance algorithm
+
+import { LANGUAGES } from './language';
+import { URGENT_WINDOW_DAYS } from './temporal';
+
+/**
+ * @typedef {Object} Entity
+ * @property {string} text - Display name of the entity, e.g. "Amazon Web Services"
+ * @property {string|null} category - Entity category (people, places, organizations, topics, dates) or null when uncategorized
+ * @property {string} [id] - Canonical ID shared by every form of the entity (see utils/entities.js)
+ * @property {Array<string>} [forms] - Surface forms merged into the entity, e.g. ["AWS", "Amazon Web Services"];
+ *   for shared entities, the forms used in both texts
+ * @property {Object} [temporal] - { granularity, interval, timeOfDay } of dates (see utils/temporal.js)
+ */
+
+/**
+ * @typedef {Object} TermComparison
+ * @property {Array} shared - Items found in both texts
+ * @property {Array} primaryOnly - Items found only in the primary text
+ * @property {Array} secondaryOnly - Items found only in the secondary text
+ * @property {Array<KeywordMatch>} [matches] - For keywords, how each shared keyword matched
+ */
+
+/**
+ * @typedef {Object} KeywordMatch
+ * @property {string} text - Shared keyword as listed in `shared`
+ * @property {string} label - Forms from both texts, e.g. "cost ~ costs"
+ * @property {Array<string>} primaryForms - Forms used in the primary text
+ * @property {Array<string>} secondaryForms - Forms used in the secondary text
+ * @property {string} match - 'exact', 'variant' (same stems) or 'synonym' (same synonym group)
+ */
+
+/**
+ * @typedef {Object} EmbeddingInfo
+ * @property {string} provider - Embedding provider name, e.g. 'openai', 'azure' or 'local'
+ * @property {string} model - Embedding model identifier
+ * @property {boolean} fallback - Whether the provider failed and the semantic score came from a fallback
+ * @property {Object|null} cache - { primary, secondary } lookups, each { hit, source }, where source is
+ *   'profile', 'memory', 'disk', 'shared', 'mixed' (chunks from several places) or 'provider';
+ *   null when the embeddings failed
+ * @property {Object|null} truncated - { primary, secondary } flags, true when the provider's input limit cut
+ *   that text before it was embedded; null when the embeddings failed
+ */
+
+/**
+ * @typedef {Object} RelevanceResult
+ * @property {string} algorithm - Name of the algorithm that produced the result
+ * @property {string} version - Version of that algorithm
+ * @property {string|null} preset - Named preset the weights and threshold came from, if any
+ * @property {boolean} isRelevant - Whether the score is above the threshold
+ * @property {number} score - Weighted relevance score (0-1)
+ * @property {number} threshold - Score above which the texts are considered relevant
+ * @property {Object<string, number>} components - Per-component scores (0-1), e.g. keywordOverlap
+ * @property {Object<string, number>} weights - Weight applied to each component
+ * @property {TermComparison} keywords - Shared and unique keywords (strings), with their matches
+ * @property {TermComparison} entities - Shared and unique entities ({@link Entity})
+ * @property {Object<string, Object>} details - Extra per-component information, e.g. the best-matching
+ *   chunk pairs of a chunked semantic similarity
+ * @property {EmbeddingInfo|null} embedding - Provider behind the semantic score, or null when no embeddings were used
+ * @property {import('./evidence').Evidence|null} evidence - Primary sentences most relevant to the secondary text
+ * @property {import('./novelty').Novelty|null} novelty - What the primary text adds that the secondary text lacks
+ * @property {import('./temporal').Timeliness|null} temporal - Dates in both texts, overlapping periods and urgency
+ * @property {{primary: string, secondary: string}|null} languages - Detected language code of each text (see utils/language.js)
+ * @property {string} explanation - Human-readable summary rendered from the fields above
+ * @property {import('./llmRationale').Rationale} [rationale] - Chat model rationale, added by the llm endpoint on request
+ */
+
+/**
+ * Display labels for every known score component, in display order
+ */
+export const COMPONENT_LABELS = {
+  entityOverlap: 'Entity overlap',
+  keywordOverlap: 'Keyword similarity',
+  topicSimilarity: 'Topic similarity',
+  semanticSimilarity: 'Semantic similarity'
+};
+
+/**
+ * Entity categories that get their own sentence in the explanation
+ */
+const ENTITY_CATEGORY_LABELS = {
+  people: 'people',
+  organizations: 'organizations',
+  places: 'places',
+  dates: 'dates and times'
+};
+
+/**
+ * Build a relevance result from combined component scores
+ * @param {Object} options - Result fields
+ * @param {string} options.algorithm - Algorithm name
+ * @param {string} options.version - Algorithm version
+ * @param {string|null} [options.preset] - Preset name
+ * @param {number} options.score - Combined relevance score (0-1)
+ * @param {Object<string, number>} options.components - Per-component scores (0-1)
+ * @param {Object<string, number>} options.weights - Weight for each component
+ * @param {number} options.threshold - Relevance threshold
+ * @param {TermComparison} options.keywords - Keyword comparison
+ * @param {TermComparison} options.entities - Entity comparison
+ * @param {Object<string, Object>} [options.details] - Extra per-component information
+ * @param {EmbeddingInfo|null} [options.embedding] - Embedding provider details
+ * @param {import('./evidence').Evidence|null} [options.evidence] - Sentence-level evidence
+ * @param {import('./novelty').Novelty|null} [options.novelty] - Directional novelty
+ * @param {import('./temporal').Timeliness|null} [options.temporal] - Temporal comparison
+ * @param {{primary: string, secondary: string}|null} [options.languages] - Detected languages
+ * @returns {RelevanceResult} - Complete result including score and explanation
+ */
+export function buildRelevanceResult({
+  algorithm,
+  version,
+  preset = null,
+  score,
+  components,
+  weights,
+  threshold,
+  keywords,
+  entities,
+  details = {},
+  embedding = null,
+  evidence = null,
+  novelty = null,
+  temporal = null,
+  languages = null
+}) {
+  const result = {
+    algorithm,
+    version,
+    preset,
+    isRelevant: score > threshold,
+    score,
+    threshold,
+    components,
+    weights,
+    keywords,
+    entities,
+    details,
+    embedding,
+    evidence,
+    novelty,
+    temporal,
+    languages
+  };
+
+  result.explanation = renderExplanation(result);
+
+  return result;
+}
+
+/**
+ * Compare two term lists by stem key, or case-insensitively by text
+ * Plain strings only match case-insensitively; key terms (see
+ * utils/keywords.js) also match other inflections and synonyms.
+ * @param {Array<string|import('./keywords').KeyTerm>} primaryTerms - Terms from the primary text
+ * @param {Array<string|import('./keywords').KeyTerm>} secondaryTerms - Terms from the secondary text
+ * @returns {TermComparison} - Shared and unique terms, with how the shared terms matched
+ */
+export function compareTerms(primaryTerms, secondaryTerms) {
+  const primary = uniqueTerms(primaryTerms.map(toKeyTerm));
+  const secondary = uniqueTerms(secondaryTerms.map(toKeyTerm));
+
+  const primaryKeys = new Set(primary.map(termKey));
+  const secondaryByKey = new Map(secondary.map(term => [termKey(term), term]));
+  const shared = primary.filter(term => secondaryByKey.has(termKey(term)));
+
+  return {
+    shared: shared.map(term => term.text),
+    primaryOnly: primary.filter(term => !secondaryByKey.has(termKey(term))).map(term => term.text),
+    secondaryOnly: secondary.filter(term => !primaryKeys.has(termKey(term))).map(term => term.text),
+    matches: shared.map(term => describeMatch(term, secondaryByKey.get(termKey(term))))
+  };
+}
+
+/**
+ * Compare two entity lists by canonical ID, or case-insensitively by text
+ * Plain strings are treated as uncategorized entities. Shared entities list
+ * the surface forms used in both texts.
+ * @param {Array<string|Entity>} primaryEntities - Entities from the primary text
+ * @param {Array<string|Entity>} secondaryEntities - Entities from the secondary text
+ * @returns {TermComparison} - Shared and unique entities
+ */
+export function compareEntities(primaryEntities, secondaryEntities) {
+  const primary = uniqueEntities(primaryEntities.map(toEntity));
+  const secondary = uniqueEntities(secondaryEntities.map(toEntity));
+
+  const primaryKeys = new Set(primary.map(entityKey));
+  const secondaryByKey = new Map(secondary.map(entity => [entityKey(entity), entity]));
+
+  return {
+    shared: primary
+      .filter(entity => secondaryByKey.has(entityKey(entity)))
+      .map(entity => mergeForms(entity, secondaryByKey.get(entityKey(entity)))),
+    primaryOnly: primary.filter(entity => !secondaryByKey.has(entityKey(entity))),
+    secondaryOnly: secondary.filter(entity => !primaryKeys.has(entityKey(entity)))
+  };
+}
+
+/**
+ * Render the human-readable explanation for a result
+ * @param {RelevanceResult} result - Result without (or ignoring) its explanation
+ * @returns {string} - Explanation text
+ */
+export function renderExplanation(result) {
+  const { score, threshold, components, keywords, entities } = result;
+
+  let explanation = '';
+
+  // Determine overall relevance level
+  if (score > 0.7) {
+    explanation = 'High relevance detected. ';
+  } else if (score > threshold) {
+    explanation = 'Moderate relevance detected. ';
+  } else {
+    explanation = 'Low relevance detected. ';
+  }
+
+  // Add semantic analysis insight
+  if (components.semanticSimilarity !== undefined) {
+    explanation += describeSemanticSimilarity(components.semanticSimilarity);
+  }
+
+  // Add entity information, one sentence per named category
+  const uncategorized = entities.shared
+    .filter(entity => !entity.category)
+    .map(entity => entity.text);
+
+  if (uncategorized.length > 0) {
+    explanation += `Both texts mention the same entities: ${summarizeList(uncategorized, 5)}. `;
+  }
+
+  Object.entries(ENTITY_CATEGORY_LABELS).forEach(([category, label]) => {
+    const shared = entities.shared
+      .filter(entity => entity.category === category)
+      .map(entity => entity.text);
+
+    if (shared.length > 0) {
+      explanation += `Both texts mention the same ${label}: ${shared.join(', ')}. `;
+    }
+  });
+
+  // Add keyword information, naming the forms each text used when they differ
+  if (keywords.shared.length > 0) {
+    const labels = keywords.matches ? keywords.matches.map(match => match.label) : keywords.shared;
+    explanation += `Both texts share keywords related to: ${summarizeList(labels, 7)}. `;
+  }
+
+  // Add novelty information
+  if (result.novelty && score > threshold) {
+    const newShare = `${(result.novelty.novelty * 100).toFixed(0)}%`;
+
+    if (result.novelty.shouldShare) {
+      explanation += `The primary text adds new information: ${newShare} of its content is new to the secondary person. `;
+    } else if (result.novelty.novelty > 0) {
+      explanation += `However, most of it is already known to the secondary person (only ${newShare} is new). `;
+    } else {
+      explanation += 'However, the secondary person already appears to know all of it. ';
+    }
+  }
+
+  // Add urgency
+  if (result.temporal?.urgent) {
+    const items = unique(result.temporal.urgentItems.map(item => item.text));
+    explanation += `This is time-sensitive: ${summarizeList(items, 3)} ${items.length === 1 ? 'falls' : 'fall'} within ${URGENT_WINDOW_DAYS} days of ${result.temporal.referenceDate}. `;
+  }
+
+  // Word overlap understates relevance across languages
+  if (result.languages && result.languages.primary !== result.languages.secondary) {
+    const names = [result.languages.primary, result.languages.secondary].map(code => LANGUAGES[code].name);
+    explanation += `The texts are in different languages (${names.join(' and ')}), so keyword and entity overlap may understate their relevance. `;
+  }
+
+  // Add scoring breakdown
+  const breakdown = Object.entries(COMPONENT_LABELS)
+    .filter(([key]) => components[key] !== undefined)
+    .map(([key, label]) => `${label}: ${(components[key] * 100).toFixed(1)}%.`);
+
+  explanation += breakdown.join(' ');
+
+  return explanation;
+}
+
+/**
+ * Describe a semantic similarity score in words
+ * @param {number} semanticSimilarity - Semantic similarity score
+ * @returns {string} - Sentence describing the similarity
+ */
+function describeSemanticSimilarity(semanticSimilarity) {
+  if (semanticSimilarity > 0.8) {
+    return 'The texts are highly semantically similar. ';
+  } else if (semanticSimilarity > 0.5) {
+    return 'The texts share moderate semantic similarity. ';
+  } else if (semanticSimilarity > 0.3) {
+    return 'The texts have some semantic relationship. ';
+  }
+  return 'The texts have limited semantic connection. ';
+}
+
+/**
+ * Join the first items of a list, marking truncation with an ellipsis
+ * @param {Array<string>} items - Items to join
+ * @param {number} limit - Maximum number of items to include
+ * @returns {string} - Comma-separated list
+ */
+function summarizeList(items, limit) {
+  return `${items.slice(0, limit).join(', ')}${items.length > limit ? '...' : ''}`;
+}
+
+/**
+ * Normalize a string or entity object to an entity object
+ * @param {string|Entity} entity - Entity
+ * @returns {Entity} - Entity object
+ */
+function toEntity(entity) {
+  return typeof entity === 'string' ? { text: entity, category: null } : entity;
+}
+
+/**
+ * Normalize a string or key term to a key term
+ * @param {string|import('./keywords').KeyTerm} term - Term
+ * @returns {Object} - { text, id?, forms? } term
+ */
+function toKeyTerm(term) {
+  return typeof term === 'string' ? { text: term } : term;
+}
+
+/**
+ * Key identifying a term for comparison
+ * @param {Object} term - { text, id? } term
+ * @returns {string} - Stem or synonym key, or the lowercased text
+ */
+function termKey(term) {
+  return term.id || term.text.toLowerCase();
+}
+
+/**
+ * Remove duplicates from a list of terms, by key
+ * @param {Array<Object>} terms - Input list
+ * @returns {Array<Object>} - List without duplicates
+ */
+function uniqueTerms(terms) {
+  const seen = new Set();
+  return terms.filter(term => {
+    const key = termKey(term);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Describe how a term shared by both texts matched
+ * @param {Object} primary - Term as found in the primary text
+ * @param {Object} secondary - Term as found in the secondary text
+ * @returns {KeywordMatch} - Forms of both texts and the kind of match
+ */
+function describeMatch(primary, secondary) {
+  const primaryForms = primary.forms || [primary.text.toLowerCase()];
+  const secondaryForms = secondary.forms || [secondary.text.toLowerCase()];
+  const forms = [...new Set([...primaryForms, ...secondaryForms])];
+
+  let match = 'variant';
+  if (forms.length === 1) {
+    match = 'exact';
+  } else if (primary.id?.startsWith('syn:')) {
+    match = 'synonym';
+  }
+
+  return { text: primary.text, label: forms.join(' ~ '), primaryForms, secondaryForms, match };
+}
+
+/**
+ * Remove case-insensitive duplicates from a list of strings
+ * @param {Array<string>} items - Input list
+ * @returns {Array<string>} - List without duplicates
+ */
+function unique(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Key identifying an entity for comparison
+ * @param {Entity} entity - Entity
+ * @returns {string} - Canonical ID, or the lowercased text
+ */
+function entityKey(entity) {
+  return entity.id || entity.text.toLowerCase();
+}
+
+/**
+ * Combine the surface forms of the same entity from both texts
+ * @param {Entity} primary - Entity as found in the primary text
+ * @param {Entity} secondary - Entity as found in the secondary text
+ * @returns {Entity} - Primary entity with the forms of both
+ */
+function mergeForms(primary, secondary) {
+  if (!primary.forms && !secondary.forms) return primary;
+
+  return {
+    ...primary,
+    forms: [...new Set([...(primary.forms || [primary.text]), ...(secondary.forms || [secondary.text])])]
+  };
+}
+
+/**
+ * Remove duplicates from a list of entities, by canonical ID or case-insensitive text
+ * @param {Array<Entity>} entities - Input list
+ * @returns {Array<Entity>} - List without duplicates
+ */
+function uniqueEntities(entities) {
+  const seen = new Set();
+  return entities.filter(entity => {
+    const key = entityKey(entity);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,278 @@
+// Scorer registry: extractors, similarity functions and combiners composed into named scorers
+
+import { EXTRACTORS } from './extractors';
+import { SIMILARITIES } from './similarity';
+import { SCORERS } from './scorers';
+import { buildRelevanceResult, compareEntities, compareTerms } from './relevanceResult';
+import { matchSentences, toEvidence } from './evidence';
+import { assessNovelty } from './novelty';
+import { detectLanguage } from './language';
+import { assessTimeliness } from './temporal';
+
+/**
+ * Built-in combiners
+ * A combiner turns component scores and weights into the final score.
+ */
+const COMBINERS = {
+  // Weighted average; weights are relative, so overrides need not sum to 1
+  weightedSum: (components, weights) => {
+    const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+    if (totalWeight === 0) return 0;
+
+    const total = Object.keys(weights).reduce(
+      (sum, key) => sum + ((components[key] || 0) * weights[key]),
+      0
+    );
+    return total / totalWeight;
+  }
+};
+
+// Extractors whose components are reported in result.embedding
+const EMBEDDING_EXTRACTORS = new Set(['embeddings', 'chunkEmbeddings']);
+
+const extractors = new Map(Object.entries(EXTRACTORS));
+const similarities = new Map(Object.entries(SIMILARITIES));
+const combiners = new Map(Object.entries(COMBINERS));
+const scorers = new Map();
+
+/**
+ * Register a feature extractor
+ * @param {string} name - Extractor name used in scorer configurations
+ * @param {Function} extractor - Takes (texts, context) and resolves to one feature value per text
+ */
+export function registerExtractor(name, extractor) {
+  extractors.set(name, extractor);
+}
+
+/**
+ * Register a similarity function
+ * @param {string} name - Similarity name used in scorer configurations
+ * @param {Function} similarity - Takes two feature values and the component's options, and returns
+ *   a score between 0-1 or { score, details }
+ */
+export function registerSimilarity(name, similarity) {
+  similarities.set(name, similarity);
+}
+
+/**
+ * Register a combiner
+ * @param {string} name - Combiner name used in scorer configurations
+ * @param {Function} combiner - Takes (components, weights) and returns the final score
+ */
+export function registerCombiner(name, combiner) {
+  combiners.set(name, combiner);
+}
+
+/**
+ * Register a named scorer configuration
+ * @param {Object} config - Scorer configuration (see utils/scorers.js)
+ * @returns {Object} - The registered configuration
+ */
+export function registerScorer(config) {
+  validateScorer(config);
+  scorers.set(config.name, config);
+  return config;
+}
+
+/**
+ * Look up a registered scorer configuration
+ * @param {string} name - Scorer name
+ * @returns {Object} - Scorer configuration
+ */
+export function getScorer(name) {
+  const config = scorers.get(name);
+
+  if (!config) {
+    throw new Error(`Unknown scorer: ${name}`);
+  }
+
+  return config;
+}
+
+/**
+ * List the names of all registered scorers
+ * @returns {Array<string>} - Scorer names
+ */
+export function listScorers() {
+  return [...scorers.keys()];
+}
+
+/**
+ * Combine component scores into an overall score with a scorer's combiner
+ * @param {Object} config - Scorer configuration
+ * @param {Object<string, number>} components - Component scores
+ * @returns {number} - Overall score (0-1)
+ */
+export function combineComponents(config, components) {
+  return combiners.get(config.combiner || 'weightedSum')(components, config.weights);
+}
+
+/**
+ * Calculate relevance between two texts with a scorer
+ * @param {string|Object} scorer - Registered scorer name or an unregistered configuration
+ * @param {string} primaryText - Text representing what the primary person knows
+ * @param {string} secondaryText - Text representing what the secondary person knows
+ * @param {Object} context - Extra inputs for extractors, e.g. { embeddingProvider, featureCache, referenceDate }
+ * @returns {Promise<import('./relevanceResult').RelevanceResult>} - Structured relevance result
+ */
+export async function runScorer(scorer, primaryText, secondaryText, context = {}) {
+  const config = typeof scorer === 'string' ? getScorer(scorer) : scorer;
+
+  if (typeof scorer !== 'string') {
+    validateScorer(config);
+  }
+
+  const texts = [primaryText, secondaryText];
+  const features = new Map();
+
+  // Per-run context, so extractors can report back without affecting other runs
+  const runContext = { ...context, embeddingSources: [], embeddingTruncations: [] };
+
+  // Run each extractor at most once, however many components use it
+  const extract = (name) => {
+    if (!features.has(name)) {
+      features.set(name, Promise.resolve(extractors.get(name)(texts, runContext)));
+    }
+    return features.get(name);
+  };
+
+  // Compute components in declaration order so fallbacks can use earlier ones
+  const components = {};
+  const details = {};
+  let embedding = null;
+  for (const [key, component] of Object.entries(config.components)) {
+    // Report which provider produced embedding-based components
+    if (EMBEDDING_EXTRACTORS.has(component.extractor) && context.embeddingProvider && !embedding) {
+      embedding = {
+        provider: context.embeddingProvider.name,
+        model: context.embeddingProvider.model,
+        fallback: false,
+        cache: null,
+        truncated: null
+      };
+    }
+
+    try {
+      const [primaryFeatures, secondaryFeatures] = await extract(component.extractor);
+      const similarity = similarities.get(component.similarity)(primaryFeatures, secondaryFeatures, component.options);
+
+      if (typeof similarity === 'number') {
+        components[key] = similarity;
+      } else {
+        components[key] = similarity.score;
+        details[key] = similarity.details;
+      }
+    } catch (error) {
+      if (!component.fallback) throw error;
+
+      console.error(`Error calculating ${key}:`, error);
+      components[key] = component.fallback(components, error);
+
+      if (embedding && EMBEDDING_EXTRACTORS.has(component.extractor)) {
+        embedding.fallback = true;
+      }
+    }
+  }
+
+  const score = combineComponents(config, components);
+
+  if (embedding && runContext.embeddingSources.length === texts.length) {
+    const [primary, secondary] = runContext.embeddingSources.map(toCacheLookup);
+    embedding.cache = { primary, secondary };
+  }
+
+  if (embedding && runContext.embeddingTruncations.length === texts.length) {
+    const [primary, secondary] = runContext.embeddingTruncations;
+    embedding.truncated = { primary, secondary };
+  }
+
+  const [primaryKeywords, secondaryKeywords] = await extract(config.keywords);
+  const [primaryEntities, secondaryEntities] = await extract(config.entities);
+
+  // Sentence matches feed both the evidence and the novelty assessment;
+  // semantic matching needs a working embedding provider
+  const evidenceMethod = config.evidence === 'semantic' && !embedding?.fallback ? 'semantic' : 'lexical';
+  const matched = await matchSentences(primaryText, secondaryText, evidenceMethod, runContext);
+  const novelty = assessNovelty(matched, { score, isRelevant: score > config.threshold }, config.noveltyThreshold);
+
+  // Dates both texts refer to, and whether either is time-sensitive
+  const [primaryDates, secondaryDates] = await extract('temporal');
+  const temporal = assessTimeliness(primaryDates, secondaryDates, runContext.referenceDate);
+
+  return buildRelevanceResult({
+    algorithm: config.name,
+    version: config.version,
+    preset: config.preset || null,
+    score,
+    components,
+    weights: config.weights,
+    threshold: config.threshold,
+    keywords: compareTerms(primaryKeywords.map(toTerm), secondaryKeywords.map(toTerm)),
+    entities: compareEntities(primaryEntities, secondaryEntities),
+    details,
+    embedding,
+    evidence: toEvidence(matched),
+    novelty,
+    temporal,
+    languages: { primary: detectLanguage(primaryText), secondary: detectLanguage(secondaryText) }
+  });
+}
+
+/**
+ * Describe where an embedding came from
+ * @param {string} source - 'profile', 'memory', 'disk', 'shared', 'mixed' or 'provider'
+ * @returns {Object} - { hit, source }, where hit means no provider call was made for this request
+ */
+function toCacheLookup(source) {
+  return { hit: source !== 'provider', source };
+}
+
+/**
+ * Check that a scorer configuration only references registered parts
+ * @param {Object} config - Scorer configuration
+ */
+function validateScorer(config) {
+  if (!config || !config.name) {
+    throw new Error('Scorer configuration requires a name');
+  }
+
+  const missing = [];
+
+  Object.entries(config.components || {}).forEach(([key, component]) => {
+    if (!extractors.has(component.extractor)) {
+      missing.push(`extractor "${component.extractor}" (component ${key})`);
+    }
+    if (!similarities.has(component.similarity)) {
+      missing.push(`similarity "${component.similarity}" (component ${key})`);
+    }
+  });
+
+  [config.keywords, config.entities].forEach(name => {
+    if (!extractors.has(name)) {
+      missing.push(`extractor "${name}"`);
+    }
+  });
+
+  if (!combiners.has(config.combiner || 'weightedSum')) {
+    missing.push(`combiner "${config.combiner}"`);
+  }
+
+  if (config.evidence && !['lexical', 'semantic'].includes(config.evidence)) {
+    missing.push(`evidence method "${config.evidence}"`);
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Scorer "${config.name}" references unknown parts: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Normalize a keyword feature for compareTerms
+ * @param {string|Object} item - Keyword string, { term } topic or key term (see utils/keywords.js)
+ * @returns {string|Object} - Term string, or the key term
+ */
+function toTerm(item) {
+  return typeof item === 'string' || item.id ? item : item.term;
+}
+
+SCORERS.forEach(registerScorer);
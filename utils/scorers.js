@@ -0,0 +1,85 @@
+// Built-in scorer configurations
+//
+// A scorer is a named configuration of registered parts:
+// - components: each component score runs one extractor over both texts
+//   and compares the two feature values with one similarity function,
+//   passing the component's optional `options` to it
+// - weights/threshold: how the combiner turns components into a decision
+// - keywords/entities: which extractor outputs populate the result lists
+// - evidence: how sentence-level evidence is found, 'lexical' (default) or
+//   'semantic' (sentence embeddings)
+// - noveltyThreshold: share of new information needed to recommend sharing
+//   (see utils/novelty.js, default 0.3)
+
+/**
+ * IDF-weighted keyword similarity and regex entity overlap
+ */
+export const SIMPLE_SCORER = {
+  name: 'simple',
+  version: '1.4.0',
+  components: {
+    keywordOverlap: { extractor: 'weightedTerms', similarity: 'tfidfCosine' },
+    entityOverlap: { extractor: 'regexEntities', similarity: 'jaccard' }
+  },
+  combiner: 'weightedSum',
+  weights: {
+    keywordOverlap: 0.6,
+    entityOverlap: 0.4
+  },
+  threshold: 0.3,
+  keywords: 'keywords',
+  entities: 'regexEntities'
+};
+
+/**
+ * compromise named entities and TF-IDF topic modeling
+ */
+export const NLP_SCORER = {
+  name: 'nlp',
+  version: '1.3.0',
+  components: {
+    entityOverlap: { extractor: 'nerEntities', similarity: 'jaccard' },
+    topicSimilarity: { extractor: 'topics', similarity: 'topicOverlap' }
+  },
+  combiner: 'weightedSum',
+  weights: {
+    entityOverlap: 0.6,
+    topicSimilarity: 0.4
+  },
+  threshold: 0.3,
+  keywords: 'topics',
+  entities: 'nerEntities'
+};
+
+/**
+ * IDF-weighted keyword similarity and entity overlap plus embedding similarity
+ * Embeddings come from the provider in the scoring context (OpenAI or local).
+ * Long texts are chunked and the best-matching chunk pair sets the score.
+ */
+export const LLM_SCORER = {
+  name: 'llm',
+  version: '1.5.0',
+  components: {
+    keywordOverlap: { extractor: 'weightedTerms', similarity: 'tfidfCosine' },
+    entityOverlap: { extractor: 'regexEntities', similarity: 'jaccard' },
+    semanticSimilarity: {
+      extractor: 'chunkEmbeddings',
+      similarity: 'chunkedCosine',
+      options: { aggregate: 'max', topK: 3 },
+      // Fall back to traditional methods if the embedding provider fails
+      fallback: ({ keywordOverlap, entityOverlap }) => (keywordOverlap * 0.6) + (entityOverlap * 0.4)
+    }
+  },
+  combiner: 'weightedSum',
+  weights: {
+    keywordOverlap: 0.3,
+    entityOverlap: 0.2,
+    semanticSimilarity: 0.5
+  },
+  threshold: 0.35,
+  keywords: 'keywords',
+  entities: 'regexEntities',
+  evidence: 'semantic'
+};
+
+export const SCORERS = [SIMPLE_SCORER, NLP_SCORER, LLM_SCORER];
@@ -0,0 +1,299 @@
+// Similarity functions shared by every scorer
+
+/**
+ * Calculate Jaccard overlap between two arrays
+ * Strings are compared case-insensitively; entity objects by their canonical ID,
+ * or their text when they have none.
+ * @param {Array} array1 - First array
+ * @param {Array} array2 - Second array
+ * @returns {number} - Overlap score (0-1)
+ */
+export function jaccard(array1, array2) {
+  if (array1.length === 0 || array2.length === 0) return 0;
+
+  // Convert to lowercase for case-insensitive comparison
+  const set1 = new Set(array1.map(toComparable));
+  const set2 = new Set(array2.map(toComparable));
+
+  // Find intersection
+  const intersection = new Set([...set1].filter(item => set2.has(item)));
+
+  // Calculate Jaccard similarity
+  const union = new Set([...set1, ...set2]);
+  return intersection.size / union.size;
+}
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {Array<number>} vec1 - First vector
+ * @param {Array<number>} vec2 - Second vector
+ * @returns {number} - Similarity score between 0-1
+ */
+export function cosine(vec1, vec2) {
+  // Ensure vectors are of the same length
+  if (vec1.length !== vec2.length) {
+    throw new Error('Vectors must be of the same length');
+  }
+
+  // Calculate dot product
+  let dotProduct = 0;
+  let magnitude1 = 0;
+  let magnitude2 = 0;
+
+  for (let i = 0; i < vec1.length; i++) {
+    dotProduct += vec1[i] * vec2[i];
+    magnitude1 += vec1[i] * vec1[i];
+    magnitude2 += vec2[i] * vec2[i];
+  }
+
+  magnitude1 = Math.sqrt(magnitude1);
+  magnitude2 = Math.sqrt(magnitude2);
+
+  // Prevent division by zero
+  if (magnitude1 === 0 || magnitude2 === 0) {
+    return 0;
+  }
+
+  // Return cosine similarity
+  return dotProduct / (magnitude1 * magnitude2);
+}
+
+/**
+ * Calculate topic similarity between two topic lists
+ * @param {Array} primaryTopics - { term, weight } topics of the first text
+ * @param {Array} secondaryTopics - { term, weight } topics of the second text
+ * @returns {number} - Similarity score (0-1)
+ */
+export function topicOverlap(primaryTopics, secondaryTopics) {
+  const primaryTerms = primaryTopics.map(t => t.term);
+  const secondaryTerms = secondaryTopics.map(t => t.term);
+
+  // Find overlapping topics
+  const overlapping = primaryTerms.filter(term =>
+    secondaryTerms.includes(term)
+  );
+
+  if (primaryTerms.length === 0 || secondaryTerms.length === 0) return 0;
+
+  // Calculate cosine similarity (simplified)
+  return overlapping.length / Math.sqrt(primaryTerms.length * secondaryTerms.length);
+}
+
+/**
+ * Ways to combine a matrix of chunk-pair similarities into one score
+ * Each takes the matrix (rows are primary chunks) and the aggregation options.
+ */
+export const CHUNK_AGGREGATES = {
+  // Best single chunk pair
+  max: (matrix) => Math.max(...matrix.flat()),
+
+  // Mean of the topK best chunk pairs
+  topKMean: (matrix, { topK = 3 } = {}) => {
+    const top = matrix.flat().sort((a, b) => b - a).slice(0, topK);
+    return top.reduce((sum, value) => sum + value, 0) / top.length;
+  },
+
+  // Mean over primary chunks of their best match, i.e. how much of the
+  // primary text the secondary text covers
+  coverage: (matrix) =>
+    matrix.reduce((sum, row) => sum + Math.max(...row), 0) / matrix.length
+};
+
+const BEST_PAIR_COUNT = 3;
+
+/**
+ * Calculate cosine similarity between two chunked texts
+ * Every primary chunk is compared with every secondary chunk and the matrix
+ * is aggregated into one score.
+ * @param {Object} primary - { chunks, vectors } of the first text
+ * @param {Object} secondary - { chunks, vectors } of the second text
+ * @param {Object} [options] - Aggregation options
+ * @param {string} [options.aggregate] - Key of {@link CHUNK_AGGREGATES}, defaults to 'max'
+ * @param {number} [options.topK] - Number of pairs averaged by 'topKMean'
+ * @returns {Object} - { score, details } where details lists the best-matching chunk pairs
+ */
+export function chunkedCosine(primary, secondary, { aggregate = 'max', topK = 3 } = {}) {
+  const aggregateFn = CHUNK_AGGREGATES[aggregate];
+
+  if (!aggregateFn) {
+    throw new Error(`Unknown chunk aggregate "${aggregate}". Available aggregates: ${Object.keys(CHUNK_AGGREGATES).join(', ')}`);
+  }
+
+  const matrix = primary.vectors.map(primaryVector =>
+    secondary.vectors.map(secondaryVector => cosine(primaryVector, secondaryVector))
+  );
+
+  const bestPairs = matrix
+    .flatMap((row, i) => row.map((similarity, j) => ({ i, j, similarity })))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, BEST_PAIR_COUNT)
+    .map(({ i, j, similarity }) => ({
+      primary: primary.chunks[i],
+      secondary: secondary.chunks[j],
+      similarity
+    }));
+
+  return {
+    score: aggregateFn(matrix, { topK }),
+    details: {
+      aggregate,
+      chunked: {
+        primary: primary.chunks.length > 1,
+        secondary: secondary.chunks.length > 1
+      },
+      chunkCounts: {
+        primary: primary.chunks.length,
+        secondary: secondary.chunks.length
+      },
+      bestPairs
+    }
+  };
+}
+
+const TOP_TERM_COUNT = 5;
+
+/**
+ * Inverse document frequency of a term, smoothed so unseen terms and an
+ * empty corpus still weigh 1
+ * @param {number} documentFrequency - Number of corpus documents containing the term
+ * @param {number} documentCount - Number of corpus documents
+ * @returns {number} - IDF weight (>= 1)
+ */
+function smoothedIdf(documentFrequency, documentCount) {
+  return Math.log((1 + documentCount) / (1 + documentFrequency)) + 1;
+}
+
+/**
+ * Calculate IDF-weighted cosine similarity between two term lists
+ * Terms are weighted by (1 + log tf) * idf, so terms common across the
+ * corpus count for little and rare shared terms for a lot.
+ * @param {Object} primary - { terms, length, corpus } weighted terms of the first text
+ * @param {Object} secondary - { terms, length, corpus } weighted terms of the second text
+ * @returns {Object} - { score, details } where details lists the shared terms that contribute most
+ */
+export function tfidfCosine(primary, secondary) {
+  const { documentCount } = primary.corpus;
+  const weigh = terms => new Map(terms.map(term => [
+    term.id,
+    { term, weight: (1 + Math.log(term.count)) * smoothedIdf(term.documentFrequency, documentCount) }
+  ]));
+
+  const primaryWeights = weigh(primary.terms);
+  const secondaryWeights = weigh(secondary.terms);
+  const magnitude = weights => Math.sqrt([...weights.values()].reduce((sum, { weight }) => sum + weight * weight, 0));
+  const norm = magnitude(primaryWeights) * magnitude(secondaryWeights);
+
+  const contributions = [...primaryWeights.entries()]
+    .filter(([id]) => secondaryWeights.has(id))
+    .map(([id, { term, weight }]) => ({
+      term: term.text,
+      documentFrequency: term.documentFrequency,
+      contribution: norm === 0 ? 0 : (weight * secondaryWeights.get(id).weight) / norm
+    }));
+
+  return {
+    score: contributions.reduce((sum, { contribution }) => sum + contribution, 0),
+    details: toTermDetails('tfidf', primary.corpus, contributions)
+  };
+}
+
+/**
+ * Calculate symmetric BM25 similarity between two term lists
+ * Each text is scored as a query against the other as a document and
+ * divided by its score against itself; the score is the mean of both
+ * directions.
+ * @param {Object} primary - { terms, length, corpus } weighted terms of the first text
+ * @param {Object} secondary - { terms, length, corpus } weighted terms of the second text
+ * @param {Object} [options] - BM25 parameters
+ * @param {number} [options.k1] - Term frequency saturation, defaults to 1.2
+ * @param {number} [options.b] - Length normalization, defaults to 0.75
+ * @returns {Object} - { score, details } where details lists the shared terms that contribute most
+ */
+export function bm25(primary, secondary, { k1 = 1.2, b = 0.75 } = {}) {
+  const { documentCount } = primary.corpus;
+  // Without a corpus, the two texts are the collection
+  const averageLength = primary.corpus.averageLength || ((primary.length + secondary.length) / 2) || 1;
+
+  const idf = term => Math.log(1 + (documentCount - term.documentFrequency + 0.5) / (term.documentFrequency + 0.5));
+  const counts = doc => new Map(doc.terms.map(term => [term.id, term.count]));
+
+  // Score of each query term against a document
+  const termScores = (query, doc) => {
+    const docCounts = counts(doc);
+    const lengthNorm = k1 * (1 - b + b * (doc.length / averageLength));
+
+    return query.terms.map(term => {
+      const frequency = docCounts.get(term.id) || 0;
+      return { term, score: idf(term) * (frequency * (k1 + 1)) / (frequency + lengthNorm) };
+    });
+  };
+
+  const direction = (query, doc) => {
+    const self = termScores(query, query).reduce((sum, { score }) => sum + score, 0);
+    const scores = termScores(query, doc);
+    return {
+      score: self === 0 ? 0 : Math.min(1, scores.reduce((sum, { score }) => sum + score, 0) / self),
+      scores: scores.map(({ term, score }) => ({ term, score: self === 0 ? 0 : score / self }))
+    };
+  };
+
+  const forward = direction(primary, secondary);
+  const backward = direction(secondary, primary);
+  const backwardScores = new Map(backward.scores.map(({ term, score }) => [term.id, score]));
+
+  const contributions = forward.scores
+    .filter(({ score }) => score > 0)
+    .map(({ term, score }) => ({
+      term: term.text,
+      documentFrequency: term.documentFrequency,
+      contribution: (score + (backwardScores.get(term.id) || 0)) / 2
+    }));
+
+  return {
+    score: (forward.score + backward.score) / 2,
+    details: toTermDetails('bm25', primary.corpus, contributions)
+  };
+}
+
+/**
+ * Describe the terms behind a weighted keyword score
+ * @param {string} method - 'tfidf' or 'bm25'
+ * @param {Object} corpus - { documentCount, averageLength } corpus statistics
+ * @param {Array<Object>} contributions - { term, documentFrequency, contribution } per shared term
+ * @returns {Object} - { method, corpusSize, topTerms }
+ */
+function toTermDetails(method, corpus, contributions) {
+  return {
+    method,
+    corpusSize: corpus.documentCount,
+    topTerms: [...contributions]
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, TOP_TERM_COUNT)
+  };
+}
+
+/**
+ * Built-in similarity functions
+ * A similarity function takes the features of two texts, plus the component's
+ * options, and returns a score between 0-1 or { score, details }.
+ */
+export const SIMILARITIES = {
+  jaccard,
+  cosine,
+  topicOverlap,
+  chunkedCosine,
+  tfidfCosine,
+  bm25
+};
+
+/**
+ * Normalize an array item for comparison
+ * @param {string|Object} item - String or { id, text } entity
+ * @returns {*} - Entity ID, lowercased string, or the item itself
+ */
+function toComparable(item) {
+  if (item && typeof item === 'object' && item.id) return item.id;
+
+  const value = item && typeof item === 'object' && 'text' in item ? item.text : item;
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
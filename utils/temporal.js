@@ -0,0 +1,821 @@
+// Temporal expressions: dates, quarters, relative dates and times of day as intervals
+
+// Expressions within this many days of the reference date make a result urgent
+export const URGENT_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Capitalized month names and abbreviations; lowercase "may" and "march" are usually not months
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const ANY_CASE_MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const YEAR = '((?:19|20)\\d{2})';
+const UNIT = '(day|week|month|quarter|year)s?';
+const COUNT = '(\\d{1,3}|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const MERIDIEM = '(am|pm|a\\.m\\.|p\\.m\\.)(?![a-z])';
+
+// Words that mark a bare month name or number as a date, capitalized or not
+const DATE_PREPOSITIONS = ['in', 'by', 'since', 'until', 'till', 'during', 'before', 'after', 'through', 'early', 'mid', 'late', 'for', 'of']
+  .map(word => `[${word[0]}${word[0].toUpperCase()}]${word.slice(1)}`)
+  .join('|');
+
+const COUNT_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+const RELATIVE_OFFSETS = { last: -1, previous: -1, this: 0, current: 0, next: 1, coming: 1 };
+
+const PARTS_OF_DAY = {
+  morning: [6 * 60, 12 * 60],
+  afternoon: [12 * 60, 18 * 60],
+  evening: [18 * 60, 22 * 60]
+};
+
+// Words right before an expression that make it a deadline, e.g. "due by Friday", by language
+const DEADLINE_CUE_PATTERNS = {
+  en: /\b(?:by|before|due(?:\s+(?:on|by))?|until|till|deadline(?:\s+(?:is|of)|\s*:)?|no later than)\s+(?:the\s+)?$/i,
+  de: /(?:^|\s)(?:bis(?:\s+(?:zum|spätestens))?|spätestens(?:\s+am)?|vor(?:\s+dem)?|Frist(?:\s+ist|\s*:)?|fällig(?:\s+am)?)\s+(?:am\s+)?$/iu,
+  fr: /(?:^|\s)(?:d['’]ici|avant(?:\s+le)?|au plus tard(?:\s+le)?|jusqu['’]au|pour le|échéance(?:\s*:)?)\s+(?:le\s+)?$/iu,
+  es: /(?:^|\s)(?:antes\s+del?|para\s+el|hasta(?:\s+el)?|a más tardar(?:\s+el)?|plazo(?:\s*:)?)\s+(?:el\s+)?$/iu
+};
+
+// Word boundaries that also hold around accented letters, which \b doesn't know
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+/**
+ * Date words of the other supported languages (see utils/language.js)
+ * months and weekdays are in calendar order, prepositions mark a bare month
+ * as a date, days are today/tomorrow/yesterday offsets, relative words shift
+ * the unit they come with ("nächste Woche", "le mois prochain", "el próximo
+ * año"). Relative words written after the unit are listed under `after`.
+ */
+const LOCALE_WORDS = {
+  de: {
+    months: ['januar|jänner|jan', 'februar|feb', 'märz|mär', 'april|apr', 'mai', 'juni|jun', 'juli|jul',
+      'august|aug', 'september|sept?', 'oktober|okt', 'november|nov', 'dezember|dez'],
+    weekdays: ['montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag|sonnabend', 'sonntag'],
+    prepositions: 'im|bis|seit|ab|vor|nach|anfang|mitte|ende',
+    days: { heute: 0, morgen: 1, gestern: -1, übermorgen: 2 },
+    // "am Morgen" and "guten Morgen" mean the morning
+    dayExclusion: '(?<!(?:am|guten|jeden|den|der)\\s)',
+    times: '(\\d{1,2})(?:[:.]([0-5]\\d))?\\s*Uhr',
+    units: { woche: 'week', wochen: 'week', monat: 'month', monats: 'month', quartal: 'quarter', jahr: 'year', jahres: 'year' },
+    before: { nächst: 1, kommend: 1, dies: 0, letzt: -1, vorig: -1, vergangen: -1 },
+    beforeSuffix: '(?:e|er|es|en|em)?',
+    after: {}
+  },
+  fr: {
+    months: ['janvier|janv', 'février|févr|fév', 'mars', 'avril|avr', 'mai', 'juin', 'juillet|juil',
+      'août', 'septembre|sept', 'octobre|oct', 'novembre|nov', 'décembre|déc'],
+    weekdays: ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'],
+    prepositions: 'en|depuis|avant|après|fin|début|mi|dès',
+    days: { "aujourd'hui": 0, 'aujourd’hui': 0, demain: 1, hier: -1, 'après-demain': 2 },
+    dayExclusion: '',
+    times: '(\\d{1,2})\\s?h\\s?([0-5]\\d)?',
+    units: { semaine: 'week', mois: 'month', trimestre: 'quarter', année: 'year', an: 'year' },
+    before: { ce: 0, cet: 0, cette: 0 },
+    beforeSuffix: '',
+    after: { prochain: 1, prochaine: 1, dernier: -1, dernière: -1, passé: -1, passée: -1 }
+  },
+  es: {
+    // No "mar" for marzo: "en el mar" is the sea
+    months: ['enero|ene', 'febrero|feb', 'marzo', 'abril|abr', 'mayo', 'junio|jun', 'julio|jul',
+      'agosto|ago', 'septiembre|setiembre|sept?', 'octubre|oct', 'noviembre|nov', 'diciembre|dic'],
+    weekdays: ['lunes', 'martes', 'miércoles|miercoles', 'jueves', 'viernes', 'sábado|sabado', 'domingo'],
+    prepositions: 'en|hasta|desde|antes de|después de|a principios de|a mediados de|a finales de',
+    days: { hoy: 0, mañana: 1, ayer: -1, 'pasado mañana': 2 },
+    // "la mañana" means the morning
+    dayExclusion: '(?<!la\\s)',
+    // "a las 3", since "3 horas" is a duration
+    times: '(?<=a\\s+las?\\s+)(\\d{1,2})(?::([0-5]\\d))?(?:\\s*h)?',
+    units: { semana: 'week', mes: 'month', trimestre: 'quarter', año: 'year' },
+    before: { próximo: 1, próxima: 1, este: 0, esta: 0, pasado: -1, pasada: -1 },
+    beforeSuffix: '',
+    after: { 'que viene': 1, próximo: 1, próxima: 1, pasado: -1, pasada: -1 }
+  }
+};
+
+/**
+ * @typedef {Object} TemporalExpression
+ * @property {string} text - Expression as written, e.g. "Q2 2025" or "2-4pm"
+ * @property {number} start - Offset of the first character in the text
+ * @property {number} end - Offset after the last character in the text
+ * @property {string} granularity - 'time', 'day', 'week', 'month', 'quarter', 'half' or 'year'
+ * @property {Object|null} interval - { start, end } ISO dates (end exclusive) the expression refers to;
+ *   null for times of day
+ * @property {Object|null} timeOfDay - { start, end } 24-hour times ("14:00") for times of day, otherwise null
+ * @property {boolean} deadline - Whether the expression is a deadline, e.g. "by Friday"
+ */
+
+/**
+ * @typedef {Object} Timeliness
+ * @property {string} referenceDate - ISO date relative expressions were resolved against
+ * @property {Array<TemporalExpression>} primary - Expressions in the primary text
+ * @property {Array<TemporalExpression>} secondary - Expressions in the secondary text
+ * @property {Array<Object>} shared - { primary, secondary } expressions referring to overlapping periods
+ * @property {boolean} urgent - Whether either text refers to something within {@link URGENT_WINDOW_DAYS} days
+ * @property {Array<Object>} urgentItems - Urgent expressions, each with source 'primary' or 'secondary'
+ */
+
+/**
+ * Patterns in priority order: once an expression matches, later patterns
+ * can't match any part of it. resolve() gets the match and the reference
+ * date and returns { granularity, interval } or { timeOfDay }, optionally
+ * with the group to report instead of the whole match, or null to skip.
+ * Rules with `languages` only apply to texts in those languages.
+ */
+const RULES = [
+  // 2025-03-03
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    resolve: match => day(calendarDate(+match[1], +match[2], +match[3]))
+  },
+  // March 3, 2025 / March 3rd / Mar. 3
+  {
+    pattern: new RegExp(`\\b${ANY_CASE_MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+${YEAR}\\b)?`, 'gi'),
+    resolve: (match, reference) => day(calendarDate(+match[3] || reference.getUTCFullYear(), monthNumber(match[1]), +match[2]))
+  },
+  // 3 March 2025 / 3rd of March
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+${YEAR}\\b)?`, 'g'),
+    resolve: (match, reference) => day(calendarDate(+match[3] || reference.getUTCFullYear(), monthNumber(match[2]), +match[1]))
+  },
+  // 3/3/25 and 3/3/2025, month first
+  {
+    languages: ['en'],
+    pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g,
+    resolve: match => day(calendarDate(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[1], +match[2]))
+  },
+  // March 2025
+  {
+    pattern: new RegExp(`\\b${MONTH},?\\s+${YEAR}\\b`, 'g'),
+    resolve: match => period(Date.UTC(+match[2], monthNumber(match[1]) - 1, 1), 'month')
+  },
+  // Q2 2025 / Q2 of 2025 / Q2
+  {
+    pattern: new RegExp(`\\bQ([1-4])(?:,?\\s+(?:of\\s+)?${YEAR})?\\b`, 'g'),
+    resolve: (match, reference) => period(Date.UTC(+match[2] || reference.getUTCFullYear(), (match[1] - 1) * 3, 1), 'quarter')
+  },
+  // 2025 Q2 / 2025-Q2
+  {
+    pattern: new RegExp(`\\b${YEAR}[\\s-]?Q([1-4])\\b`, 'g'),
+    resolve: match => period(Date.UTC(+match[1], (match[2] - 1) * 3, 1), 'quarter')
+  },
+  // second quarter of 2025 / first half
+  {
+    pattern: new RegExp(`\\b(first|second|third|fourth|1st|2nd|3rd|4th)\\s+(quarter|half)(?:\\s+of\\s+${YEAR})?\\b`, 'gi'),
+    resolve: (match, reference) => {
+      const number = ORDINALS[match[1].toLowerCase()];
+      const unit = match[2].toLowerCase();
+      if (unit === 'half' && number > 2) return null;
+
+      const year = +match[3] || reference.getUTCFullYear();
+      return period(Date.UTC(year, (number - 1) * (unit === 'half' ? 6 : 3), 1), unit);
+    }
+  },
+  // H1 2025 / H2
+  {
+    pattern: new RegExp(`\\bH([12])(?:\\s+${YEAR})?\\b`, 'g'),
+    resolve: (match, reference) => period(Date.UTC(+match[2] || reference.getUTCFullYear(), (match[1] - 1) * 6, 1), 'half')
+  },
+  // in March / by December; bare month names need a preposition to be told apart from names
+  {
+    pattern: new RegExp(`\\b(?:${DATE_PREPOSITIONS})\\s+${MONTH}(?![\\w-])`, 'g'),
+    resolve: (match, reference) => ({
+      ...period(Date.UTC(reference.getUTCFullYear(), monthNumber(match[1]) - 1, 1), 'month'),
+      group: 1
+    })
+  },
+  // end of the month / start of next week / end of day
+  {
+    pattern: new RegExp(`\\b(end|start|beginning)\\s+of\\s+(?:the\\s+)?(this\\s+|next\\s+)?${UNIT}\\b`, 'gi'),
+    resolve: (match, reference) => {
+      const offset = match[2] ? RELATIVE_OFFSETS[match[2].trim().toLowerCase()] : 0;
+      const { interval } = periodAt(reference, match[3].toLowerCase(), offset);
+      const date = match[1].toLowerCase() === 'end' ? Date.parse(interval.end) - DAY_MS : Date.parse(interval.start);
+      return day(new Date(date));
+    }
+  },
+  // next 3 days / past two weeks
+  {
+    pattern: new RegExp(`\\b(next|coming|past|last)\\s+${COUNT}\\s+${UNIT}\\b`, 'gi'),
+    resolve: (match, reference) => {
+      const count = toCount(match[2]);
+      const unit = match[3].toLowerCase();
+
+      const forward = ['next', 'coming'].includes(match[1].toLowerCase());
+      const start = forward ? reference.getTime() : shift(reference.getTime(), unit, -count);
+      return { granularity: unit, interval: toInterval(start, forward ? shift(start, unit, count) : reference.getTime()) };
+    }
+  },
+  // next week / this quarter / last year
+  {
+    pattern: new RegExp(`\\b(last|previous|this|current|next|coming)\\s+${UNIT}\\b`, 'gi'),
+    resolve: (match, reference) => periodAt(reference, match[2].toLowerCase(), RELATIVE_OFFSETS[match[1].toLowerCase()])
+  },
+  // in 2 weeks / three days ago
+  {
+    pattern: new RegExp(`\\b(?:in\\s+${COUNT}\\s+${UNIT}|${COUNT}\\s+${UNIT}\\s+ago)\\b`, 'gi'),
+    resolve: (match, reference) => {
+      const offset = match[1] ? toCount(match[1]) : -toCount(match[3]);
+      const unit = (match[2] || match[4]).toLowerCase();
+      return periodAt(reference, unit, offset);
+    }
+  },
+  // next Friday / this Monday / Tuesday
+  {
+    pattern: /\b(?:([Ll]ast|[Tt]his|[Nn]ext)\s+)?(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)\b/g,
+    resolve: (match, reference) => {
+      const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+      const weekday = isoWeekday(reference);
+
+      // A bare weekday is the next one, counting today
+      if (!match[1]) return day(new Date(reference.getTime() + ((target - weekday + 7) % 7) * DAY_MS));
+
+      const monday = reference.getTime() - weekday * DAY_MS;
+      return day(new Date(monday + (RELATIVE_OFFSETS[match[1].toLowerCase()] * 7 + target) * DAY_MS));
+    }
+  },
+  // today / tonight / tomorrow / yesterday
+  {
+    pattern: /\b(today|tonight|tomorrow|yesterday)\b/gi,
+    resolve: (match, reference) => {
+      const offset = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[match[1].toLowerCase()];
+      return day(new Date(reference.getTime() + offset * DAY_MS));
+    }
+  },
+  // in 2025 / since 2019; bare numbers need a preposition to be read as years
+  {
+    pattern: new RegExp(`\\b(?:${DATE_PREPOSITIONS})\\s+${YEAR}\\b(?![%.,]?\\d)`, 'g'),
+    resolve: match => ({ ...period(Date.UTC(+match[1], 0, 1), 'year'), group: 1 })
+  },
+  // 2-4pm / 10am to 2pm / 2:30-4 p.m.
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?::([0-5]\\d))?\\s*(?:${MERIDIEM})?\\s*(?:-|–|to|until|till)\\s*(\\d{1,2})(?::([0-5]\\d))?\\s*${MERIDIEM}`, 'gi'),
+    resolve: match => {
+      const end = toMinutes(match[4], match[5], match[6]);
+      let start = toMinutes(match[1], match[2], match[3] || match[6]);
+
+      // "11-1pm" starts in the morning
+      if (!match[3] && start !== null && start >= end) start = toMinutes(match[1], match[2], 'am');
+      return timeRange(start, end);
+    }
+  },
+  // 14:00-16:00
+  {
+    pattern: /\b([01]?\d|2[0-3]):([0-5]\d)\s*(?:-|–|to|until|till)\s*([01]?\d|2[0-3]):([0-5]\d)\b/g,
+    resolve: match => timeRange(+match[1] * 60 + +match[2], +match[3] * 60 + +match[4])
+  },
+  // 3pm / 9:30 a.m.; a point in time counts as the hour it starts
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?::([0-5]\\d))?\\s*${MERIDIEM}`, 'gi'),
+    resolve: match => {
+      const start = toMinutes(match[1], match[2], match[3]);
+      return start === null ? null : timeRange(start, start + 60);
+    }
+  },
+  // 14:30
+  {
+    pattern: /\b([01]?\d|2[0-3]):([0-5]\d)\b(?!:)/g,
+    resolve: match => {
+      const start = +match[1] * 60 + +match[2];
+      return timeRange(start, start + 60);
+    }
+  },
+  // noon / midnight
+  {
+    pattern: /\b(noon|midday|midnight)\b/gi,
+    resolve: match => match[1].toLowerCase() === 'midnight' ? timeRange(0, 60) : timeRange(12 * 60, 13 * 60)
+  },
+  // the afternoon / morning hours
+  {
+    pattern: /\b(morning|afternoon|evening)s?\b/gi,
+    resolve: match => timeRange(...PARTS_OF_DAY[match[1].toLowerCase()])
+  },
+  ...Object.keys(LOCALE_WORDS).flatMap(localizedRules)
+];
+
+/**
+ * Resolve a reference date for relative expressions
+ * @param {string} [value] - ISO date or timestamp; the date is taken as written, without converting time zones
+ * @returns {string} - ISO date, today (UTC) when no value is given
+ * @throws {Error} - If the value is not an ISO date
+ */
+export function resolveReferenceDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return formatDate(new Date());
+  }
+
+  const match = typeof value === 'string' &&
+    /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+  const date = match && calendarDate(+match[1], +match[2], +match[3]);
+
+  if (!date) {
+    throw new Error('referenceDate must be an ISO date, e.g. 2025-06-01');
+  }
+
+  return formatDate(date);
+}
+
+/**
+ * Find temporal expressions in a text and resolve them to intervals
+ * Years, months and quarters without a year are taken from the reference
+ * date; relative expressions ("next week", "in 3 days") count from it.
+ * @param {string} text - Input text
+ * @param {string} [referenceDate] - ISO date, defaults to today
+ * @param {string} [language] - Language code of the text (see utils/language.js), defaults to English
+ * @returns {Array<TemporalExpression>} - Expressions in text order
+ */
+export function extractTemporalExpressions(text, referenceDate, language = 'en') {
+  const reference = new Date(Date.parse(resolveReferenceDate(referenceDate)));
+  const deadlineCue = DEADLINE_CUE_PATTERNS[language] || DEADLINE_CUE_PATTERNS.en;
+  const claimed = [];
+  const expressions = [];
+
+  RULES.filter(rule => !rule.languages || rule.languages.includes(language)).forEach(({ pattern, resolve }) => {
+    for (const match of text.matchAll(pattern)) {
+      const resolved = resolve(match, reference);
+      if (!resolved) continue;
+
+      const { group, ...meaning } = resolved;
+      const start = group ? match.index + match[0].lastIndexOf(match[group]) : match.index;
+      let end = group ? start + match[group].length : match.index + match[0].length;
+
+      // An abbreviation's period at the end of a sentence ("am 3. März.") isn't part of the date
+      while (end > start && /[.,;:]/.test(text[end - 1])) end--;
+
+      if (claimed.some(span => start < span.end && span.start < end)) continue;
+      claimed.push({ start, end });
+
+      expressions.push({
+        text: text.slice(start, end),
+        start,
+        end,
+        granularity: meaning.granularity,
+        interval: meaning.interval || null,
+        timeOfDay: meaning.timeOfDay || null,
+        deadline: deadlineCue.test(text.slice(Math.max(0, start - 30), start))
+      });
+    }
+  });
+
+  return expressions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the rules of one language from its {@link LOCALE_WORDS}
+ * @param {string} code - Language code
+ * @returns {Array<Object>} - Rules limited to that language
+ */
+function localizedRules(code) {
+  const words = LOCALE_WORDS[code];
+  const month = `(${words.months.join('|')})\\.?`;
+  const alternatives = keys => keys.sort((a, b) => b.length - a.length).join('|');
+  const lookup = (table, key) => table[key.toLowerCase().replace(/\s+/g, ' ')];
+  const toMonthNumber = name => words.months.findIndex(names => new RegExp(`^(?:${names})$`, 'iu').test(name)) + 1;
+
+  const rules = [
+    // 3. März 2025 / 1er mars / 3 de marzo de 2025
+    {
+      pattern: new RegExp(`${WORD_START}(\\d{1,2})(?:\\.|er)?\\s+(?:de\\s+)?${month}(?:\\s+(?:de\\s+)?${YEAR})?${WORD_END}`, 'giu'),
+      resolve: (match, reference) => day(calendarDate(+match[3] || reference.getUTCFullYear(), toMonthNumber(match[2]), +match[1]))
+    },
+    // 3.3.2025 / 3/3/25, day first
+    {
+      pattern: /\b(\d{1,2})[./](\d{1,2})[./](\d{4}|\d{2})\b/g,
+      resolve: match => day(calendarDate(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[2], +match[1]))
+    },
+    // März 2025 / mars 2025 / marzo de 2025
+    {
+      pattern: new RegExp(`${WORD_START}${month}\\s+(?:de\\s+)?${YEAR}${WORD_END}`, 'giu'),
+      resolve: match => period(Date.UTC(+match[2], toMonthNumber(match[1]) - 1, 1), 'month')
+    },
+    // im März / en mars / a finales de marzo
+    {
+      pattern: new RegExp(`${WORD_START}(?:${words.prepositions})\\s+${month}${WORD_END}`, 'giu'),
+      resolve: (match, reference) => ({
+        ...period(Date.UTC(reference.getUTCFullYear(), toMonthNumber(match[1]) - 1, 1), 'month'),
+        group: 1
+      })
+    },
+    // nächste Woche / cette semaine / el próximo año
+    {
+      pattern: new RegExp(`${WORD_START}(${alternatives(Object.keys(words.before))})${words.beforeSuffix}\\s+(${alternatives(Object.keys(words.units))})${WORD_END}`, 'giu'),
+      resolve: (match, reference) => periodAt(reference, lookup(words.units, match[2]), lookup(words.before, match[1]))
+    },
+    // Montag / vendredi / el lunes; the next one, counting today
+    {
+      pattern: new RegExp(`${WORD_START}(${words.weekdays.join('|')})${WORD_END}`, 'giu'),
+      resolve: (match, reference) => {
+        const target = words.weekdays.findIndex(names => new RegExp(`^(?:${names})$`, 'iu').test(match[1]));
+        return day(new Date(reference.getTime() + ((target - isoWeekday(reference) + 7) % 7) * DAY_MS));
+      }
+    },
+    // heute / demain / pasado mañana
+    {
+      pattern: new RegExp(`${WORD_START}${words.dayExclusion}(${alternatives(Object.keys(words.days))})${WORD_END}`, 'giu'),
+      resolve: (match, reference) => day(new Date(reference.getTime() + lookup(words.days, match[1]) * DAY_MS))
+    },
+    // seit 2019 / en 2025; bare numbers need a preposition to be read as years
+    {
+      pattern: new RegExp(`${WORD_START}(?:${words.prepositions})\\s+${YEAR}\\b(?![%.,]?\\d)`, 'giu'),
+      resolve: match => ({ ...period(Date.UTC(+match[1], 0, 1), 'year'), group: 1 })
+    },
+    // 14 Uhr / 14h30 / 9 horas; a point in time counts as the hour it starts
+    {
+      pattern: new RegExp(`\\b${words.times}${WORD_END}`, 'giu'),
+      resolve: match => {
+        const start = +match[1] * 60 + (+match[2] || 0);
+        return +match[1] > 23 ? null : timeRange(start, start + 60);
+      }
+    }
+  ];
+
+  // la semaine prochaine / la semana que viene
+  if (Object.keys(words.after).length > 0) {
+    rules.push({
+      pattern: new RegExp(`${WORD_START}(${alternatives(Object.keys(words.units))})\\s+(${alternatives(Object.keys(words.after))})${WORD_END}`, 'giu'),
+      resolve: (match, reference) => periodAt(reference, lookup(words.units, match[1]), lookup(words.after, match[2]))
+    });
+  }
+
+  return rules.map(rule => ({ ...rule, languages: [code] }));
+}
+
+/**
+ * Turn temporal expressions into entities for the entity extractors
+ * The ID encodes the interval, so the same period written differently is
+ * one entity; see {@link linkTemporalEntities} for overlapping periods.
+ * @param {Array<TemporalExpression>} expressions - Temporal expressions
+ * @param {string|null} [category] - Entity category, e.g. 'dates'
+ * @returns {Array<Object>} - Canonical entities with a temporal field { granularity, interval, timeOfDay }
+ */
+export function toTemporalEntities(expressions, category = null) {
+  const byId = new Map();
+
+  expressions.forEach(expression => {
+    const id = temporalId(expression);
+
+    if (!byId.has(id)) {
+      byId.set(id, {
+        id,
+        text: expression.text,
+        category,
+        forms: [],
+        temporal: {
+          granularity: expression.granularity,
+          interval: expression.interval,
+          timeOfDay: expression.timeOfDay
+        }
+      });
+    }
+
+    const entity = byId.get(id);
+    if (!entity.forms.includes(expression.text)) entity.forms.push(expression.text);
+  });
+
+  return [...byId.values()];
+}
+
+/**
+ * Give temporal entities that refer to overlapping periods the same ID
+ * Each temporal entity takes the ID of the best-overlapping temporal entity
+ * of an earlier text, so "Q2" and "Q2 2025" count as shared, and so does
+ * "next week" when nothing in the earlier text overlaps it better. Periods
+ * within one text stay apart: of several entities overlapping the same
+ * earlier one, only the closest takes its ID. Other entities are left as they are.
+ * @param {Array<Array<Object>>} entityLists - Canonical entities per text
+ * @returns {Array<Array<Object>>} - Entities per text with linked IDs
+ */
+export function linkTemporalEntities(entityLists) {
+  const linked = [];
+
+  entityLists.forEach(entities => {
+    const earlier = linked.flat().filter(entity => entity.temporal);
+
+    // Best earlier match of each temporal entity; the same period is a perfect match
+    const matches = entities.map(entity => {
+      if (!entity.temporal) return { index: -1, share: 0 };
+
+      const same = earlier.findIndex(candidate => candidate.id === entity.id);
+      return same === -1 ? findOverlap(entity.temporal, earlier.map(candidate => candidate.temporal)) : { index: same, share: 1 };
+    });
+
+    const closest = new Map();
+    matches.forEach((match, index) => {
+      if (match.index !== -1 && !(matches[closest.get(match.index)]?.share >= match.share)) {
+        closest.set(match.index, index);
+      }
+    });
+
+    const byId = new Map();
+    entities.forEach((entity, index) => {
+      const match = matches[index].index;
+      const id = match !== -1 && closest.get(match) === index ? earlier[match].id : entity.id;
+
+      if (!byId.has(id)) {
+        byId.set(id, { ...entity, id, forms: [] });
+      }
+      entity.forms.forEach(form => {
+        if (!byId.get(id).forms.includes(form)) byId.get(id).forms.push(form);
+      });
+    });
+
+    linked.push([...byId.values()]);
+  });
+
+  return linked;
+}
+
+/**
+ * Compare the temporal expressions of two texts and flag time-sensitive ones
+ * An expression is urgent when it is a day or week overlapping the next
+ * {@link URGENT_WINDOW_DAYS} days, or a deadline falling within twice as many.
+ * @param {Array<TemporalExpression>} primary - Expressions in the primary text
+ * @param {Array<TemporalExpression>} secondary - Expressions in the secondary text
+ * @param {string} [referenceDate] - ISO date, defaults to today
+ * @returns {Timeliness} - Shared periods and urgency
+ */
+export function assessTimeliness(primary, secondary, referenceDate) {
+  const reference = resolveReferenceDate(referenceDate);
+
+  const shared = primary.flatMap(expression => {
+    const { index } = findOverlap(expression, secondary);
+    return index === -1 ? [] : [{ primary: expression, secondary: secondary[index] }];
+  });
+
+  const urgentItems = [
+    ...primary.filter(expression => isUrgent(expression, reference)).map(expression => ({ ...expression, source: 'primary' })),
+    ...secondary.filter(expression => isUrgent(expression, reference)).map(expression => ({ ...expression, source: 'secondary' }))
+  ];
+
+  return {
+    referenceDate: reference,
+    primary,
+    secondary,
+    shared,
+    urgent: urgentItems.length > 0,
+    urgentItems
+  };
+}
+
+/**
+ * Whether two temporal values refer to overlapping periods
+ * Dates only overlap dates, and times of day only overlap times of day.
+ * @param {Object} a - Expression or entity temporal field with interval and timeOfDay
+ * @param {Object} b - Expression or entity temporal field with interval and timeOfDay
+ * @returns {boolean} - Whether they overlap
+ */
+export function overlaps(a, b) {
+  return overlapShare(a, b) > 0;
+}
+
+/**
+ * Find the candidate that overlaps a temporal value the most
+ * @param {Object} temporal - Expression or entity temporal field
+ * @param {Array<Object>} candidates - Expressions or entity temporal fields
+ * @returns {Object} - { index, share } of the best candidate; index is -1 when none overlaps
+ */
+function findOverlap(temporal, candidates) {
+  let best = { index: -1, share: 0 };
+
+  candidates.forEach((candidate, index) => {
+    const share = overlapShare(temporal, candidate);
+    if (share > best.share) best = { index, share };
+  });
+
+  return best;
+}
+
+/**
+ * Overlap of two periods as a share of their union (0-1)
+ * @param {Object} a - Expression or entity temporal field
+ * @param {Object} b - Expression or entity temporal field
+ * @returns {number} - Overlap share, 0 when they don't overlap
+ */
+function overlapShare(a, b) {
+  const toRange = temporal => {
+    if (temporal.interval) return [Date.parse(temporal.interval.start), Date.parse(temporal.interval.end), 'date'];
+    if (temporal.timeOfDay) return [parseTime(temporal.timeOfDay.start), parseTime(temporal.timeOfDay.end), 'time'];
+    return null;
+  };
+
+  const rangeA = toRange(a);
+  const rangeB = toRange(b);
+  if (!rangeA || !rangeB || rangeA[2] !== rangeB[2]) return 0;
+
+  const overlap = Math.min(rangeA[1], rangeB[1]) - Math.max(rangeA[0], rangeB[0]);
+  const union = Math.max(rangeA[1], rangeB[1]) - Math.min(rangeA[0], rangeB[0]);
+  return overlap > 0 ? overlap / union : 0;
+}
+
+/**
+ * Whether an expression is time-sensitive relative to the reference date
+ * @param {TemporalExpression} expression - Temporal expression
+ * @param {string} referenceDate - ISO date
+ * @returns {boolean} - Whether it is urgent
+ */
+function isUrgent(expression, referenceDate) {
+  if (!expression.interval) return false;
+
+  const windowStart = Date.parse(referenceDate);
+  const windowEnd = windowStart + URGENT_WINDOW_DAYS * DAY_MS;
+  const start = Date.parse(expression.interval.start);
+  const end = Date.parse(expression.interval.end);
+
+  // A deadline counts by its last day, however long the period before it. Work
+  // toward it has to start a window ahead, so deadlines look twice as far, and a
+  // deadline is never less urgent than a plain mention of the same period.
+  const due = end - DAY_MS;
+  if (expression.deadline && due >= windowStart && due < windowEnd + URGENT_WINDOW_DAYS * DAY_MS) {
+    return true;
+  }
+
+  return ['day', 'week'].includes(expression.granularity) && start < windowEnd && end > windowStart;
+}
+
+/**
+ * Canonical ID of a temporal expression
+ * @param {TemporalExpression} expression - Temporal expression
+ * @returns {string} - e.g. "date:2025-04-01/2025-07-01" or "time:14:00/16:00"
+ */
+function temporalId(expression) {
+  return expression.interval
+    ? `date:${expression.interval.start}/${expression.interval.end}`
+    : `time:${expression.timeOfDay.start}/${expression.timeOfDay.end}`;
+}
+
+/**
+ * Build a date from calendar parts, rejecting impossible dates like February 30
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} date - Day of the month
+ * @returns {Date|null} - UTC date, or null when invalid
+ */
+function calendarDate(year, month, date) {
+  const value = new Date(Date.UTC(year, month - 1, date));
+  return value.getUTCMonth() === month - 1 && value.getUTCDate() === date ? value : null;
+}
+
+/**
+ * Resolve a single day
+ * @param {Date|null} date - UTC date
+ * @returns {Object|null} - { granularity, interval }, or null for invalid dates
+ */
+function day(date) {
+  return date ? { granularity: 'day', interval: toInterval(date.getTime(), date.getTime() + DAY_MS) } : null;
+}
+
+/**
+ * Resolve a calendar period starting at a given time
+ * @param {number} start - UTC timestamp of the first day
+ * @param {string} unit - 'week', 'month', 'quarter', 'half' or 'year'
+ * @returns {Object} - { granularity, interval }
+ */
+function period(start, unit) {
+  return { granularity: unit, interval: toInterval(start, shift(start, unit, 1)) };
+}
+
+/**
+ * Resolve the calendar period a number of units away from the reference date
+ * Weeks start on Monday.
+ * @param {Date} reference - Reference date
+ * @param {string} unit - 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {number} offset - Number of periods before (negative) or after the current one
+ * @returns {Object} - { granularity, interval }
+ */
+function periodAt(reference, unit, offset) {
+  const year = reference.getUTCFullYear();
+  const month = reference.getUTCMonth();
+  const starts = {
+    day: reference.getTime(),
+    week: reference.getTime() - isoWeekday(reference) * DAY_MS,
+    month: Date.UTC(year, month, 1),
+    quarter: Date.UTC(year, month - (month % 3), 1),
+    year: Date.UTC(year, 0, 1)
+  };
+
+  return period(shift(starts[unit], unit, offset), unit);
+}
+
+/**
+ * Move a timestamp by a number of units
+ * @param {number} time - UTC timestamp
+ * @param {string} unit - 'day', 'week', 'month', 'quarter', 'half' or 'year'
+ * @param {number} count - Number of units, may be negative
+ * @returns {number} - Shifted UTC timestamp
+ */
+function shift(time, unit, count) {
+  if (unit === 'day') return time + count * DAY_MS;
+  if (unit === 'week') return time + count * 7 * DAY_MS;
+
+  const months = { month: 1, quarter: 3, half: 6, year: 12 }[unit] * count;
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate());
+}
+
+/**
+ * Build a time-of-day range
+ * @param {number|null} start - Minutes after midnight
+ * @param {number|null} end - Minutes after midnight
+ * @returns {Object|null} - { granularity, timeOfDay }, or null for invalid times
+ */
+function timeRange(start, end) {
+  if (start === null || end === null || start > 24 * 60) return null;
+
+  // Ranges past midnight ("10pm-2am") are cut off at midnight
+  return {
+    granularity: 'time',
+    timeOfDay: { start: formatTime(start), end: formatTime(end > start ? Math.min(end, 24 * 60) : 24 * 60) }
+  };
+}
+
+/**
+ * Convert a clock time to minutes after midnight
+ * @param {string} hour - Hour as written
+ * @param {string} [minute] - Minutes as written
+ * @param {string} [meridiem] - am/pm marker as written
+ * @returns {number|null} - Minutes after midnight, or null when invalid
+ */
+function toMinutes(hour, minute, meridiem) {
+  let hours = +hour;
+  if (hours > (meridiem ? 12 : 23) || (meridiem && hours === 0)) return null;
+
+  if (meridiem) {
+    const pm = meridiem[0].toLowerCase() === 'p';
+    hours = (hours % 12) + (pm ? 12 : 0);
+  }
+
+  return hours * 60 + (+minute || 0);
+}
+
+/**
+ * Format minutes after midnight as a 24-hour time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - e.g. "14:00"
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a 24-hour time
+ * @param {string} time - e.g. "14:00"
+ * @returns {number} - Minutes after midnight
+ */
+function parseTime(time) {
+  const [hours, minutes] = time.split(':');
+  return +hours * 60 + +minutes;
+}
+
+/**
+ * Build an interval of ISO dates
+ * @param {number} start - UTC timestamp of the first day
+ * @param {number} end - UTC timestamp of the day after the last
+ * @returns {Object} - { start, end } ISO dates
+ */
+function toInterval(start, end) {
+  return { start: formatDate(new Date(start)), end: formatDate(new Date(end)) };
+}
+
+/**
+ * Format a date as an ISO date
+ * @param {Date} date - Date
+ * @returns {string} - e.g. "2025-06-01"
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week, Monday first
+ * @param {Date} date - UTC date
+ * @returns {number} - 0 for Monday to 6 for Sunday
+ */
+function isoWeekday(date) {
+  return (date.getUTCDay() + 6) % 7;
+}
+
+/**
+ * Month number of a month name or abbreviation
+ * @param {string} name - e.g. "March" or "Sept"
+ * @returns {number} - Month (1-12)
+ */
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * Parse a count written as digits or a word
+ * @param {string} count - e.g. "3", "three" or "a"
+ * @returns {number} - Count
+ */
+function toCount(count) {
+  return COUNT_WORDS[count.toLowerCase()] ?? +count;
+}
@@ -0,0 +1,256 @@
+// Outbound webhook configurations and their delivery log, stored in a local JSON file
+
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createJsonStore } from './jsonStore';
+
+// Oldest deliveries are dropped beyond this many log entries
+const MAX_DELIVERIES = 500;
+
+const DEFAULT_THRESHOLD = 0.5;
+
+/**
+ * @typedef {Object} Webhook
+ * @property {string} id - Webhook ID
+ * @property {string} name - Display name
+ * @property {string} url - HTTP(S) endpoint the payload is POSTed to
+ * @property {string|null} secret - HMAC signing secret; never returned by the API
+ * @property {number} threshold - Analyses scoring above this fire the webhook (0-1)
+ * @property {*} template - JSON payload template with {{placeholders}}, or null for the full event
+ * @property {boolean} enabled - Whether the webhook fires
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} DeliveryAttempt
+ * @property {string} at - ISO timestamp
+ * @property {number|null} status - HTTP status code, or null when the request failed
+ * @property {string|null} error - Network error or timeout, if any
+ * @property {string|null} response - Start of the response body
+ * @property {number} durationMs - Request duration
+ */
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} id - Delivery ID, sent as the X-Relevance-Delivery header
+ * @property {string} webhookId - Webhook ID
+ * @property {string} eventId - ID of the event that was delivered
+ * @property {string} event - Event type
+ * @property {string} url - URL the payload was sent to
+ * @property {string} status - 'pending', 'delivered' or 'failed'
+ * @property {Array<DeliveryAttempt>} attempts - Attempts, oldest first
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} completedAt - ISO timestamp of the last attempt, once done
+ */
+
+/**
+ * Thrown when a webhook ID does not exist
+ */
+export class WebhookNotFoundError extends Error {
+  constructor(id) {
+    super(`Webhook not found: ${id}`);
+    this.name = 'WebhookNotFoundError';
+  }
+}
+
+const store = createJsonStore({
+  getPath: () => process.env.WEBHOOKS_PATH || path.join(process.cwd(), 'data', 'webhooks.json'),
+  empty: () => ({ webhooks: [], deliveries: [] })
+});
+
+/**
+ * Find a webhook by ID or throw
+ * @param {Array<Webhook>} webhooks - Webhooks to search
+ * @param {string} id - Webhook ID
+ * @returns {Webhook} - Matching webhook
+ */
+function findWebhook(webhooks, id) {
+  const webhook = webhooks.find(w => w.id === id);
+
+  if (!webhook) {
+    throw new WebhookNotFoundError(id);
+  }
+
+  return webhook;
+}
+
+/**
+ * Validate webhook settings from a request
+ * @param {Object} fields - { name, url, secret, threshold, template, enabled }
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Only validate the fields that are present, for updates
+ * @returns {Object} - Normalized fields
+ * @throws {Error} - When a field is invalid
+ */
+export function validateWebhook(fields, { partial = false } = {}) {
+  const { name, url, secret, threshold, template, enabled } = fields || {};
+  const valid = {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('name is required');
+    }
+    valid.name = name.trim();
+  }
+
+  if (!partial || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('url must be an absolute http or https URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('url must be an absolute http or https URL');
+    }
+    valid.url = parsed.toString();
+  }
+
+  if (secret !== undefined) {
+    if (secret !== null && typeof secret !== 'string') {
+      throw new Error('secret must be a string, or null to stop signing');
+    }
+    valid.secret = secret || null;
+  }
+
+  if (threshold !== undefined) {
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw new Error('threshold must be a number between 0 and 1');
+    }
+    valid.threshold = threshold;
+  }
+
+  if (template !== undefined) {
+    if (template !== null && !['object', 'string'].includes(typeof template)) {
+      throw new Error('template must be a JSON object, array or string, or null for the full event');
+    }
+    valid.template = template;
+  }
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    valid.enabled = enabled;
+  }
+
+  return valid;
+}
+
+/**
+ * Describe a webhook without its secret
+ * @param {Webhook} webhook - Stored webhook
+ * @returns {Object} - Webhook with hasSecret in place of secret
+ */
+export function toPublicWebhook({ secret, ...webhook }) {
+  return { ...webhook, hasSecret: Boolean(secret) };
+}
+
+/**
+ * List all webhooks, including their secrets
+ * @returns {Promise<Array<Webhook>>} - Webhooks in creation order
+ */
+export async function listWebhooks() {
+  return (await store.read()).webhooks;
+}
+
+/**
+ * Get a webhook by ID, including its secret
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Webhook>} - Webhook
+ * @throws {WebhookNotFoundError} - When the ID does not exist
+ */
+export async function getWebhook(id) {
+  return findWebhook((await store.read()).webhooks, id);
+}
+
+/**
+ * Create a webhook
+ * @param {Object} fields - Fields validated by {@link validateWebhook}
+ * @returns {Promise<Webhook>} - Created webhook
+ */
+export async function createWebhook(fields) {
+  const now = new Date().toISOString();
+  const webhook = {
+    id: randomUUID(),
+    secret: null,
+    threshold: DEFAULT_THRESHOLD,
+    template: null,
+    enabled: true,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.update(data => {
+    data.webhooks.push(webhook);
+  });
+
+  return webhook;
+}
+
+/**
+ * Change a webhook's settings
+ * @param {string} id - Webhook ID
+ * @param {Object} fields - Fields validated by {@link validateWebhook} with partial set
+ * @returns {Promise<Webhook>} - Updated webhook
+ * @throws {WebhookNotFoundError} - When the ID does not exist
+ */
+export async function updateWebhook(id, fields) {
+  return store.update(data => {
+    const webhook = findWebhook(data.webhooks, id);
+    Object.assign(webhook, fields, { updatedAt: new Date().toISOString() });
+    return webhook;
+  });
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} id - Webhook ID
+ * @throws {WebhookNotFoundError} - When the ID does not exist
+ */
+export async function deleteWebhook(id) {
+  await store.update(data => {
+    findWebhook(data.webhooks, id);
+    data.webhooks = data.webhooks.filter(webhook => webhook.id !== id);
+    data.deliveries = data.deliveries.filter(delivery => delivery.webhookId !== id);
+  });
+}
+
+/**
+ * Add a delivery to the log, or replace it after another attempt
+ * @param {Delivery} delivery - Delivery to store
+ * @returns {Promise<void>}
+ */
+export async function saveDelivery(delivery) {
+  await store.update(data => {
+    const index = data.deliveries.findIndex(existing => existing.id === delivery.id);
+
+    if (index === -1) {
+      data.deliveries.push(delivery);
+    } else {
+      data.deliveries[index] = delivery;
+    }
+
+    data.deliveries = data.deliveries.slice(-MAX_DELIVERIES);
+  });
+}
+
+/**
+ * List the deliveries of a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {number} [limit] - Maximum number of deliveries, defaults to 50
+ * @returns {Promise<Array<Delivery>>} - Deliveries, newest first
+ * @throws {WebhookNotFoundError} - When the ID does not exist
+ */
+export async function listDeliveries(webhookId, limit = 50) {
+  const { webhooks, deliveries } = await store.read();
+  findWebhook(webhooks, webhookId);
+
+  return deliveries
+    .filter(delivery => delivery.webhookId === webhookId)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,289 @@
+// Outbound webhook notifications for analyses that cross a webhook's threshold
+
+import { createHmac, randomUUID } from 'crypto';
+import { listWebhooks, saveDelivery } from './webhookStore';
+
+export const RELEVANCE_EVENT = 'relevance.detected';
+export const TEST_EVENT = 'webhook.test';
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_RESPONSE_LENGTH = 500;
+
+/**
+ * @typedef {Object} RelevanceEvent
+ * @property {string} id - Event ID
+ * @property {string} event - Event type, 'relevance.detected'
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} source - API route that ran the analysis, e.g. 'rank-recipients'
+ * @property {string|null} from - Person who knows the information, when known
+ * @property {string|null} to - Person who should hear about it, when known
+ * @property {string} summary - One-line description of the finding
+ * @property {string} algorithm - Algorithm that scored the texts
+ * @property {number} score - Relevance score (0-1)
+ * @property {boolean} isRelevant - Whether the score is above the algorithm's threshold
+ * @property {boolean} shouldShare - Whether the primary text adds enough new information to share
+ * @property {boolean} urgent - Whether the texts are time-sensitive
+ * @property {string} explanation - Explanation of the result
+ * @property {Array<string>} facts - Primary sentences carrying new information
+ * @property {Array<Object>} [messages] - Source chat messages, for chat imports
+ * @property {import('./relevanceResult').RelevanceResult} result - Full relevance result
+ */
+
+/**
+ * Number of attempts per delivery, from WEBHOOK_MAX_ATTEMPTS (default 4)
+ * @returns {number} - Attempts including the first
+ */
+function getMaxAttempts() {
+  return Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 4);
+}
+
+/**
+ * Delay before the first retry, from WEBHOOK_RETRY_DELAY_MS (default 1000); it doubles for each further retry
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay() {
+  const delay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10);
+  return Number.isNaN(delay) ? 1000 : Math.max(0, delay);
+}
+
+/**
+ * Request timeout per attempt, from WEBHOOK_TIMEOUT_MS (default 10000)
+ * @returns {number} - Timeout in milliseconds
+ */
+function getTimeout() {
+  return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+}
+
+/**
+ * Describe an analysis as a webhook event
+ * @param {Object} analysis - Analysis to describe
+ * @param {string} analysis.source - API route that ran it
+ * @param {import('./relevanceResult').RelevanceResult} analysis.result - Relevance result
+ * @param {string|null} [analysis.from] - Person who knows the information
+ * @param {string|null} [analysis.to] - Person who should hear about it
+ * @param {Array<Object>} [analysis.messages] - Source chat messages
+ * @returns {RelevanceEvent} - Event
+ */
+export function toRelevanceEvent({ source, result, from = null, to = null, messages }) {
+  const percent = `${(result.score * 100).toFixed(0)}%`;
+  const summary = from && to
+    ? `${from} said something ${to} should know (${percent})`
+    : to
+      ? `${to} should hear about this (${percent})`
+      : `Relevant information detected (${percent})`;
+
+  return {
+    id: randomUUID(),
+    event: RELEVANCE_EVENT,
+    createdAt: new Date().toISOString(),
+    source,
+    from,
+    to,
+    summary,
+    algorithm: result.algorithm,
+    score: result.score,
+    isRelevant: result.isRelevant,
+    shouldShare: result.novelty ? result.novelty.shouldShare : result.isRelevant,
+    urgent: Boolean(result.temporal?.urgent),
+    explanation: result.rationale?.text || result.explanation,
+    facts: result.novelty ? result.novelty.facts.map(fact => fact.sentence.text) : [],
+    ...(messages && { messages }),
+    result
+  };
+}
+
+/**
+ * Render a payload template for an event
+ * Strings may contain {{path}} placeholders into the event, such as
+ * {{summary}} or {{result.threshold}}. A string that is only a placeholder
+ * takes the value itself, so "{{score}}" stays a number and "{{facts}}" an array.
+ * @param {*} template - JSON template, or null for the full event
+ * @param {RelevanceEvent} event - Event to render
+ * @returns {*} - Payload
+ */
+export function renderPayload(template, event) {
+  if (template === null || template === undefined) return event;
+
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookup(event, whole[1]) ?? null;
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, key) => {
+      const value = lookup(event, key);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) return template.map(item => renderPayload(item, event));
+
+  if (typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderPayload(value, event)]));
+  }
+
+  return template;
+}
+
+/**
+ * Look up a dotted path in an object
+ * @param {Object} object - Object to search
+ * @param {string} key - Path such as 'result.score'
+ * @returns {*} - Value, or undefined
+ */
+function lookup(object, key) {
+  return key.split('.').reduce((value, part) =>
+    value !== null && typeof value === 'object' && Object.hasOwn(value, part) ? value[part] : undefined, object);
+}
+
+/**
+ * Sign a payload
+ * The signature covers the timestamp and the body, so a receiver can reject
+ * replayed deliveries by their timestamp.
+ * @param {string} secret - Signing secret
+ * @param {string} timestamp - Unix time in seconds, as sent in X-Relevance-Timestamp
+ * @param {string} body - Request body
+ * @returns {string} - 'sha256=' followed by the hex HMAC-SHA256 of "timestamp.body"
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Send an event to every enabled webhook whose threshold the event's score is above
+ * Deliveries run in the background with retries; each one is logged.
+ * @param {Array<RelevanceEvent>} events - Events of one analysis
+ * @returns {Promise<number>} - Number of deliveries started
+ */
+export async function notifyWebhooks(events) {
+  const webhooks = (await listWebhooks()).filter(webhook => webhook.enabled);
+
+  const deliveries = webhooks.flatMap(webhook => events
+    .filter(event => event.score > webhook.threshold)
+    .map(event => ({ webhook, event })));
+
+  deliveries.forEach(({ webhook, event }) => {
+    deliverWebhook(webhook, event).catch(error => console.error('Error delivering webhook:', error));
+  });
+
+  return deliveries.length;
+}
+
+/**
+ * Deliver an event to a webhook, retrying network errors, timeouts, 429 and 5xx responses
+ * @param {import('./webhookStore').Webhook} webhook - Webhook including its secret
+ * @param {Object} event - Event with id and event type
+ * @param {Object} [options] - Delivery options
+ * @param {number} [options.maxAttempts] - Attempts including the first, defaults to WEBHOOK_MAX_ATTEMPTS
+ * @returns {Promise<import('./webhookStore').Delivery>} - Logged delivery
+ */
+export async function deliverWebhook(webhook, event, { maxAttempts = getMaxAttempts() } = {}) {
+  const delivery = {
+    id: randomUUID(),
+    webhookId: webhook.id,
+    eventId: event.id,
+    event: event.event,
+    url: webhook.url,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+  const body = JSON.stringify(renderPayload(webhook.template, event));
+
+  await saveDelivery(delivery);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await attemptDelivery(webhook, delivery, body);
+    delivery.attempts.push(result);
+
+    const retryable = result.status === null || result.status === 429 || result.status >= 500;
+    const done = (result.status >= 200 && result.status < 300) || !retryable || attempt === maxAttempts;
+
+    if (done) {
+      delivery.status = result.status >= 200 && result.status < 300 ? 'delivered' : 'failed';
+      delivery.completedAt = result.at;
+    }
+
+    await saveDelivery(delivery);
+    if (done) break;
+
+    await new Promise(resolve => setTimeout(resolve, getRetryDelay() * 2 ** (attempt - 1)));
+  }
+
+  return delivery;
+}
+
+/**
+ * POST a delivery once
+ * @param {import('./webhookStore').Webhook} webhook - Webhook
+ * @param {import('./webhookStore').Delivery} delivery - Delivery being attempted
+ * @param {string} body - Rendered payload
+ * @returns {Promise<import('./webhookStore').DeliveryAttempt>} - Attempt outcome
+ */
+async function attemptDelivery(webhook, delivery, body) {
+  const at = new Date().toISOString();
+  const started = Date.now();
+  const timestamp = String(Math.floor(started / 1000));
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'knowledge-relevance-detector-webhooks',
+    'X-Relevance-Event': delivery.event,
+    'X-Relevance-Delivery': delivery.id,
+    'X-Relevance-Timestamp': timestamp,
+    ...(webhook.secret && { 'X-Relevance-Signature': signPayload(webhook.secret, timestamp, body) })
+  };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(getTimeout())
+    });
+    const text = await response.text().catch(() => '');
+
+    return {
+      at,
+      status: response.status,
+      error: null,
+      response: text.slice(0, MAX_RESPONSE_LENGTH) || null,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      at,
+      status: null,
+      error: error.name === 'TimeoutError' ? `Timed out after ${getTimeout()} ms` : error.cause?.message || error.message,
+      response: null,
+      durationMs: Date.now() - started
+    };
+  }
+}
+
+/**
+ * Send a sample event to a webhook once, without retries
+ * @param {import('./webhookStore').Webhook} webhook - Webhook including its secret
+ * @returns {Promise<import('./webhookStore').Delivery>} - Logged delivery
+ */
+export async function sendTestEvent(webhook) {
+  const event = {
+    id: randomUUID(),
+    event: TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    source: 'test',
+    from: 'Alice',
+    to: 'Bob',
+    summary: 'Alice said something Bob should know (80%)',
+    algorithm: 'simple',
+    score: 0.8,
+    isRelevant: true,
+    shouldShare: true,
+    urgent: false,
+    explanation: 'This is a test delivery from the Knowledge Relevance Detector.',
+    facts: ['The staging database moves to the new cluster on Friday.'],
+    result: null
+  };
+
+  return deliverWebhook(webhook, event, { maxAttempts: 1 });
+}